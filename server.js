@@ -4,6 +4,8 @@ import dotenv from 'dotenv';
 import { createClient } from '@supabase/supabase-js';
 import twilio from 'twilio';
 import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
 // Use require for MetaAPI to avoid ESM web version
@@ -39,6 +41,18 @@ app.use(cors({
 }));
 app.use(express.json());
 
+// Render terminates TLS at its proxy and forwards the client address in X-Forwarded-For.
+// Trusting exactly that many hops makes req.ip the real client (and ignores spoofed entries further left).
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS ?? (process.env.NODE_ENV === 'production' ? '1' : '0'));
+app.set('trust proxy', TRUST_PROXY_HOPS);
+
+// Per-IP limits are only meaningful when req.ip is the client; behind an untrusted proxy every request
+// would share the proxy's address and one counter, letting anyone block everyone
+const IP_RATE_LIMITS_ENABLED = TRUST_PROXY_HOPS > 0 || process.env.NODE_ENV !== 'production';
+if (!IP_RATE_LIMITS_ENABLED) {
+  console.warn('⚠️  WARNING: TRUST_PROXY_HOPS=0 in production. Per-IP rate limits are disabled.');
+}
+
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
@@ -60,31 +74,255 @@ let twilioClient = null;
 if (twilioAccountSid && twilioAuthToken) {
   twilioClient = twilio(twilioAccountSid, twilioAuthToken);
   console.log('Twilio client initialized for SMS');
-} else {
-  console.warn('Warning: Twilio credentials not found. SMS OTP features will not work.');
 }
 
 // Initialize SendGrid (for Email) - SendGrid is separate from Twilio
 const sendGridApiKey = process.env.SENDGRID_API_KEY;
 const sendGridFromEmail = process.env.SENDGRID_FROM_EMAIL || process.env.TWILIO_FROM_EMAIL || 'noreply@baessolutions.com';
 
-if (!sendGridApiKey) {
-  console.warn('Warning: SendGrid API key not found. Email OTP features will not work.');
-} else {
+if (sendGridApiKey) {
   console.log('SendGrid configured for email');
 }
 
+// ============================================
+// MESSAGING PROVIDERS
+// ============================================
+// EMAIL_PROVIDER: sendgrid | smtp | outbox | console
+// SMS_PROVIDER:   twilio | outbox | console
+// "outbox" writes each message to OUTBOX_DIR and "console" logs it, so flows can run offline.
+// Outside production, an unconfigured vendor falls back to the console transport.
+
+const EMAIL_FROM_ADDRESS = process.env.EMAIL_FROM || sendGridFromEmail;
+const EMAIL_FROM_NAME = process.env.EMAIL_FROM_NAME || 'BAES Solutions';
+const OUTBOX_DIR = process.env.OUTBOX_DIR || 'outbox';
+
+let smtpTransport = null;
+
+// Helper function to create the SMTP transport on first use (nodemailer is only loaded when SMTP is selected)
+async function getSmtpTransport() {
+  if (!smtpTransport) {
+    const { default: nodemailer } = await import('nodemailer');
+    smtpTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return smtpTransport;
+}
+
+// Helper function to write a message to the local outbox directory
+async function writeOutboxMessage(channel, message) {
+  await fs.mkdir(OUTBOX_DIR, { recursive: true });
+
+  const messageId = `${new Date().toISOString().replace(/[:.]/g, '-')}-${channel}-${crypto.randomBytes(4).toString('hex')}`;
+  await fs.writeFile(path.join(OUTBOX_DIR, `${messageId}.json`), JSON.stringify({ channel, ...message }, null, 2));
+
+  if (message.html) {
+    await fs.writeFile(path.join(OUTBOX_DIR, `${messageId}.html`), message.html);
+  }
+
+  return { messageId };
+}
+
+// Each provider's send() resolves to { messageId } or throws
+const emailProviders = {
+  sendgrid: {
+    isConfigured: () => !!sendGridApiKey,
+    send: async ({ to, subject, html, text }) => {
+      const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${sendGridApiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          personalizations: [{
+            to: [{ email: to }]
+          }],
+          from: {
+            email: EMAIL_FROM_ADDRESS,
+            name: EMAIL_FROM_NAME
+          },
+          subject,
+          content: [
+            ...(text ? [{ type: 'text/plain', value: text }] : []),
+            { type: 'text/html', value: html }
+          ]
+        })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`SendGrid error: ${response.status} ${errorText}`);
+      }
+
+      return { messageId: response.headers.get('x-message-id') };
+    }
+  },
+  smtp: {
+    isConfigured: () => !!process.env.SMTP_HOST,
+    send: async ({ to, subject, html, text }) => {
+      const transport = await getSmtpTransport();
+      const info = await transport.sendMail({
+        from: { address: EMAIL_FROM_ADDRESS, name: EMAIL_FROM_NAME },
+        to,
+        subject,
+        html,
+        text
+      });
+      return { messageId: info.messageId };
+    }
+  },
+  outbox: {
+    isConfigured: () => true,
+    send: message => writeOutboxMessage('email', { from: EMAIL_FROM_ADDRESS, ...message })
+  },
+  console: {
+    isConfigured: () => true,
+    send: async ({ to, subject, text }) => {
+      console.log(`[email:console] To: ${to} | Subject: ${subject}${text ? `\n${text}` : ''}`);
+      return { messageId: null };
+    }
+  }
+};
+
+const smsProviders = {
+  twilio: {
+    isConfigured: () => !!twilioClient && !!twilioPhoneNumber,
+    send: async ({ to, body }) => {
+      const message = await twilioClient.messages.create({
+        body,
+        from: twilioPhoneNumber,
+        to
+      });
+      return { messageId: message.sid };
+    }
+  },
+  outbox: {
+    isConfigured: () => true,
+    send: message => writeOutboxMessage('sms', { from: twilioPhoneNumber || null, ...message })
+  },
+  console: {
+    isConfigured: () => true,
+    send: async ({ to, body }) => {
+      console.log(`[sms:console] To: ${to} | ${body}`);
+      return { messageId: null };
+    }
+  }
+};
+
+// Helper function to pick a provider from config, falling back to the console outside production
+function resolveMessagingProvider(providers, configured, vendorDefault) {
+  const name = configured || vendorDefault;
+
+  if (!providers[name]) {
+    console.error(`⚠️  Unknown messaging provider "${name}". Valid providers: ${Object.keys(providers).join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!configured && !providers[name].isConfigured() && process.env.NODE_ENV !== 'production') {
+    return 'console';
+  }
+
+  return name;
+}
+
+const EMAIL_PROVIDER = resolveMessagingProvider(emailProviders, process.env.EMAIL_PROVIDER, 'sendgrid');
+const SMS_PROVIDER = resolveMessagingProvider(smsProviders, process.env.SMS_PROVIDER, 'twilio');
+
+console.log(`Email provider: ${EMAIL_PROVIDER}, SMS provider: ${SMS_PROVIDER}`);
+if (!emailProviders[EMAIL_PROVIDER].isConfigured()) {
+  console.warn(`Warning: Email provider "${EMAIL_PROVIDER}" is not configured. Email OTP features will not work.`);
+}
+if (!smsProviders[SMS_PROVIDER].isConfigured()) {
+  console.warn(`Warning: SMS provider "${SMS_PROVIDER}" is not configured. SMS OTP features will not work.`);
+}
+
+// Helper function to check if emails can be sent with the selected provider
+function isEmailConfigured() {
+  return emailProviders[EMAIL_PROVIDER].isConfigured();
+}
+
+// Helper function to check if SMS can be sent with the selected provider
+function isSmsConfigured() {
+  return smsProviders[SMS_PROVIDER].isConfigured();
+}
+
+// Helper function to send an SMS through the selected provider
+async function sendSms(toPhone, body) {
+  if (!isSmsConfigured()) {
+    console.warn(`SMS provider "${SMS_PROVIDER}" not configured. SMS to ${toPhone} not sent.`);
+    return { success: false, error: 'SMS service not configured' };
+  }
+
+  try {
+    const { messageId } = await smsProviders[SMS_PROVIDER].send({ to: toPhone, body });
+    console.log(`✓ SMS sent to ${toPhone} via ${SMS_PROVIDER}${messageId ? `, ID: ${messageId}` : ''}`);
+    return { success: true, provider: SMS_PROVIDER, messageId };
+  } catch (error) {
+    console.error(`Error sending SMS to ${toPhone} via ${SMS_PROVIDER}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
 // OTP Configuration
 const OTP_EXPIRY_MINUTES = 10; // OTP expires in 10 minutes
 const MAX_OTP_ATTEMPTS = 5; // Maximum verification attempts
 const OTP_LENGTH = 6;
+const VERIFICATION_PROOF_EXPIRY = '30m'; // Time allowed between verifying an OTP and submitting signup
+
+// OTP rate limits (events are stored in otp_rate_events so limits survive restarts)
+const OTP_RESEND_COOLDOWN_SECONDS = 60; // Minimum time between codes to the same email/phone
+const MAX_OTP_SENDS_PER_DESTINATION_PER_HOUR = 5;
+const MAX_OTP_SENDS_PER_DESTINATION_PER_DAY = 10;
+const MAX_OTP_SENDS_PER_IP_PER_HOUR = 20;
+const MAX_OTP_SENDS_GLOBAL_PER_HOUR = parseInt(process.env.MAX_OTP_SENDS_GLOBAL_PER_HOUR) || 1000; // Caps total Twilio/SendGrid spend
+const MAX_OTP_VERIFY_ATTEMPTS_PER_IP_PER_HOUR = 50;
+const OTP_RATE_EVENT_RETENTION_HOURS = 25; // Longest window is a day; keep a little extra
 
 // Password hashing configuration
 const BCRYPT_SALT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const PASSWORD_SETUP_TOKEN_EXPIRY_HOURS = 72; // Set-password links expire in 3 days
+const PASSWORD_RESET_TOKEN_EXPIRY_HOURS = 1; // Forgot-password links expire in 1 hour
+const MAX_PASSWORD_RESET_REQUESTS_PER_EMAIL_PER_HOUR = 3;
+const MAX_PASSWORD_RESET_REQUESTS_PER_IP_PER_HOUR = 10;
 
 // JWT Configuration
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
 const JWT_EXPIRY = process.env.JWT_EXPIRY || '24h'; // Token expires in 24 hours
+const INVESTOR_JWT_EXPIRY = process.env.INVESTOR_JWT_EXPIRY || JWT_EXPIRY;
+const PARTNER_JWT_EXPIRY = process.env.PARTNER_JWT_EXPIRY || JWT_EXPIRY;
+
+// Admin session configuration (short-lived access tokens + rotating refresh tokens)
+const ADMIN_ACCESS_TOKEN_EXPIRY = process.env.ADMIN_ACCESS_TOKEN_EXPIRY || '15m';
+const ADMIN_SESSION_EXPIRY_DAYS = parseInt(process.env.ADMIN_SESSION_EXPIRY_DAYS) || 7; // Refresh token lifetime
+
+// Admin MFA (TOTP) Configuration
+const MFA_ISSUER = process.env.MFA_ISSUER || 'BAES Solutions';
+const MFA_PENDING_TOKEN_EXPIRY = '5m'; // Time allowed between password step and code step
+const MFA_RECOVERY_CODE_COUNT = 10;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Accept codes from one step before/after to allow for clock drift
+
+const ADMIN_ROLES = ['viewer', 'admin', 'super_admin'];
+
+// Invite configuration
+const INVITE_EXPIRY_DAYS = 30;
+const INVITE_REMINDER_DAYS_BEFORE_EXPIRY = 3; // One reminder is emailed this long before an unused invite expires
+const BULK_INVITE_MAX_ROWS = 200;
+
+// Admin login lockout configuration
+const LOGIN_FAILURE_WINDOW_MINUTES = 15;
+const MAX_LOGIN_FAILURES_PER_ACCOUNT = 5; // Failures within the window before the account is locked
+const MAX_LOGIN_FAILURES_PER_IP = 20; // Failures within the window before the IP is blocked
+const LOCKOUT_BASE_MINUTES = 15; // Doubles with each consecutive lockout
+const LOCKOUT_MAX_MINUTES = 24 * 60;
 
 if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
   console.warn('⚠️  WARNING: Using default JWT_SECRET. Set JWT_SECRET environment variable in production!');
@@ -105,9 +343,46 @@ if (METAAPI_TOKEN) {
   console.warn('⚠️  WARNING: METAAPI_TOKEN not found. MT5 metrics sync will not work.');
 }
 
+// Scheduled MT5 metrics sync configuration
+const MT5_SYNC_INTERVAL_MINUTES = parseInt(process.env.MT5_SYNC_INTERVAL_MINUTES) || 15;
+const MT5_SYNC_CONCURRENCY = parseInt(process.env.MT5_SYNC_CONCURRENCY) || 3; // Accounts synced at the same time
+const MT5_SYNC_JITTER_SECONDS = parseInt(process.env.MT5_SYNC_JITTER_SECONDS) || 20; // Random delay before each account, spreads MetaAPI load
+const MT5_SYNC_BACKOFF_BASE_MINUTES = 15; // Doubles with each consecutive failure
+const MT5_SYNC_BACKOFF_MAX_MINUTES = 12 * 60;
+const MT5_SYNC_STALE_MINUTES = 15; // A "syncing" status older than this is treated as abandoned
+const METRICS_HISTORY_DEFAULT_DAYS = 30;
+const METRICS_HISTORY_MAX_SNAPSHOTS = 50000; // Upper bound on rows read for one history request
+const ANALYTICS_DEFAULT_DAYS = 365;
+const ANALYTICS_PERIODS_PER_YEAR = 365; // Returns are measured per calendar day
+
+// MT5 trade history sync configuration
+const MT5_TRADE_SYNC_INTERVAL_MINUTES = parseInt(process.env.MT5_TRADE_SYNC_INTERVAL_MINUTES) || 60;
+const MT5_TRADE_HISTORY_START = '2000-01-01T00:00:00.000Z'; // First sync of an account pulls its full history
+const MT5_DEAL_SYNC_OVERLAP_MINUTES = 5; // Re-read a little before the last seen deal; upserts make this safe
+const MT5_DEAL_PAGE_SIZE = 1000;
+
+// Cash-flow ledger configuration
+const LEDGER_RECONCILIATION_TOLERANCE_PERCENT = parseFloat(process.env.LEDGER_RECONCILIATION_TOLERANCE_PERCENT) || 5; // Allowed gap between funded and declared amounts
+const LEDGER_RECONCILIATION_JOB_INTERVAL_MS = 60 * 60 * 1000;
+
 // Helper function to generate OTP
 function generateOTP() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+}
+
+// Helper function to hash an OTP for storage (bound to its destination so a hash can't be reused elsewhere)
+function hashOTP(type, destination, otp) {
+  return crypto
+    .createHmac('sha256', process.env.OTP_HMAC_SECRET || JWT_SECRET)
+    .update(`${type}:${destination}:${otp}`)
+    .digest('hex');
+}
+
+// Helper function to compare a submitted OTP against a stored hash in constant time
+function otpMatches(type, destination, otp, storedHash) {
+  const submittedHash = Buffer.from(hashOTP(type, destination, otp), 'hex');
+  const expectedHash = Buffer.from(storedHash || '', 'hex');
+  return expectedHash.length === submittedHash.length && crypto.timingSafeEqual(submittedHash, expectedHash);
 }
 
 // Helper function to format phone number (ensure E.164 format)
@@ -124,6 +399,192 @@ function formatPhoneNumber(phone) {
   return cleaned;
 }
 
+// Helper function to sign a proof that an email/phone was verified via OTP (returned by /api/verify-otp)
+function signVerificationProof(otpRecordId, type, destination) {
+  return jwt.sign(
+    {
+      type: 'verification_proof',
+      channel: type,
+      destination
+    },
+    JWT_SECRET,
+    { expiresIn: VERIFICATION_PROOF_EXPIRY, jwtid: String(otpRecordId) }
+  );
+}
+
+// Helper function to check a verification proof is valid for the given email/phone (returns its payload or null)
+function checkVerificationProof(proofToken, type, destination) {
+  if (!proofToken) {
+    return null;
+  }
+
+  try {
+    const payload = jwt.verify(proofToken, JWT_SECRET);
+    if (payload.type !== 'verification_proof' || payload.channel !== type || payload.destination !== destination) {
+      return null;
+    }
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+// Helper function to mark a verification proof as used so it can only back one signup
+async function consumeVerificationProof(proof) {
+  const { data, error } = await supabase
+    .from('otp_codes')
+    .update({ proof_consumed_at: new Date().toISOString() })
+    .eq('id', proof.jti)
+    .not('verified_at', 'is', null)
+    .is('proof_consumed_at', null)
+    .select('id')
+    .maybeSingle();
+
+  return !error && !!data;
+}
+
+// Helper function to make a consumed verification proof usable again (when signup is rolled back)
+async function releaseVerificationProof(proof) {
+  await supabase
+    .from('otp_codes')
+    .update({ proof_consumed_at: null })
+    .eq('id', proof.jti);
+}
+
+// Helper function to get how many seconds until a rate-limit window has room again (0 if under the limit).
+// Counts the events recorded up to and including `event`, which has already been inserted, so when
+// requests race the earliest ones get through and the rest are limited.
+async function getOtpRateLimitSeconds(filters, windowSeconds, maxEvents, event) {
+  const windowStart = new Date(new Date(event.created_at).getTime() - windowSeconds * 1000);
+
+  let query = supabase
+    .from('otp_rate_events')
+    .select('created_at', { count: 'exact' })
+    .gte('created_at', windowStart.toISOString())
+    .lte('created_at', event.created_at)
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  for (const [column, value] of Object.entries(filters)) {
+    query = query.eq(column, value);
+  }
+
+  const { data: events, count, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to check OTP rate limit: ${error.message}`);
+  }
+
+  if ((count || 0) <= maxEvents || !events || events.length === 0) {
+    return 0;
+  }
+
+  // Limited until the oldest event in the window ages out
+  const availableAt = new Date(events[0].created_at).getTime() + windowSeconds * 1000;
+  return Math.max(1, Math.ceil((availableAt - Date.now()) / 1000));
+}
+
+// Helper function to record an OTP send or verify attempt and check it against the given limits.
+// Recording first and then counting closes the gap where concurrent requests could all pass a check
+// before any of them was recorded. A rejected attempt is removed again so it doesn't extend the limit.
+// Returns { retryAfter, error } when the request must be rejected, otherwise null.
+async function reserveOtpRateEvent(action, type, destination, req, checks) {
+  const { data: event, error } = await supabase
+    .from('otp_rate_events')
+    .insert([
+      {
+        action,
+        type,
+        destination,
+        ip_address: getClientIp(req)
+      }
+    ])
+    .select('id, created_at')
+    .single();
+
+  if (error || !event) {
+    throw new Error(`Failed to record OTP rate event: ${error?.message}`);
+  }
+
+  for (const check of checks) {
+    if (check.perIp && !IP_RATE_LIMITS_ENABLED) continue;
+
+    const retryAfter = await getOtpRateLimitSeconds(check.filters, check.windowSeconds, check.maxEvents, event);
+    if (retryAfter > 0) {
+      await supabase.from('otp_rate_events').delete().eq('id', event.id);
+      if (check.isGlobal) {
+        console.warn(`Global OTP send limit of ${MAX_OTP_SENDS_GLOBAL_PER_HOUR}/hour reached`);
+      }
+      return { retryAfter, error: check.error };
+    }
+  }
+
+  return null;
+}
+
+// Helper function to reserve an OTP send for a destination under the destination, IP and global limits.
+// Returns { retryAfter, error } when the request must be rejected, otherwise null.
+async function reserveOtpSend(type, destination, req) {
+  const ipAddress = getClientIp(req);
+
+  return reserveOtpRateEvent('send', type, destination, req, [
+    {
+      filters: { action: 'send', type, destination },
+      windowSeconds: OTP_RESEND_COOLDOWN_SECONDS,
+      maxEvents: 1,
+      error: 'Please wait before requesting another verification code.'
+    },
+    {
+      filters: { action: 'send', type, destination },
+      windowSeconds: 60 * 60,
+      maxEvents: MAX_OTP_SENDS_PER_DESTINATION_PER_HOUR,
+      error: 'Too many verification codes requested. Please try again later.'
+    },
+    {
+      filters: { action: 'send', type, destination },
+      windowSeconds: 24 * 60 * 60,
+      maxEvents: MAX_OTP_SENDS_PER_DESTINATION_PER_DAY,
+      error: 'Daily limit of verification codes reached. Please try again tomorrow.'
+    },
+    {
+      filters: { action: 'send', ip_address: ipAddress },
+      windowSeconds: 60 * 60,
+      maxEvents: MAX_OTP_SENDS_PER_IP_PER_HOUR,
+      error: 'Too many verification codes requested from this network. Please try again later.',
+      perIp: true
+    },
+    {
+      filters: { action: 'send' },
+      windowSeconds: 60 * 60,
+      maxEvents: MAX_OTP_SENDS_GLOBAL_PER_HOUR,
+      error: 'Verification service is busy. Please try again later.',
+      isGlobal: true
+    }
+  ]);
+}
+
+// Background job: delete OTP rate events older than the longest limit window
+async function pruneOtpRateEvents() {
+  const { error } = await supabase
+    .from('otp_rate_events')
+    .delete()
+    .lt('created_at', new Date(Date.now() - OTP_RATE_EVENT_RETENTION_HOURS * 60 * 60 * 1000).toISOString());
+
+  if (error) {
+    throw new Error(`Failed to prune OTP rate events: ${error.message}`);
+  }
+}
+
+// Helper function to send a 429 response with a retry-after hint
+function sendRateLimited(res, limit) {
+  res.set('Retry-After', String(limit.retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: limit.error,
+    retryAfter: limit.retryAfter
+  });
+}
+
 // Helper function to hash passwords
 async function hashPassword(password) {
   return await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
@@ -134,6 +595,197 @@ async function verifyPassword(plainPassword, hashedPassword) {
   return await bcrypt.compare(plainPassword, hashedPassword);
 }
 
+// Helper function to hash one-time tokens (e.g. set-password links) before storing them
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Helper function to strip the password hash from a database record before returning it
+function omitPassword(record) {
+  if (!record) return record;
+  const { password, ...rest } = record;
+  return rest;
+}
+
+// Helper function to create a single-use password token (stored hashed)
+// subjectType: 'user' | 'admin' | 'partner', purpose: e.g. 'setup'
+async function createPasswordToken(subjectType, subjectId, purpose, expiresInHours) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+  // Invalidate any outstanding tokens for the same subject and purpose
+  await supabase
+    .from('password_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('subject_type', subjectType)
+    .eq('subject_id', subjectId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  const { error } = await supabase
+    .from('password_tokens')
+    .insert([
+      {
+        subject_type: subjectType,
+        subject_id: subjectId,
+        purpose,
+        token_hash: hashToken(token),
+        expires_at: expiresAt.toISOString()
+      }
+    ]);
+
+  if (error) {
+    throw new Error(`Failed to create password token: ${error.message}`);
+  }
+
+  return token;
+}
+
+// Helper function to consume a password token. Returns the token record, or null if invalid/expired/used
+async function consumePasswordToken(subjectType, token, purpose) {
+  const { data: record, error } = await supabase
+    .from('password_tokens')
+    .select('id, subject_id, purpose, expires_at, used_at')
+    .eq('subject_type', subjectType)
+    .eq('purpose', purpose)
+    .eq('token_hash', hashToken(token))
+    .single();
+
+  if (error || !record || record.used_at || new Date(record.expires_at) < new Date()) {
+    return null;
+  }
+
+  // Only mark it used if nobody else did in the meantime, so a token can't be redeemed twice
+  const usedAt = new Date().toISOString();
+  const { data: consumed } = await supabase
+    .from('password_tokens')
+    .update({ used_at: usedAt })
+    .eq('id', record.id)
+    .is('used_at', null)
+    .select('id');
+
+  if (!consumed || consumed.length === 0) {
+    return null;
+  }
+
+  return { ...record, used_at: usedAt };
+}
+
+// Helper function to hand a consumed password token back when the password change it was for failed,
+// so a database error doesn't burn the link
+async function releasePasswordToken(record) {
+  await supabase
+    .from('password_tokens')
+    .update({ used_at: null })
+    .eq('id', record.id)
+    .eq('used_at', record.used_at);
+}
+
+// Helper functions for base32 (RFC 4648), used by authenticator apps for TOTP secrets
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// Helper function to generate a TOTP code for a time step (RFC 6238, HMAC-SHA1)
+function generateTotpCode(secretBuffer, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', secretBuffer).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+}
+
+// Helper function to find the time step a TOTP code belongs to. Returns null if the code is invalid
+function findTotpStep(base32Secret, code) {
+  if (typeof code !== 'string' || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code)) {
+    return null;
+  }
+
+  const secretBuffer = base32Decode(base32Secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const step = currentStep + offset;
+    if (crypto.timingSafeEqual(Buffer.from(generateTotpCode(secretBuffer, step)), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+// Helper function to build the otpauth:// URI that authenticator apps scan as a QR code
+function buildTotpProvisioningUri(base32Secret, accountName) {
+  const label = `${encodeURIComponent(MFA_ISSUER)}:${encodeURIComponent(accountName)}`;
+  return `otpauth://totp/${label}?secret=${base32Secret}&issuer=${encodeURIComponent(MFA_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+}
+
+// Helper function to normalize a recovery code as typed by the user (case, dashes, spaces)
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+}
+
+// Helper function to generate MFA recovery codes. Only hashes are stored
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < MFA_RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(8).toString('hex');
+    codes.push(raw.match(/.{4}/g).join('-'));
+  }
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+}
+
 // MT5 Password Encryption Configuration
 const MT5_ENCRYPTION_KEY = process.env.MT5_PASSWORD_ENCRYPTION_KEY;
 const MT5_ENCRYPTION_ALGORITHM = 'aes-256-cbc';
@@ -190,10 +842,15 @@ function decryptMT5Password(encryptedPassword) {
   }
 }
 
-// Middleware to verify JWT token
+// Middleware to verify JWT token (or an API key sent in the X-API-Key header)
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  const apiKey = req.headers['x-api-key'];
+
+  if (!token && apiKey) {
+    return authenticateApiKey(apiKey, req, res, next);
+  }
 
   if (!token) {
     return res.status(401).json({
@@ -202,7 +859,7 @@ function authenticateToken(req, res, next) {
     });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, admin) => {
+  jwt.verify(token, JWT_SECRET, async (err, admin) => {
     if (err) {
       return res.status(403).json({
         success: false,
@@ -210,194 +867,943 @@ function authenticateToken(req, res, next) {
       });
     }
 
-    req.admin = admin; // Attach admin info to request
-    next();
-  });
-}
-
-// Middleware to check admin role
-function requireRole(...allowedRoles) {
-  return (req, res, next) => {
-    if (!req.admin) {
-      return res.status(401).json({
+    // Investor tokens are signed with the same secret, so check the token type explicitly
+    if (admin.type !== 'admin' || !admin.sid) {
+      return res.status(403).json({
         success: false,
-        error: 'Authentication required'
+        error: 'Invalid or expired token. Please login again.'
       });
     }
 
-    if (!allowedRoles.includes(req.admin.role)) {
-      return res.status(403).json({
+    try {
+      // Reject tokens whose session was revoked/expired or whose admin was disabled
+      const { data: session, error } = await supabase
+        .from('admin_sessions')
+        .select('id, revoked_at, expires_at, admins ( is_active )')
+        .eq('id', admin.sid)
+        .eq('admin_id', admin.id)
+        .single();
+
+      if (error || !session || session.revoked_at || new Date(session.expires_at) < new Date() || !session.admins?.is_active) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session has expired or been revoked. Please login again.'
+        });
+      }
+
+      req.admin = admin; // Attach admin info to request
+      next();
+    } catch (error) {
+      console.error('Admin authentication error:', error);
+      res.status(500).json({
         success: false,
-        error: 'Insufficient permissions'
+        error: 'Internal server error'
       });
     }
-
-    next();
-  };
+  });
 }
 
-// Helper function to log admin actions
-async function logAdminAction(adminId, adminEmail, action, resourceType, resourceId, details, req) {
-  try {
-    await supabase
-      .from('admin_audit_logs')
-      .insert([
-        {
-          admin_id: adminId,
-          admin_email: adminEmail,
-          action,
-          resource_type: resourceType,
-          resource_id: resourceId,
-          details: details || {},
-          ip_address: req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress,
-          user_agent: req.headers['user-agent']
-        }
-      ]);
-  } catch (error) {
-    console.error('Error logging admin action:', error);
-    // Don't fail the request if logging fails
-  }
+// Helper function to narrow an API key's scopes to what its creator's role currently grants
+async function getLiveApiKeyScopes(scopes, creatorRole) {
+  const mapping = await getRolePermissions();
+  const creatorPermissions = mapping[creatorRole] || [];
+  return (scopes || []).filter(scope => creatorPermissions.includes(scope) && !NON_DELEGABLE_PERMISSIONS.includes(scope));
 }
 
-// Helper function to sync MT5 metrics from MetaAPI
-async function syncMT5Metrics(mt5LoginId) {
-  if (!metaApi) {
-    throw new Error('MetaAPI not initialized');
+// Helper function to authenticate a request made with an admin API key
+async function authenticateApiKey(apiKey, req, res, next) {
+  // Keys only carry permission scopes, so they are refused on routes without a permission guard
+  // (e.g. the creator's own password, MFA and session routes)
+  if (!req.route?.stack.some(layer => layer.handle.isPermissionGuard)) {
+    return res.status(403).json({
+      success: false,
+      error: 'API keys cannot be used for this endpoint'
+    });
   }
 
   try {
-    // Get MT5 login details
-    const { data: mt5Login, error: fetchError } = await supabase
-      .from('mt5_logins')
-      .select('id, login, password, server, metaapi_account_id')
-      .eq('id', mt5LoginId)
+    const { data: key, error } = await supabase
+      .from('admin_api_keys')
+      .select('id, name, scopes, created_by, expires_at, revoked_at, admins ( is_active, role )')
+      .eq('key_hash', hashToken(apiKey))
       .single();
 
-    if (fetchError || !mt5Login) {
-      throw new Error('MT5 login not found');
+    if (error || !key || key.revoked_at || (key.expires_at && new Date(key.expires_at) < new Date()) || !key.admins?.is_active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid, expired or revoked API key'
+      });
     }
 
-    // Check if MetaAPI account exists (should have been created during signup)
-    if (!mt5Login.metaapi_account_id) {
-      throw new Error('MetaAPI account not found. Account should have been created during signup.');
-    }
+    await supabase
+      .from('admin_api_keys')
+      .update({
+        last_used_at: new Date().toISOString(),
+        last_used_ip: getClientIp(req)
+      })
+      .eq('id', key.id);
+
+    // Shaped like a decoded admin token so audit logging keeps working.
+    // A key never outlives its creator's access: scopes the creator has since lost are dropped.
+    req.admin = {
+      id: key.created_by,
+      email: `api-key:${key.name}`,
+      role: 'api_key',
+      type: 'api_key',
+      apiKeyId: key.id,
+      scopes: await getLiveApiKeyScopes(key.scopes, key.admins.role)
+    };
+    next();
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+}
 
-    // Import axios for HTTP requests
-    const axios = (await import('axios')).default;
+// Middleware to verify investor JWT token (issued by /api/login)
+function authenticateInvestor(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
-    // Get the MetaAPI account
-    const account = await metaApi.metatraderAccountApi.getAccount(mt5Login.metaapi_account_id);
-    console.log(`Using MetaAPI account ${account.id} for MT5 login ${mt5Login.login}`);
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required. Please provide a valid token.'
+    });
+  }
 
-    // Step 1: Check current account state
-    const stateResponse = await axios.get(
-      `https://mt-provisioning-api-v1.agiliumtrade.agiliumtrade.ai/users/current/accounts/${account.id}`,
-      { headers: { 'auth-token': METAAPI_TOKEN } }
-    );
-    let accountState = stateResponse.data;
-    console.log(`Account state: ${accountState.state}, Connection: ${accountState.connectionStatus}, Region: ${accountState.region}`);
+  jwt.verify(token, JWT_SECRET, async (err, investor) => {
+    if (err || investor.type !== 'investor') {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or expired token. Please login again.'
+      });
+    }
 
-    // Step 2: Deploy if not deployed
-    if (accountState.state !== 'DEPLOYED' && accountState.state !== 'DEPLOYING') {
-      console.log(`Deploying account ${account.id}...`);
-      await supabase
-        .from('mt5_logins')
-        .update({ sync_status: 'deploying' })
-        .eq('id', mt5LoginId);
-      
-      await account.deploy();
-      console.log(`Account ${account.id} deployment initiated`);
-      
-      // Wait for deployment to start
-      await new Promise(resolve => setTimeout(resolve, 5000));
-      
-      // Refresh state
-      const newStateResponse = await axios.get(
-        `https://mt-provisioning-api-v1.agiliumtrade.agiliumtrade.ai/users/current/accounts/${account.id}`,
-        { headers: { 'auth-token': METAAPI_TOKEN } }
-      );
-      accountState = newStateResponse.data;
+    try {
+      // Suspended or deleted investors lose access immediately, not when their token expires
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('id, status')
+        .eq('id', investor.id)
+        .single();
+
+      if (error || !user || user.status !== 'active') {
+        return res.status(403).json({
+          success: false,
+          error: 'Account is not active. Please contact support.'
+        });
+      }
+
+      req.investor = investor; // Attach investor info to request
+      next();
+    } catch (error) {
+      console.error('Investor authentication error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
     }
+  });
+}
 
-    // Step 3: Enable MetaStats API (if not enabled)
-    if (!accountState.metastatsApiEnabled) {
-      console.log(`Enabling MetaStats API for account ${account.id}...`);
-      try {
-        await axios.post(
-          `https://mt-provisioning-api-v1.agiliumtrade.agiliumtrade.ai/users/current/accounts/${account.id}/enable-metastats-api`,
-          {},
-          { headers: { 'auth-token': METAAPI_TOKEN } }
-        );
-        console.log(`✓ MetaStats API enabled for account ${account.id}`);
-      } catch (enableError) {
-        console.warn(`MetaStats enable warning: ${enableError.response?.data?.message || enableError.message}`);
+// Middleware to verify partner JWT token (issued by /api/partner/login)
+function authenticatePartner(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required. Please provide a valid token.'
+    });
+  }
+
+  jwt.verify(token, JWT_SECRET, async (err, partner) => {
+    if (err || partner.type !== 'partner') {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or expired token. Please login again.'
+      });
+    }
+
+    try {
+      // Inactive or suspended partners lose access immediately
+      const { data: currentPartner, error } = await supabase
+        .from('partners')
+        .select('id, status')
+        .eq('id', partner.id)
+        .single();
+
+      if (error || !currentPartner || currentPartner.status !== 'active') {
+        return res.status(403).json({
+          success: false,
+          error: 'Partner account is not active. Please contact support.'
+        });
       }
+
+      req.partner = partner; // Attach partner info to request
+      next();
+    } catch (error) {
+      console.error('Partner authentication error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
     }
+  });
+}
 
-    // Step 4: Check if still deploying or not connected
-    if (accountState.state === 'DEPLOYING' || accountState.connectionStatus !== 'CONNECTED') {
-      // Set status to deploying so frontend can retry
-      await supabase
-        .from('mt5_logins')
-        .update({ 
-          sync_status: 'deploying',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', mt5LoginId);
-      
-      // Throw error that will be caught by error handler
-      throw new Error(`DEPLOYING: Account is still being deployed and connecting to broker. State: ${accountState.state}, Connection: ${accountState.connectionStatus}. Please wait a few minutes and try again.`);
+// Middleware to check that the MT5 login in req.params belongs to the authenticated investor
+async function requireOwnMT5Login(req, res, next) {
+  try {
+    const { data: mt5Login, error } = await supabase
+      .from('mt5_logins')
+      .select('id, user_id, login, server, is_active, is_primary, created_at, metrics, metrics_last_synced, sync_status')
+      .eq('id', req.params.mt5LoginId)
+      .eq('user_id', req.investor.id)
+      .single();
+
+    // Respond with 404 rather than 403 so other users' login IDs can't be probed
+    if (error || !mt5Login) {
+      return res.status(404).json({
+        success: false,
+        error: 'MT5 login not found'
+      });
     }
 
-    // Account is deployed and connected, proceed with metrics fetch
-    // Status is already 'syncing' from the endpoint
+    req.mt5Login = mt5Login;
+    next();
+  } catch (error) {
+    console.error('MT5 ownership check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+}
 
-    // Step 5: Get region for MetaStats API
-    const region = accountState.region || 'new-york';
-    const metricsUrl = `https://metastats-api-v1.${region}.agiliumtrade.ai/users/current/accounts/${account.id}/metrics`;
-    console.log(`Fetching metrics from: ${metricsUrl}`);
+// Helper function to check whether a role ranks above another (ADMIN_ROLES is ordered lowest first;
+// anything that isn't an admin role, such as an API key, ranks below all of them)
+function isRoleAbove(role, otherRole) {
+  return ADMIN_ROLES.indexOf(role) > ADMIN_ROLES.indexOf(otherRole);
+}
+
+// Admin permissions (role -> permission mapping lives in the role_permissions table)
+const ADMIN_PERMISSIONS = {
+  'dashboard.read': 'View dashboard statistics',
+  'users.read': 'View investors and their MT5 accounts',
+  'users.write': 'Edit investors, change their status and send set-password links',
+  'users.delete': 'Delete investors',
+  'partners.read': 'View partners',
+  'partners.write': 'Edit partners and change their status',
+  'partners.delete': 'Delete partners',
+  'invites.read': 'View invites',
+  'invites.create': 'Create invites',
+  'invites.delete': 'Delete invites',
+  'mt5.read': 'View MT5 accounts and metrics',
+  'mt5.write': 'Add, edit and delete MT5 accounts',
+  'mt5.sync': 'Trigger MT5 metrics sync',
+  'audit.read': 'View the admin audit log',
+  'admins.manage': 'Invite, edit, disable and unlock admins and manage their sessions',
+  'security.manage': 'Change security policies such as mandatory MFA',
+  'permissions.manage': 'Change which permissions each role has',
+  'api_keys.manage': 'Issue, rotate and revoke API keys',
+  'maintenance.run': 'Run maintenance jobs such as cleaning up expired MT5 validations',
+  'email_templates.manage': 'Edit and preview email templates',
+  'messages.manage': 'View outbound emails/SMS and resend failed ones',
+  'ledger.read': 'View investor cash-flow ledgers and funding reconciliation',
+  'ledger.write': 'Add and void manual ledger entries and re-run reconciliation'
+};
+
+// Permissions only super_admin holds. Granting either to another role would let its holders make
+// themselves (or anyone) super_admin, so the role editor refuses them.
+const SUPER_ADMIN_ONLY_PERMISSIONS = ['admins.manage', 'permissions.manage'];
+
+// Scopes that can never be granted to an API key, so a leaked key cannot mint new keys or escalate
+const NON_DELEGABLE_PERMISSIONS = ['api_keys.manage', 'permissions.manage', 'admins.manage', 'security.manage'];
+
+// Used until a super admin edits the mapping for the first time
+const DEFAULT_ROLE_PERMISSIONS = {
+  viewer: ['dashboard.read', 'users.read', 'partners.read', 'invites.read', 'mt5.read', 'ledger.read'],
+  admin: [
+    'dashboard.read', 'users.read', 'users.write', 'users.delete',
+    'partners.read', 'partners.write', 'partners.delete',
+    'invites.read', 'invites.create', 'invites.delete',
+    'mt5.read', 'mt5.write', 'mt5.sync', 'audit.read',
+    'ledger.read', 'ledger.write'
+  ]
+};
+
+const ROLE_PERMISSIONS_CACHE_TTL_MS = 60 * 1000;
+let rolePermissionsCache = null;
+
+// Helper function to get the role -> permissions mapping (cached briefly to avoid a query per request)
+async function getRolePermissions() {
+  if (rolePermissionsCache && Date.now() - rolePermissionsCache.loadedAt < ROLE_PERMISSIONS_CACHE_TTL_MS) {
+    return rolePermissionsCache.mapping;
+  }
+
+  const { data, error } = await supabase
+    .from('role_permissions')
+    .select('role, permission');
+
+  if (error) {
+    console.error('Error loading role permissions:', error);
+    // Keep serving the last known mapping rather than locking everyone out
+    return rolePermissionsCache?.mapping || { ...DEFAULT_ROLE_PERMISSIONS, super_admin: Object.keys(ADMIN_PERMISSIONS) };
+  }
+
+  let mapping;
+  if (!data || data.length === 0) {
+    mapping = { ...DEFAULT_ROLE_PERMISSIONS };
+  } else {
+    mapping = { viewer: [], admin: [] };
+    for (const row of data) {
+      if (mapping[row.role] && ADMIN_PERMISSIONS[row.permission] && !SUPER_ADMIN_ONLY_PERMISSIONS.includes(row.permission)) {
+        mapping[row.role].push(row.permission);
+      }
+    }
+  }
+
+  // super_admin always has every permission so the mapping can never lock everyone out
+  mapping.super_admin = Object.keys(ADMIN_PERMISSIONS);
+
+  rolePermissionsCache = { mapping, loadedAt: Date.now() };
+  return mapping;
+}
+
+// Helper function to check if an authenticated admin (or API key) has a permission
+async function hasPermission(admin, permission) {
+  if (admin.apiKeyId) {
+    return admin.scopes.includes(permission);
+  }
+
+  const mapping = await getRolePermissions();
+  return (mapping[admin.role] || []).includes(permission);
+}
+
+// Middleware to check admin permissions (all listed permissions are required)
+function requirePermission(...requiredPermissions) {
+  const guard = async (req, res, next) => {
+    if (!req.admin) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
 
-    // Step 2: Fetch metrics from MetaStats API using the correct region
-    let metricsData;
     try {
-      const metricsResponse = await axios.get(metricsUrl, {
-        headers: {
-          'auth-token': METAAPI_TOKEN
+      for (const permission of requiredPermissions) {
+        if (!(await hasPermission(req.admin, permission))) {
+          return res.status(403).json({
+            success: false,
+            error: 'Insufficient permissions'
+          });
         }
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
       });
-      metricsData = metricsResponse.data;
-      console.log(`Successfully fetched metrics for account ${account.id}`);
-    } catch (metricsError) {
-      throw new Error(`Failed to fetch metrics: ${metricsError.response?.data?.message || metricsError.message}. Account may need more time to synchronize with broker.`);
     }
+  };
 
-    // Check if metrics data is available
-    if (!metricsData || typeof metricsData !== 'object') {
-      throw new Error('Metrics data not available. Account may still be synchronizing with broker.');
-    }
+  // Lets authenticateToken tell which routes API keys may call
+  guard.isPermissionGuard = true;
+  return guard;
+}
 
-    // Extract metrics from nested structure
-    const accountMetrics = metricsData.metrics || metricsData;
+// Helper function to get the client IP address of a request
+// (req.ip honours the trust proxy setting; the raw X-Forwarded-For header is client-controlled and never used)
+function getClientIp(req) {
+  return req.ip || req.socket.remoteAddress;
+}
 
-    // Validate essential metrics
-    if (accountMetrics.balance === undefined && accountMetrics.equity === undefined) {
-      throw new Error('Account metrics incomplete. Please verify MT5 credentials and ensure account is connected to broker.');
+// Helper function to sign a short-lived admin access token bound to a session
+function signAdminAccessToken(admin, sessionId) {
+  return jwt.sign(
+    {
+      id: admin.id,
+      email: admin.email,
+      role: admin.role,
+      fullName: admin.full_name,
+      type: 'admin',
+      sid: sessionId
+    },
+    JWT_SECRET,
+    { expiresIn: ADMIN_ACCESS_TOKEN_EXPIRY }
+  );
+}
+
+// Helper function to start an admin session. Only a hash of the refresh token is stored.
+async function createAdminSession(admin, req) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + ADMIN_SESSION_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+  const { data: session, error } = await supabase
+    .from('admin_sessions')
+    .insert([
+      {
+        admin_id: admin.id,
+        refresh_token_hash: hashToken(refreshToken),
+        ip_address: getClientIp(req),
+        user_agent: req.headers['user-agent'],
+        expires_at: expiresAt.toISOString(),
+        last_used_at: new Date().toISOString()
+      }
+    ])
+    .select('id, expires_at')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create admin session: ${error.message}`);
+  }
+
+  return {
+    session,
+    accessToken: signAdminAccessToken(admin, session.id),
+    refreshToken
+  };
+}
+
+// Helper function to revoke all active sessions of an admin (optionally keeping one)
+async function revokeAdminSessions(adminId, reason, exceptSessionId = null) {
+  let query = supabase
+    .from('admin_sessions')
+    .update({
+      revoked_at: new Date().toISOString(),
+      revoked_reason: reason
+    })
+    .eq('admin_id', adminId)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) {
+    query = query.neq('id', exceptSessionId);
+  }
+
+  const { error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to revoke admin sessions: ${error.message}`);
+  }
+}
+
+// Helper function to read a setting from the app_settings table
+async function getAppSetting(key, defaultValue) {
+  const { data, error } = await supabase
+    .from('app_settings')
+    .select('value')
+    .eq('key', key)
+    .single();
+
+  if (error || !data) {
+    return defaultValue;
+  }
+
+  return data.value;
+}
+
+// Helper function to save a setting to the app_settings table
+async function setAppSetting(key, value, adminId) {
+  const { error } = await supabase
+    .from('app_settings')
+    .upsert({
+      key,
+      value,
+      updated_by: adminId,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'key' });
+
+  if (error) {
+    throw new Error(`Failed to save setting ${key}: ${error.message}`);
+  }
+}
+
+// Helper function to check whether super admins have made MFA mandatory for a role
+async function isMfaRequiredForRole(role) {
+  const policy = await getAppSetting('admin_mfa_policy', { requiredRoles: [] });
+  return (policy.requiredRoles || []).includes(role);
+}
+
+// Admin columns needed for MFA checks
+const ADMIN_MFA_COLUMNS = 'id, email, full_name, role, is_active, mfa_enabled, mfa_secret, mfa_pending_secret, mfa_recovery_codes, mfa_last_used_step, locked_until, lockout_count, login_failures_reset_at';
+
+// Helper function to start MFA enrollment. The secret stays pending until confirmed with a valid code
+async function beginMfaEnrollment(admin) {
+  // encryptMT5Password falls back to plaintext without a key; TOTP secrets must never be stored that way
+  if (!MT5_ENCRYPTION_KEY) {
+    throw new Error('MT5_PASSWORD_ENCRYPTION_KEY is not set; refusing to store an unencrypted TOTP secret');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  const { error } = await supabase
+    .from('admins')
+    .update({
+      // TOTP secrets reuse the MT5 password encryption so they're never stored in plaintext
+      mfa_pending_secret: encryptMT5Password(secret),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', admin.id);
+
+  if (error) {
+    throw new Error(`Failed to start MFA enrollment: ${error.message}`);
+  }
+
+  return {
+    secret,
+    otpauthUri: buildTotpProvisioningUri(secret, admin.email)
+  };
+}
+
+// Helper function to confirm MFA enrollment. Returns the plaintext recovery codes, or null if the code is wrong
+async function confirmMfaEnrollment(admin, code) {
+  if (!admin.mfa_pending_secret) {
+    return null;
+  }
+
+  const step = findTotpStep(decryptMT5Password(admin.mfa_pending_secret), code);
+  if (step === null) {
+    return null;
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  const { error } = await supabase
+    .from('admins')
+    .update({
+      mfa_enabled: true,
+      mfa_secret: admin.mfa_pending_secret,
+      mfa_pending_secret: null,
+      mfa_recovery_codes: hashes,
+      mfa_last_used_step: step,
+      mfa_enabled_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', admin.id);
+
+  if (error) {
+    throw new Error(`Failed to enable MFA: ${error.message}`);
+  }
+
+  return codes;
+}
+
+// Helper function to verify an admin's TOTP code. Each code can only be used once
+async function verifyAdminMfaCode(admin, code) {
+  if (!admin.mfa_enabled || !admin.mfa_secret) {
+    return false;
+  }
+
+  const step = findTotpStep(decryptMT5Password(admin.mfa_secret), code);
+  const lastUsedStep = admin.mfa_last_used_step ?? null;
+
+  if (step === null || (lastUsedStep !== null && step <= lastUsedStep)) {
+    return false;
+  }
+
+  // Record the step only if it hasn't changed since we read it, so a code can't be replayed concurrently
+  let query = supabase
+    .from('admins')
+    .update({ mfa_last_used_step: step })
+    .eq('id', admin.id);
+
+  query = lastUsedStep === null
+    ? query.is('mfa_last_used_step', null)
+    : query.eq('mfa_last_used_step', lastUsedStep);
+
+  const { data: updated } = await query.select('id');
+  return !!updated && updated.length > 0;
+}
+
+// Helper function to use up one of an admin's MFA recovery codes
+async function consumeMfaRecoveryCode(admin, recoveryCode) {
+  const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+  const remainingCodes = admin.mfa_recovery_codes || [];
+
+  if (!remainingCodes.includes(codeHash)) {
+    return false;
+  }
+
+  // Only update if the codes are still exactly what we read, so two logins can't both spend the same
+  // code (and a concurrent use of another code isn't undone by writing back a stale list)
+  const { data: updated, error } = await supabase
+    .from('admins')
+    .update({ mfa_recovery_codes: remainingCodes.filter(hash => hash !== codeHash) })
+    .eq('id', admin.id)
+    .contains('mfa_recovery_codes', remainingCodes)
+    .containedBy('mfa_recovery_codes', remainingCodes)
+    .select('id');
+
+  return !error && !!updated && updated.length > 0;
+}
+
+// Helper function to verify a short-lived "mfa pending" token issued by the password step of admin login
+function verifyMfaPendingToken(mfaToken, purpose) {
+  try {
+    const payload = jwt.verify(mfaToken, JWT_SECRET);
+    if (payload.type !== 'admin_mfa_pending' || payload.purpose !== purpose) {
+      return null;
     }
+    return payload;
+  } catch {
+    return null;
+  }
+}
 
-    // Calculate margin level if we have margin
-    const marginLevel = accountMetrics.margin > 0 
-      ? (accountMetrics.equity / accountMetrics.margin) * 100 
-      : 0;
+// Where login attempts and lockout state live for each kind of account with a password login
+const LOGIN_ACCOUNT_TYPES = {
+  admin: { attemptsTable: 'admin_login_attempts', idColumn: 'admin_id', accountsTable: 'admins' },
+  partner: { attemptsTable: 'partner_login_attempts', idColumn: 'partner_id', accountsTable: 'partners' },
+  investor: { attemptsTable: 'investor_login_attempts', idColumn: 'user_id', accountsTable: 'users' }
+};
 
-    // Format metrics with safe access
-    const metrics = {
-      balance: accountMetrics.balance ?? 0,
-      equity: accountMetrics.equity ?? 0,
-      margin: accountMetrics.margin ?? 0,
-      freeMargin: accountMetrics.freeMargin ?? 0,
-      marginLevel: marginLevel,
-      profit: accountMetrics.profit ?? 0,
-      credit: accountMetrics.credit ?? 0,
+// Helper function to record a login attempt (kept in the database so restarts don't reset lockouts)
+async function recordLoginAttempt(accountType, email, accountId, succeeded, reason, req) {
+  const { attemptsTable, idColumn } = LOGIN_ACCOUNT_TYPES[accountType];
+
+  try {
+    await supabase
+      .from(attemptsTable)
+      .insert([
+        {
+          email: email.toLowerCase(),
+          [idColumn]: accountId,
+          ip_address: getClientIp(req),
+          succeeded,
+          reason: reason || null
+        }
+      ]);
+  } catch (error) {
+    console.error('Error recording login attempt:', error);
+  }
+}
+
+// Helper function to get how many seconds remain before an IP may try to log in again (0 if not blocked)
+async function getIpLoginBlockSeconds(accountType, req) {
+  if (!IP_RATE_LIMITS_ENABLED) {
+    return 0;
+  }
+
+  const windowStart = new Date(Date.now() - LOGIN_FAILURE_WINDOW_MINUTES * 60 * 1000);
+
+  const { data: failures, count } = await supabase
+    .from(LOGIN_ACCOUNT_TYPES[accountType].attemptsTable)
+    .select('created_at', { count: 'exact' })
+    .eq('ip_address', getClientIp(req))
+    .eq('succeeded', false)
+    .gte('created_at', windowStart.toISOString())
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if ((count || 0) < MAX_LOGIN_FAILURES_PER_IP || !failures || failures.length === 0) {
+    return 0;
+  }
+
+  // Blocked until the oldest failure in the window ages out
+  const unblockAt = new Date(failures[0].created_at).getTime() + LOGIN_FAILURE_WINDOW_MINUTES * 60 * 1000;
+  return Math.max(1, Math.ceil((unblockAt - Date.now()) / 1000));
+}
+
+// Helper function to get how many seconds remain on an account's lockout (0 if not locked)
+function getLockSeconds(account) {
+  if (!account.locked_until) {
+    return 0;
+  }
+
+  return Math.max(0, Math.ceil((new Date(account.locked_until).getTime() - Date.now()) / 1000));
+}
+
+// Helper function to count a failed login and lock the account once the limit is reached.
+// Returns the lockout in seconds if the account was locked by this failure, otherwise 0
+async function handleFailedLogin(accountType, account, reason, req) {
+  const { attemptsTable, idColumn, accountsTable } = LOGIN_ACCOUNT_TYPES[accountType];
+  await recordLoginAttempt(accountType, account.email, account.id, false, reason, req);
+
+  const windowStart = Date.now() - LOGIN_FAILURE_WINDOW_MINUTES * 60 * 1000;
+  const resetAt = account.login_failures_reset_at ? new Date(account.login_failures_reset_at).getTime() : 0;
+
+  const { count } = await supabase
+    .from(attemptsTable)
+    .select('*', { count: 'exact', head: true })
+    .eq(idColumn, account.id)
+    .eq('succeeded', false)
+    .neq('reason', 'account_locked')
+    .gte('created_at', new Date(Math.max(windowStart, resetAt)).toISOString());
+
+  if ((count || 0) < MAX_LOGIN_FAILURES_PER_ACCOUNT) {
+    return 0;
+  }
+
+  // Escalating backoff: 15m, 30m, 1h, ... capped at 24h
+  const lockoutCount = account.lockout_count || 0;
+  const lockMinutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** lockoutCount, LOCKOUT_MAX_MINUTES);
+  const lockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+
+  await supabase
+    .from(accountsTable)
+    .update({
+      locked_until: lockedUntil.toISOString(),
+      lockout_count: lockoutCount + 1,
+      // Failures before the lock don't count toward the next one
+      login_failures_reset_at: new Date().toISOString()
+    })
+    .eq('id', account.id);
+
+  await logAdminAction(
+    accountType === 'admin' ? account.id : null,
+    account.email,
+    'account_locked',
+    accountType,
+    account.id,
+    { lockedUntil: lockedUntil.toISOString(), lockMinutes, lockoutCount: lockoutCount + 1, failures: count },
+    req
+  );
+
+  // Admins get an email about the lock; partners and investors see it on their next login attempt
+  if (accountType !== 'admin') {
+    return lockMinutes * 60;
+  }
+
+  sendAdminLockoutEmail(account.email, account.full_name, lockedUntil, getClientIp(req))
+    .then((result) => {
+      if (!result.success) {
+        console.warn(`✗ Failed to send lockout notification to ${account.email}: ${result.error}`);
+      }
+    })
+    .catch((error) => {
+      console.error('✗ Error sending lockout notification:', error);
+    });
+
+  return lockMinutes * 60;
+}
+
+// Helper function to finish an admin login: starts a session and returns the login response data
+async function completeAdminLogin(admin, req, details = {}) {
+  // Update last login time and clear failed-attempt state
+  await supabase
+    .from('admins')
+    .update({
+      last_login_at: new Date().toISOString(),
+      locked_until: null,
+      lockout_count: 0,
+      login_failures_reset_at: new Date().toISOString()
+    })
+    .eq('id', admin.id);
+
+  await recordLoginAttempt('admin', admin.email, admin.id, true, null, req);
+
+  // Start a session: short-lived access token plus a rotating refresh token
+  const { session, accessToken, refreshToken } = await createAdminSession(admin, req);
+
+  // Log successful login
+  await logAdminAction(
+    admin.id,
+    admin.email,
+    'login_success',
+    'admin',
+    admin.id,
+    { sessionId: session.id, ...details },
+    req
+  );
+
+  const rolePermissions = await getRolePermissions();
+
+  return {
+    token: accessToken,
+    refreshToken,
+    sessionId: session.id,
+    sessionExpiresAt: session.expires_at,
+    admin: {
+      id: admin.id,
+      email: admin.email,
+      fullName: admin.full_name,
+      role: admin.role,
+      permissions: rolePermissions[admin.role] || []
+    }
+  };
+}
+
+// Helper function to log admin actions (req is null for actions taken by background jobs)
+async function logAdminAction(adminId, adminEmail, action, resourceType, resourceId, details, req) {
+  try {
+    await supabase
+      .from('admin_audit_logs')
+      .insert([
+        {
+          admin_id: adminId,
+          admin_email: adminEmail,
+          action,
+          resource_type: resourceType,
+          resource_id: resourceId,
+          details: details || {},
+          ip_address: req ? getClientIp(req) : null,
+          user_agent: req ? req.headers['user-agent'] : null
+        }
+      ]);
+  } catch (error) {
+    console.error('Error logging admin action:', error);
+    // Don't fail the request if logging fails
+  }
+}
+
+// Helper function to sync MT5 metrics from MetaAPI.
+// With allowDeploy false, an account that isn't already deployed is left alone and { skipped: true } is returned.
+async function syncMT5Metrics(mt5LoginId, { allowDeploy = true } = {}) {
+  if (!metaApi) {
+    throw new Error('MetaAPI not initialized');
+  }
+
+  let previousFailureCount = 0;
+
+  try {
+    // Get MT5 login details
+    const { data: mt5Login, error: fetchError } = await supabase
+      .from('mt5_logins')
+      .select('id, login, password, server, metaapi_account_id, sync_failure_count')
+      .eq('id', mt5LoginId)
+      .single();
+
+    if (fetchError || !mt5Login) {
+      throw new Error('MT5 login not found');
+    }
+
+    previousFailureCount = mt5Login.sync_failure_count || 0;
+
+    // Check if MetaAPI account exists (should have been created during signup)
+    if (!mt5Login.metaapi_account_id) {
+      throw new Error('MetaAPI account not found. Account should have been created during signup.');
+    }
+
+    // Import axios for HTTP requests
+    const axios = (await import('axios')).default;
+
+    // Get the MetaAPI account
+    const account = await metaApi.metatraderAccountApi.getAccount(mt5Login.metaapi_account_id);
+    console.log(`Using MetaAPI account ${account.id} for MT5 login ${mt5Login.login}`);
+
+    // Step 1: Check current account state
+    const stateResponse = await axios.get(
+      `https://mt-provisioning-api-v1.agiliumtrade.agiliumtrade.ai/users/current/accounts/${account.id}`,
+      { headers: { 'auth-token': METAAPI_TOKEN } }
+    );
+    let accountState = stateResponse.data;
+    console.log(`Account state: ${accountState.state}, Connection: ${accountState.connectionStatus}, Region: ${accountState.region}`);
+
+    // Scheduled syncs must not deploy (and start billing for) accounts that were undeployed
+    if (!allowDeploy && accountState.state !== 'DEPLOYED') {
+      return { success: false, skipped: true, state: accountState.state };
+    }
+
+    // Step 2: Deploy if not deployed
+    if (accountState.state !== 'DEPLOYED' && accountState.state !== 'DEPLOYING') {
+      console.log(`Deploying account ${account.id}...`);
+      await supabase
+        .from('mt5_logins')
+        .update({ sync_status: 'deploying' })
+        .eq('id', mt5LoginId);
+      
+      await account.deploy();
+      console.log(`Account ${account.id} deployment initiated`);
+      
+      // Wait for deployment to start
+      await new Promise(resolve => setTimeout(resolve, 5000));
+      
+      // Refresh state
+      const newStateResponse = await axios.get(
+        `https://mt-provisioning-api-v1.agiliumtrade.agiliumtrade.ai/users/current/accounts/${account.id}`,
+        { headers: { 'auth-token': METAAPI_TOKEN } }
+      );
+      accountState = newStateResponse.data;
+    }
+
+    // Step 3: Enable MetaStats API (if not enabled)
+    if (!accountState.metastatsApiEnabled) {
+      console.log(`Enabling MetaStats API for account ${account.id}...`);
+      try {
+        await axios.post(
+          `https://mt-provisioning-api-v1.agiliumtrade.agiliumtrade.ai/users/current/accounts/${account.id}/enable-metastats-api`,
+          {},
+          { headers: { 'auth-token': METAAPI_TOKEN } }
+        );
+        console.log(`✓ MetaStats API enabled for account ${account.id}`);
+      } catch (enableError) {
+        console.warn(`MetaStats enable warning: ${enableError.response?.data?.message || enableError.message}`);
+      }
+    }
+
+    // Step 4: Check if still deploying or not connected
+    if (accountState.state === 'DEPLOYING' || accountState.connectionStatus !== 'CONNECTED') {
+      // Set status to deploying so frontend can retry
+      await supabase
+        .from('mt5_logins')
+        .update({ 
+          sync_status: 'deploying',
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', mt5LoginId);
+      
+      // Throw error that will be caught by error handler
+      throw new Error(`DEPLOYING: Account is still being deployed and connecting to broker. State: ${accountState.state}, Connection: ${accountState.connectionStatus}. Please wait a few minutes and try again.`);
+    }
+
+    // Account is deployed and connected, proceed with metrics fetch
+    // Status is already 'syncing' from the endpoint
+
+    // Step 5: Get region for MetaStats API
+    const region = accountState.region || 'new-york';
+    const metricsUrl = `https://metastats-api-v1.${region}.agiliumtrade.ai/users/current/accounts/${account.id}/metrics`;
+    console.log(`Fetching metrics from: ${metricsUrl}`);
+
+    // Step 2: Fetch metrics from MetaStats API using the correct region
+    let metricsData;
+    try {
+      const metricsResponse = await axios.get(metricsUrl, {
+        headers: {
+          'auth-token': METAAPI_TOKEN
+        }
+      });
+      metricsData = metricsResponse.data;
+      console.log(`Successfully fetched metrics for account ${account.id}`);
+    } catch (metricsError) {
+      throw new Error(`Failed to fetch metrics: ${metricsError.response?.data?.message || metricsError.message}. Account may need more time to synchronize with broker.`);
+    }
+
+    // Check if metrics data is available
+    if (!metricsData || typeof metricsData !== 'object') {
+      throw new Error('Metrics data not available. Account may still be synchronizing with broker.');
+    }
+
+    // Extract metrics from nested structure
+    const accountMetrics = metricsData.metrics || metricsData;
+
+    // Validate essential metrics
+    if (accountMetrics.balance === undefined && accountMetrics.equity === undefined) {
+      throw new Error('Account metrics incomplete. Please verify MT5 credentials and ensure account is connected to broker.');
+    }
+
+    // Calculate margin level if we have margin
+    const marginLevel = accountMetrics.margin > 0 
+      ? (accountMetrics.equity / accountMetrics.margin) * 100 
+      : 0;
+
+    // Format metrics with safe access
+    const metrics = {
+      balance: accountMetrics.balance ?? 0,
+      equity: accountMetrics.equity ?? 0,
+      margin: accountMetrics.margin ?? 0,
+      freeMargin: accountMetrics.freeMargin ?? 0,
+      marginLevel: marginLevel,
+      profit: accountMetrics.profit ?? 0,
+      credit: accountMetrics.credit ?? 0,
       leverage: accountMetrics.leverage ?? 0,
       currency: accountMetrics.currency || 'USD',
       type: accountMetrics.type || 'hedging',
@@ -406,6 +1812,7 @@ async function syncMT5Metrics(mt5LoginId) {
       positions: accountMetrics.openPositions ?? accountMetrics.trades ?? 0,
       orders: accountMetrics.openOrders ?? 0,
       deposits: accountMetrics.deposits ?? 0,
+      withdrawals: accountMetrics.withdrawals ?? 0,
       equityPercent: accountMetrics.equityPercent ?? 100,
       accountInfo: {
         name: accountState.name || '',
@@ -418,123 +1825,6296 @@ async function syncMT5Metrics(mt5LoginId) {
       lastUpdate: new Date().toISOString()
     };
 
-    // Update database with metrics
-    const { error: updateError } = await supabase
-      .from('mt5_logins')
-      .update({
-        metrics: metrics,
-        metrics_last_synced: new Date().toISOString(),
-        sync_status: 'success',
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', mt5LoginId);
+    // Update database with metrics
+    const { error: updateError } = await supabase
+      .from('mt5_logins')
+      .update({
+        metrics: metrics,
+        metrics_last_synced: new Date().toISOString(),
+        sync_status: 'success',
+        sync_failure_count: 0,
+        next_sync_after: null,
+        last_sync_error: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', mt5LoginId);
+
+    if (updateError) {
+      throw new Error(`Failed to update metrics: ${updateError.message}`);
+    }
+
+    // Keep every sync as a snapshot for history; losing one shouldn't fail the sync
+    const { error: snapshotError } = await supabase
+      .from('mt5_metrics_snapshots')
+      .insert([
+        {
+          mt5_login_id: mt5LoginId,
+          balance: metrics.balance,
+          equity: metrics.equity,
+          margin: metrics.margin,
+          free_margin: metrics.freeMargin,
+          profit: metrics.profit,
+          credit: metrics.credit,
+          positions: metrics.positions,
+          orders: metrics.orders,
+          deposits: metrics.deposits,
+          withdrawals: metrics.withdrawals,
+          currency: metrics.currency,
+          captured_at: metrics.lastUpdate
+        }
+      ]);
+
+    if (snapshotError) {
+      console.error(`Error saving metrics snapshot for login ${mt5LoginId}:`, snapshotError);
+    }
+
+    return { success: true, metrics };
+
+  } catch (error) {
+    console.error(`Error syncing MT5 metrics for login ${mt5LoginId}:`, error);
+
+    // Determine user-friendly error message and sync status
+    let errorMessage = error.message;
+    let syncStatus = 'failed';
+    
+    if (error.message?.includes('DEPLOYING') || error.message?.includes('still being deployed') || error.message?.includes('not connected to broker yet')) {
+      syncStatus = 'deploying';
+      // Extract clean message without prefix
+      errorMessage = error.message.replace('DEPLOYING: ', '');
+      // Make it cleaner for frontend
+      if (errorMessage.includes('State:') || errorMessage.includes('Connection:')) {
+        errorMessage = 'Account is being deployed and connecting to broker. Please wait a few minutes and try again.';
+      }
+    } else if (error.message?.includes('timeout') || error.message?.includes('Timeout')) {
+      errorMessage = 'Connection timeout. Account may not be connected to broker.';
+    } else if (error.message?.includes('credentials') || error.message?.includes('authentication')) {
+      errorMessage = 'Invalid MT5 credentials. Please verify login, password, and server.';
+    } else if (error.message?.includes('not found')) {
+      errorMessage = 'MT5 account not found in database.';
+    }
+
+    // Update status with error message. Real failures back the account off from scheduled syncs;
+    // an account that is still deploying is simply retried on the next run.
+    const failureUpdate = { last_sync_error: errorMessage };
+    if (syncStatus === 'failed') {
+      const failureCount = previousFailureCount + 1;
+      const backoffMinutes = Math.min(
+        MT5_SYNC_BACKOFF_BASE_MINUTES * Math.pow(2, failureCount - 1),
+        MT5_SYNC_BACKOFF_MAX_MINUTES
+      );
+      failureUpdate.sync_failure_count = failureCount;
+      failureUpdate.next_sync_after = new Date(Date.now() + backoffMinutes * 60 * 1000).toISOString();
+    }
+
+    await supabase
+      .from('mt5_logins')
+      .update({ 
+        sync_status: syncStatus,
+        ...failureUpdate,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', mt5LoginId);
+
+    // Log detailed error for debugging
+    console.error(`[MetaAPI Sync Failed] Login ID: ${mt5LoginId}, Error: ${errorMessage}, Details:`, {
+      originalError: error.message,
+      stack: error.stack?.split('\n')[0]
+    });
+
+    throw new Error(errorMessage);
+  }
+}
+
+// Helper function to load metrics snapshots for an MT5 login, oldest first
+async function getMT5MetricsSnapshots(mt5LoginId, from, to) {
+  const pageSize = 1000;
+  const snapshots = [];
+
+  while (snapshots.length < METRICS_HISTORY_MAX_SNAPSHOTS) {
+    const { data, error } = await supabase
+      .from('mt5_metrics_snapshots')
+      .select('balance, equity, margin, free_margin, profit, credit, positions, orders, deposits, withdrawals, currency, captured_at')
+      .eq('mt5_login_id', mt5LoginId)
+      .gte('captured_at', from.toISOString())
+      .lte('captured_at', to.toISOString())
+      .order('captured_at', { ascending: true })
+      .range(snapshots.length, snapshots.length + pageSize - 1);
+
+    if (error) {
+      throw new Error(`Failed to load metrics history: ${error.message}`);
+    }
+
+    snapshots.push(...data);
+    if (data.length < pageSize) break;
+  }
+
+  return snapshots;
+}
+
+// Helper function to get the start of the UTC hour/day/month a timestamp falls in
+function getMetricsBucketStart(timestamp, interval) {
+  const date = new Date(timestamp);
+  if (interval === 'hourly') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours())).toISOString();
+  }
+  if (interval === 'daily') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())).toISOString();
+  }
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)).toISOString();
+}
+
+// Helper function to format a snapshot row for API responses
+function formatMetricsSnapshot(snapshot) {
+  return {
+    capturedAt: snapshot.captured_at,
+    balance: parseFloat(snapshot.balance),
+    equity: parseFloat(snapshot.equity),
+    margin: parseFloat(snapshot.margin),
+    freeMargin: parseFloat(snapshot.free_margin),
+    profit: parseFloat(snapshot.profit),
+    credit: parseFloat(snapshot.credit),
+    positions: snapshot.positions,
+    orders: snapshot.orders,
+    deposits: parseFloat(snapshot.deposits),
+    withdrawals: parseFloat(snapshot.withdrawals || 0),
+    currency: snapshot.currency
+  };
+}
+
+// Helper function to downsample snapshots to one point per hour/day/month.
+// Each point carries the last snapshot of its period plus the equity range seen during it.
+function downsampleMetricsSnapshots(snapshots, interval) {
+  if (interval === 'raw') {
+    return snapshots.map(formatMetricsSnapshot);
+  }
+
+  const buckets = new Map();
+  for (const snapshot of snapshots) {
+    const periodStart = getMetricsBucketStart(snapshot.captured_at, interval);
+    const equity = parseFloat(snapshot.equity);
+    const bucket = buckets.get(periodStart);
+
+    if (!bucket) {
+      buckets.set(periodStart, { periodStart, last: snapshot, equityOpen: equity, equityHigh: equity, equityLow: equity, samples: 1 });
+    } else {
+      bucket.last = snapshot;
+      bucket.equityHigh = Math.max(bucket.equityHigh, equity);
+      bucket.equityLow = Math.min(bucket.equityLow, equity);
+      bucket.samples++;
+    }
+  }
+
+  return [...buckets.values()].map(({ last, ...bucket }) => ({
+    ...formatMetricsSnapshot(last),
+    ...bucket
+  }));
+}
+
+// Helper function to read from/to query params (ISO dates); returns null if they are invalid
+function parseMetricsDateRange(query, defaultDays) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - defaultDays * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+    return null;
+  }
+
+  return { from, to };
+}
+
+// Helper function to combine the daily points of one or more accounts into a single equity series.
+// cashFlow is the cumulative money moved in: net deposits, plus an account's starting equity when it
+// first appears, so neither counts as performance.
+function buildPerformanceSeries(accountsDailyPoints) {
+  const days = [...new Set(accountsDailyPoints.flatMap(points => points.map(point => point.periodStart)))].sort();
+  const cursors = accountsDailyPoints.map(() => ({ index: -1, first: null }));
+
+  return days.map(day => {
+    let equity = 0;
+    let cashFlow = 0;
+
+    accountsDailyPoints.forEach((points, i) => {
+      const cursor = cursors[i];
+      // Carry each account's last known point forward over days it has no snapshot
+      while (cursor.index + 1 < points.length && points[cursor.index + 1].periodStart <= day) {
+        cursor.index++;
+      }
+      if (cursor.index < 0) return;
+
+      const point = points[cursor.index];
+      if (!cursor.first) cursor.first = point;
+
+      const netDeposits = (point.deposits || 0) - (point.withdrawals || 0);
+      const firstNetDeposits = (cursor.first.deposits || 0) - (cursor.first.withdrawals || 0);
+      equity += point.equity;
+      cashFlow += cursor.first.equity + (netDeposits - firstNetDeposits);
+    });
+
+    return { date: day.slice(0, 10), equity, cashFlow };
+  });
+}
+
+// Helper function to compute performance statistics from an equity series (see buildPerformanceSeries).
+// Each day's return treats that day's cash flow as arriving at the start of the day, and the returns are
+// chained into a time-weighted return. Win rate and profit factor are measured over days.
+function computePerformanceAnalytics(series) {
+  const round = (value, decimals = 4) => value === null || !isFinite(value) ? null : Number(value.toFixed(decimals));
+  const dailyReturns = [];
+  const monthly = new Map();
+  let growth = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  let grossProfit = 0;
+  let grossLoss = 0;
+
+  for (let i = 1; i < series.length; i++) {
+    const flow = series[i].cashFlow - series[i - 1].cashFlow;
+    const startingCapital = series[i - 1].equity + flow;
+    if (startingCapital <= 0) continue;
+
+    const pnl = series[i].equity - startingCapital;
+    const dailyReturn = pnl / startingCapital;
+    dailyReturns.push(dailyReturn);
+
+    if (pnl > 0) grossProfit += pnl;
+    if (pnl < 0) grossLoss -= pnl;
+
+    growth *= 1 + dailyReturn;
+    peak = Math.max(peak, growth);
+    maxDrawdown = Math.max(maxDrawdown, (peak - growth) / peak);
+
+    const month = series[i].date.slice(0, 7);
+    monthly.set(month, (monthly.get(month) ?? 1) * (1 + dailyReturn));
+  }
+
+  const mean = dailyReturns.length > 0 ? dailyReturns.reduce((sum, r) => sum + r, 0) / dailyReturns.length : null;
+  const stdDev = dailyReturns.length > 1
+    ? Math.sqrt(dailyReturns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (dailyReturns.length - 1))
+    : null;
+  const last = series[series.length - 1];
+
+  return {
+    startDate: series[0]?.date || null,
+    endDate: last?.date || null,
+    days: dailyReturns.length,
+    startingEquity: round(series[0]?.equity ?? null, 2),
+    endingEquity: round(last?.equity ?? null, 2),
+    netCashFlow: series.length > 0 ? round(last.cashFlow - series[0].cashFlow, 2) : null,
+    timeWeightedReturn: dailyReturns.length > 0 ? round(growth - 1) : null,
+    maxDrawdown: dailyReturns.length > 0 ? round(maxDrawdown) : null,
+    winRate: dailyReturns.length > 0 ? round(dailyReturns.filter(r => r > 0).length / dailyReturns.length) : null,
+    profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss) : null,
+    sharpeRatio: stdDev > 0 ? round((mean / stdDev) * Math.sqrt(ANALYTICS_PERIODS_PER_YEAR)) : null,
+    monthlyReturns: [...monthly.entries()].map(([month, monthGrowth]) => ({ month, return: round(monthGrowth - 1) }))
+  };
+}
+
+// Helper function to compute analytics for a set of MT5 logins, per account and combined
+async function getPerformanceAnalytics(mt5Logins, from, to) {
+  const accounts = [];
+  const accountsDailyPoints = [];
+
+  for (const mt5Login of mt5Logins) {
+    const snapshots = await getMT5MetricsSnapshots(mt5Login.id, from, to);
+    const dailyPoints = downsampleMetricsSnapshots(snapshots, 'daily');
+
+    accountsDailyPoints.push(dailyPoints);
+    accounts.push({
+      id: mt5Login.id,
+      login: mt5Login.login,
+      server: mt5Login.server,
+      currency: dailyPoints[dailyPoints.length - 1]?.currency || null,
+      analytics: computePerformanceAnalytics(buildPerformanceSeries([dailyPoints]))
+    });
+  }
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    combined: computePerformanceAnalytics(buildPerformanceSeries(accountsDailyPoints)),
+    accounts
+  };
+}
+
+// Helper function to compute analytics across all of a user's MT5 logins
+async function getUserPerformanceAnalytics(userId, from, to) {
+  const { data: mt5Logins, error } = await supabase
+    .from('mt5_logins')
+    .select('id, login, server')
+    .eq('user_id', userId)
+    .order('is_primary', { ascending: false })
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load MT5 logins: ${error.message}`);
+  }
+
+  return getPerformanceAnalytics(mt5Logins || [], from, to);
+}
+
+// Helper function to run work for many MT5 logins, at most MT5_SYNC_CONCURRENCY at a time,
+// each after a random delay so scheduled runs don't hit MetaAPI in a burst
+async function forEachMT5LoginConcurrently(mt5Logins, work) {
+  const queue = [...mt5Logins];
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const mt5Login = queue.shift();
+      await new Promise(resolve => setTimeout(resolve, Math.random() * MT5_SYNC_JITTER_SECONDS * 1000));
+      await work(mt5Login);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(MT5_SYNC_CONCURRENCY, queue.length) }, worker));
+}
+
+// Background job: sync metrics for every active, already deployed MT5 login that is not backing off after failures
+async function syncAllMT5Metrics() {
+  if (!metaApi) {
+    return { skipped: 'MetaAPI not configured' };
+  }
+
+  const now = new Date().toISOString();
+
+  // Release logins left in "syncing" by a crashed process or a sync that never returned
+  await supabase
+    .from('mt5_logins')
+    .update({ sync_status: 'failed', last_sync_error: 'Sync did not complete', updated_at: now })
+    .eq('sync_status', 'syncing')
+    .lt('updated_at', new Date(Date.now() - MT5_SYNC_STALE_MINUTES * 60 * 1000).toISOString());
+
+  const { data: mt5Logins, error } = await supabase
+    .from('mt5_logins')
+    .select('id, login, sync_status')
+    .eq('is_active', true)
+    .not('metaapi_account_id', 'is', null)
+    .or(`next_sync_after.is.null,next_sync_after.lte.${now}`)
+    .order('metrics_last_synced', { ascending: true, nullsFirst: true });
+
+  if (error) {
+    throw new Error(`Failed to load MT5 logins: ${error.message}`);
+  }
+
+  const eligible = (mt5Logins || []).filter(mt5Login => mt5Login.sync_status !== 'syncing');
+  const result = { eligible: eligible.length, synced: 0, failed: 0, skipped: 0 };
+
+  await forEachMT5LoginConcurrently(eligible, async (mt5Login) => {
+    // Claim the login so a manual sync started meanwhile isn't run twice
+    const { data: claimed } = await supabase
+      .from('mt5_logins')
+      .update({ sync_status: 'syncing', updated_at: new Date().toISOString() })
+      .eq('id', mt5Login.id)
+      .or('sync_status.is.null,sync_status.neq.syncing')
+      .select('id')
+      .maybeSingle();
+
+    if (!claimed) {
+      result.skipped++;
+      return;
+    }
+
+    try {
+      const syncResult = await syncMT5Metrics(mt5Login.id, { allowDeploy: false });
+      if (syncResult.skipped) {
+        // Hand the login back in the state it was in before the claim
+        await supabase
+          .from('mt5_logins')
+          .update({ sync_status: mt5Login.sync_status, updated_at: new Date().toISOString() })
+          .eq('id', mt5Login.id)
+          .eq('sync_status', 'syncing');
+        result.skipped++;
+        return;
+      }
+      result.synced++;
+    } catch (syncError) {
+      result.failed++;
+    }
+  });
+
+  if (result.eligible > 0) {
+    console.log(`MT5 metrics sync: ${result.synced} synced, ${result.failed} failed, ${result.skipped} skipped`);
+  }
+
+  return result;
+}
+
+// Helper function to convert a MetaAPI timestamp to an ISO string
+function toIsoTimestamp(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// Helper function to map a MetaAPI deal to an mt5_deals row
+function mapMT5Deal(mt5LoginId, deal) {
+  return {
+    mt5_login_id: mt5LoginId,
+    deal_id: String(deal.id),
+    type: deal.type,
+    entry_type: deal.entryType || null,
+    symbol: deal.symbol || null,
+    volume: deal.volume ?? null,
+    price: deal.price ?? null,
+    commission: deal.commission ?? 0,
+    swap: deal.swap ?? 0,
+    profit: deal.profit ?? 0,
+    order_id: deal.orderId || null,
+    position_id: deal.positionId || null,
+    magic: deal.magic ?? null,
+    reason: deal.reason || null,
+    comment: deal.comment || null,
+    time: toIsoTimestamp(deal.time),
+    broker_time: deal.brokerTime || null,
+    raw: deal
+  };
+}
+
+// Helper function to map a MetaAPI open position to an mt5_positions row
+function mapMT5Position(mt5LoginId, position, syncedAt) {
+  return {
+    mt5_login_id: mt5LoginId,
+    position_id: String(position.id),
+    type: position.type,
+    symbol: position.symbol,
+    volume: position.volume,
+    open_price: position.openPrice,
+    current_price: position.currentPrice ?? null,
+    stop_loss: position.stopLoss ?? null,
+    take_profit: position.takeProfit ?? null,
+    swap: position.swap ?? 0,
+    commission: position.commission ?? 0,
+    profit: position.profit ?? 0,
+    unrealized_profit: position.unrealizedProfit ?? null,
+    realized_profit: position.realizedProfit ?? null,
+    magic: position.magic ?? null,
+    comment: position.comment || null,
+    opened_at: toIsoTimestamp(position.time),
+    updated_at: toIsoTimestamp(position.updateTime),
+    synced_at: syncedAt,
+    raw: position
+  };
+}
+
+// Helper function to map a MetaAPI pending order to an mt5_orders row
+function mapMT5Order(mt5LoginId, order, syncedAt) {
+  return {
+    mt5_login_id: mt5LoginId,
+    order_id: String(order.id),
+    type: order.type,
+    state: order.state || null,
+    symbol: order.symbol,
+    volume: order.volume ?? null,
+    current_volume: order.currentVolume ?? null,
+    open_price: order.openPrice ?? null,
+    current_price: order.currentPrice ?? null,
+    stop_loss: order.stopLoss ?? null,
+    take_profit: order.takeProfit ?? null,
+    magic: order.magic ?? null,
+    comment: order.comment || null,
+    placed_at: toIsoTimestamp(order.time),
+    expires_at: toIsoTimestamp(order.expirationTime),
+    synced_at: syncedAt,
+    raw: order
+  };
+}
+
+// Helper function to replace the stored snapshot of open positions or pending orders for a login.
+// Rows are upserted before the ones missing from this sync (older synced_at) are deleted,
+// so a failed write leaves the previous snapshot in place instead of an empty one.
+async function replaceMT5TradeRows(table, idColumn, mt5LoginId, rows, syncedAt) {
+  if (rows.length > 0) {
+    const { error: upsertError } = await supabase
+      .from(table)
+      .upsert(rows, { onConflict: `mt5_login_id,${idColumn}` });
+
+    if (upsertError) {
+      throw new Error(`Failed to save ${table}: ${upsertError.message}`);
+    }
+  }
+
+  const { error: deleteError } = await supabase
+    .from(table)
+    .delete()
+    .eq('mt5_login_id', mt5LoginId)
+    .lt('synced_at', syncedAt);
+
+  if (deleteError) {
+    throw new Error(`Failed to clear stale ${table}: ${deleteError.message}`);
+  }
+}
+
+const tradeSyncsInProgress = new Set();
+
+// Helper function to sync closed deals (incrementally, from the last stored deal), open positions and
+// pending orders for an MT5 login through a MetaAPI RPC connection
+async function syncMT5TradeHistory(mt5LoginId) {
+  if (!metaApi) {
+    throw new Error('MetaAPI not initialized');
+  }
+
+  if (tradeSyncsInProgress.has(mt5LoginId)) {
+    throw new Error('Trade history sync already in progress');
+  }
+  tradeSyncsInProgress.add(mt5LoginId);
+
+  let connection = null;
+
+  try {
+    const { data: mt5Login, error: fetchError } = await supabase
+      .from('mt5_logins')
+      .select('id, login, user_id, metaapi_account_id')
+      .eq('id', mt5LoginId)
+      .single();
+
+    if (fetchError || !mt5Login) {
+      throw new Error('MT5 login not found');
+    }
+
+    if (!mt5Login.metaapi_account_id) {
+      throw new Error('MetaAPI account not found. Account should have been created during signup.');
+    }
+
+    const account = await metaApi.metatraderAccountApi.getAccount(mt5Login.metaapi_account_id);
+    if (account.state !== 'DEPLOYED' || account.connectionStatus !== 'CONNECTED') {
+      throw new Error(`Account is not connected to broker. State: ${account.state}, Connection: ${account.connectionStatus}`);
+    }
+
+    connection = account.getRPCConnection();
+    await connection.connect();
+    await connection.waitSynchronized();
+
+    // Deals: continue from the last one we stored
+    const { data: lastDeal } = await supabase
+      .from('mt5_deals')
+      .select('time')
+      .eq('mt5_login_id', mt5LoginId)
+      .order('time', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    const startTime = lastDeal?.time
+      ? new Date(new Date(lastDeal.time).getTime() - MT5_DEAL_SYNC_OVERLAP_MINUTES * 60 * 1000)
+      : new Date(MT5_TRADE_HISTORY_START);
+    const endTime = new Date();
+
+    let dealsSynced = 0;
+    for (let offset = 0; ; offset += MT5_DEAL_PAGE_SIZE) {
+      const response = await connection.getDealsByTimeRange(startTime, endTime, offset, MT5_DEAL_PAGE_SIZE);
+      const deals = response?.deals || [];
+
+      if (deals.length > 0) {
+        const { error: upsertError } = await supabase
+          .from('mt5_deals')
+          .upsert(deals.map(deal => mapMT5Deal(mt5LoginId, deal)), { onConflict: 'mt5_login_id,deal_id' });
+
+        if (upsertError) {
+          throw new Error(`Failed to save deals: ${upsertError.message}`);
+        }
+        dealsSynced += deals.length;
+      }
+
+      if (deals.length < MT5_DEAL_PAGE_SIZE) break;
+    }
+
+    // Positions and orders: store the current state as a snapshot
+    const syncedAt = new Date().toISOString();
+    const positions = await connection.getPositions();
+    const orders = await connection.getOrders();
+
+    await replaceMT5TradeRows('mt5_positions', 'position_id', mt5LoginId, positions.map(position => mapMT5Position(mt5LoginId, position, syncedAt)), syncedAt);
+    await replaceMT5TradeRows('mt5_orders', 'order_id', mt5LoginId, orders.map(order => mapMT5Order(mt5LoginId, order, syncedAt)), syncedAt);
+
+    await supabase
+      .from('mt5_logins')
+      .update({
+        trades_last_synced: syncedAt,
+        trades_sync_error: null
+      })
+      .eq('id', mt5LoginId);
+
+    // Deposits and withdrawals feed the investor's cash-flow ledger
+    const ledgerEntriesAdded = await syncLedgerFromMT5Deals(mt5Login);
+    if (ledgerEntriesAdded > 0 && mt5Login.user_id) {
+      await reconcileUserLedger(mt5Login.user_id);
+    }
+
+    return {
+      success: true,
+      dealsSynced,
+      openPositions: positions.length,
+      pendingOrders: orders.length
+    };
+
+  } catch (error) {
+    console.error(`Error syncing trade history for MT5 login ${mt5LoginId}:`, error.message);
+
+    await supabase
+      .from('mt5_logins')
+      .update({ trades_sync_error: error.message })
+      .eq('id', mt5LoginId);
+
+    throw error;
+  } finally {
+    tradeSyncsInProgress.delete(mt5LoginId);
+    if (connection) {
+      try {
+        await connection.close();
+      } catch (closeError) {
+        console.warn(`Error closing MetaAPI connection for MT5 login ${mt5LoginId}:`, closeError.message);
+      }
+    }
+  }
+}
+
+// Background job: sync trade history for every active, connected-to-MetaAPI MT5 login
+async function syncAllMT5TradeHistory() {
+  if (!metaApi) {
+    return { skipped: 'MetaAPI not configured' };
+  }
+
+  const { data: mt5Logins, error } = await supabase
+    .from('mt5_logins')
+    .select('id, login')
+    .eq('is_active', true)
+    .not('metaapi_account_id', 'is', null)
+    .order('trades_last_synced', { ascending: true, nullsFirst: true });
+
+  if (error) {
+    throw new Error(`Failed to load MT5 logins: ${error.message}`);
+  }
+
+  const result = { eligible: (mt5Logins || []).length, synced: 0, failed: 0, dealsSynced: 0 };
+
+  await forEachMT5LoginConcurrently(mt5Logins || [], async (mt5Login) => {
+    try {
+      const syncResult = await syncMT5TradeHistory(mt5Login.id);
+      result.synced++;
+      result.dealsSynced += syncResult.dealsSynced;
+    } catch (syncError) {
+      result.failed++;
+    }
+  });
+
+  if (result.eligible > 0) {
+    console.log(`MT5 trade history sync: ${result.synced} synced (${result.dealsSynced} deals), ${result.failed} failed`);
+  }
+
+  return result;
+}
+
+// Helper function to add an MT5 login's balance deals (deposits and withdrawals) to the cash-flow ledger.
+// Reads from the stored deals so history ingested before the ledger existed is picked up too.
+// Returns how many new entries were added.
+async function syncLedgerFromMT5Deals(mt5Login) {
+  if (!mt5Login.user_id) return 0;
+
+  const pageSize = 1000;
+  let added = 0;
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data: balanceDeals, error } = await supabase
+      .from('mt5_deals')
+      .select('deal_id, profit, comment, time')
+      .eq('mt5_login_id', mt5Login.id)
+      .eq('type', 'DEAL_TYPE_BALANCE')
+      .neq('profit', 0)
+      .order('deal_id', { ascending: true })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) {
+      throw new Error(`Failed to load balance deals: ${error.message}`);
+    }
+
+    if (!balanceDeals || balanceDeals.length === 0) break;
+
+    const { data: inserted, error: upsertError } = await supabase
+      .from('cash_flow_ledger')
+      .upsert(balanceDeals.map(deal => ({
+        user_id: mt5Login.user_id,
+        mt5_login_id: mt5Login.id,
+        source: 'mt5_deal',
+        deal_id: deal.deal_id,
+        type: parseFloat(deal.profit) > 0 ? 'deposit' : 'withdrawal',
+        amount: Math.abs(parseFloat(deal.profit)),
+        description: deal.comment || null,
+        occurred_at: deal.time
+      })), { onConflict: 'mt5_login_id,deal_id', ignoreDuplicates: true })
+      .select('id');
+
+    if (upsertError) {
+      throw new Error(`Failed to save ledger entries: ${upsertError.message}`);
+    }
+
+    added += (inserted || []).length;
+    if (balanceDeals.length < pageSize) break;
+  }
+
+  return added;
+}
+
+// Helper function to compare a user's funded amount (ledger deposits minus withdrawals) with the
+// investment amount they declared, and store the result on the user
+async function reconcileUserLedger(userId) {
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('id, investment_amount')
+    .eq('id', userId)
+    .single();
+
+  if (userError || !user) {
+    throw new Error('User not found');
+  }
+
+  const pageSize = 1000;
+  const entries = [];
+
+  while (true) {
+    const { data, error: entriesError } = await supabase
+      .from('cash_flow_ledger')
+      .select('type, amount')
+      .eq('user_id', userId)
+      .is('voided_at', null)
+      .order('id', { ascending: true })
+      .range(entries.length, entries.length + pageSize - 1);
+
+    if (entriesError) {
+      throw new Error(`Failed to load ledger: ${entriesError.message}`);
+    }
+
+    entries.push(...data);
+    if (data.length < pageSize) break;
+  }
+
+  const totalDeposits = entries.filter(e => e.type === 'deposit').reduce((sum, e) => sum + parseFloat(e.amount), 0);
+  const totalWithdrawals = entries.filter(e => e.type === 'withdrawal').reduce((sum, e) => sum + parseFloat(e.amount), 0);
+  const fundedAmount = totalDeposits - totalWithdrawals;
+  const declaredAmount = parseFloat(user.investment_amount) || 0;
+  const difference = fundedAmount - declaredAmount;
+  const differencePercent = declaredAmount > 0 ? (Math.abs(difference) / declaredAmount) * 100 : null;
+
+  let status;
+  if (entries.length === 0) {
+    status = 'unfunded';
+  } else if (declaredAmount > 0 && differencePercent <= LEDGER_RECONCILIATION_TOLERANCE_PERCENT) {
+    status = 'matched';
+  } else {
+    status = 'mismatch';
+  }
+
+  const reconciliation = {
+    status,
+    declaredAmount,
+    fundedAmount: Number(fundedAmount.toFixed(2)),
+    totalDeposits: Number(totalDeposits.toFixed(2)),
+    totalWithdrawals: Number(totalWithdrawals.toFixed(2)),
+    difference: Number(difference.toFixed(2)),
+    differencePercent: differencePercent === null ? null : Number(differencePercent.toFixed(2)),
+    tolerancePercent: LEDGER_RECONCILIATION_TOLERANCE_PERCENT,
+    reconciledAt: new Date().toISOString()
+  };
+
+  const { error: updateError } = await supabase
+    .from('users')
+    .update({
+      funded_amount: reconciliation.fundedAmount,
+      reconciliation_status: status,
+      reconciliation_difference: reconciliation.difference,
+      reconciled_at: reconciliation.reconciledAt
+    })
+    .eq('id', userId);
+
+  if (updateError) {
+    throw new Error(`Failed to save reconciliation: ${updateError.message}`);
+  }
+
+  return reconciliation;
+}
+
+// Background job: re-run reconciliation for every user (catches declared amounts edited since the last run)
+async function reconcileAllUserLedgers() {
+  const pageSize = 1000;
+  const result = { reconciled: 0, mismatched: 0, failed: 0 };
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data: users, error } = await supabase
+      .from('users')
+      .select('id')
+      .order('created_at', { ascending: true })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) {
+      throw new Error(`Failed to load users: ${error.message}`);
+    }
+
+    for (const user of users) {
+      try {
+        const reconciliation = await reconcileUserLedger(user.id);
+        result.reconciled++;
+        if (reconciliation.status === 'mismatch') result.mismatched++;
+      } catch (reconcileError) {
+        result.failed++;
+        console.error(`Error reconciling ledger for user ${user.id}:`, reconcileError.message);
+      }
+    }
+
+    if (users.length < pageSize) break;
+  }
+
+  return result;
+}
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', message: 'Server is running' });
+});
+
+// ============================================
+// ADMIN AUTHENTICATION ENDPOINTS
+// ============================================
+
+// Admin login endpoint
+app.post('/api/admin/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required'
+      });
+    }
+
+    // Block IPs with too many recent failures across all accounts
+    const ipBlockSeconds = await getIpLoginBlockSeconds('admin', req);
+    if (ipBlockSeconds > 0) {
+      res.set('Retry-After', String(ipBlockSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed login attempts. Please try again later.',
+        retryAfter: ipBlockSeconds
+      });
+    }
+
+    // Fetch admin by email
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select('id, email, password, full_name, role, is_active, mfa_enabled, locked_until, lockout_count, login_failures_reset_at')
+      .eq('email', email.toLowerCase())
+      .single();
+
+    if (error || !admin) {
+      await recordLoginAttempt('admin', email, null, false, 'unknown_email', req);
+
+      // Don't reveal whether email exists for security
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    // Check if account is temporarily locked after repeated failures
+    const lockSeconds = getLockSeconds(admin);
+    if (lockSeconds > 0) {
+      await recordLoginAttempt('admin', admin.email, admin.id, false, 'account_locked', req);
+
+      res.set('Retry-After', String(lockSeconds));
+      return res.status(423).json({
+        success: false,
+        error: 'Account is temporarily locked due to too many failed login attempts. Please try again later.',
+        retryAfter: lockSeconds
+      });
+    }
+
+    // Check if admin is active
+    if (!admin.is_active) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account is disabled. Please contact administrator.'
+      });
+    }
+
+    // Verify password (invited admins have no password until they accept the invite)
+    const isPasswordValid = !!admin.password && await verifyPassword(password, admin.password);
+
+    if (!isPasswordValid) {
+      // Log failed login attempt
+      await logAdminAction(
+        admin.id,
+        admin.email,
+        'login_failed',
+        'admin',
+        admin.id,
+        { reason: 'invalid_password' },
+        req
+      );
+
+      const lockedForSeconds = await handleFailedLogin('admin', admin, 'invalid_password', req);
+      if (lockedForSeconds > 0) {
+        res.set('Retry-After', String(lockedForSeconds));
+        return res.status(423).json({
+          success: false,
+          error: 'Too many failed login attempts. Account has been temporarily locked.',
+          retryAfter: lockedForSeconds
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    // Second step: admins with MFA enabled must submit a code to /api/admin/login/mfa
+    if (admin.mfa_enabled) {
+      const mfaToken = jwt.sign(
+        { id: admin.id, type: 'admin_mfa_pending', purpose: 'verify' },
+        JWT_SECRET,
+        { expiresIn: MFA_PENDING_TOKEN_EXPIRY }
+      );
+
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          mfaRequired: true,
+          mfaToken
+        }
+      });
+    }
+
+    // MFA is mandatory for this role but not set up yet: enrollment must happen before a session is issued
+    if (await isMfaRequiredForRole(admin.role)) {
+      const mfaToken = jwt.sign(
+        { id: admin.id, type: 'admin_mfa_pending', purpose: 'enroll' },
+        JWT_SECRET,
+        { expiresIn: MFA_PENDING_TOKEN_EXPIRY }
+      );
+
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication is required for your account. Please set it up to continue.',
+        data: {
+          mfaEnrollmentRequired: true,
+          mfaToken
+        }
+      });
+    }
+
+    // Return tokens and admin data (excluding password)
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: await completeAdminLogin(admin, req)
+    });
+
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Admin login second step: verify TOTP code (or recovery code) and start the session
+app.post('/api/admin/login/mfa', async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'MFA token and a verification code or recovery code are required'
+      });
+    }
+
+    const pending = verifyMfaPendingToken(mfaToken, 'verify');
+    if (!pending) {
+      return res.status(401).json({
+        success: false,
+        error: 'Verification session expired. Please login again.'
+      });
+    }
+
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select(ADMIN_MFA_COLUMNS)
+      .eq('id', pending.id)
+      .single();
+
+    if (error || !admin || !admin.is_active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Verification session expired. Please login again.'
+      });
+    }
+
+    const lockSeconds = getLockSeconds(admin);
+    if (lockSeconds > 0) {
+      res.set('Retry-After', String(lockSeconds));
+      return res.status(423).json({
+        success: false,
+        error: 'Account is temporarily locked due to too many failed login attempts. Please try again later.',
+        retryAfter: lockSeconds
+      });
+    }
+
+    const isCodeValid = code
+      ? await verifyAdminMfaCode(admin, String(code))
+      : await consumeMfaRecoveryCode(admin, recoveryCode);
+
+    if (!isCodeValid) {
+      const reason = code ? 'invalid_mfa_code' : 'invalid_recovery_code';
+
+      await logAdminAction(
+        admin.id,
+        admin.email,
+        'login_failed',
+        'admin',
+        admin.id,
+        { reason },
+        req
+      );
+
+      // Wrong codes count toward the lockout like wrong passwords
+      const lockedForSeconds = await handleFailedLogin('admin', admin, reason, req);
+      if (lockedForSeconds > 0) {
+        res.set('Retry-After', String(lockedForSeconds));
+        return res.status(423).json({
+          success: false,
+          error: 'Too many failed login attempts. Account has been temporarily locked.',
+          retryAfter: lockedForSeconds
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: await completeAdminLogin(admin, req, { mfaMethod: code ? 'totp' : 'recovery_code' })
+    });
+
+  } catch (error) {
+    console.error('Admin MFA login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Admin login with mandatory MFA enrollment: get a new TOTP secret
+app.post('/api/admin/login/mfa/enroll', async (req, res) => {
+  try {
+    const { mfaToken } = req.body;
+
+    const pending = mfaToken && verifyMfaPendingToken(mfaToken, 'enroll');
+    if (!pending) {
+      return res.status(401).json({
+        success: false,
+        error: 'Verification session expired. Please login again.'
+      });
+    }
+
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select(ADMIN_MFA_COLUMNS)
+      .eq('id', pending.id)
+      .single();
+
+    if (error || !admin || !admin.is_active || admin.mfa_enabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Verification session expired. Please login again.'
+      });
+    }
+
+    if (!MT5_ENCRYPTION_KEY) {
+      return res.status(503).json({
+        success: false,
+        error: 'Two-factor authentication is unavailable until an encryption key is configured. Please contact administrator.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await beginMfaEnrollment(admin)
+    });
+
+  } catch (error) {
+    console.error('Admin MFA enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Admin login with mandatory MFA enrollment: confirm the first code and start the session
+app.post('/api/admin/login/mfa/confirm', async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    if (!mfaToken || !code) {
+      return res.status(400).json({
+        success: false,
+        error: 'MFA token and verification code are required'
+      });
+    }
+
+    const pending = verifyMfaPendingToken(mfaToken, 'enroll');
+    if (!pending) {
+      return res.status(401).json({
+        success: false,
+        error: 'Verification session expired. Please login again.'
+      });
+    }
+
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select(ADMIN_MFA_COLUMNS)
+      .eq('id', pending.id)
+      .single();
+
+    if (error || !admin || !admin.is_active || admin.mfa_enabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Verification session expired. Please login again.'
+      });
+    }
+
+    const recoveryCodes = await confirmMfaEnrollment(admin, String(code));
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    await logAdminAction(admin.id, admin.email, 'mfa_enabled', 'admin', admin.id, {}, req);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        ...(await completeAdminLogin(admin, req, { mfaMethod: 'enrollment' })),
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin MFA confirmation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Verify token endpoint (for frontend to check if token is still valid)
+app.get('/api/admin/verify', authenticateToken, async (req, res) => {
+  try {
+    // Fetch fresh admin data
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select('id, email, full_name, role, is_active')
+      .eq('id', req.admin.id)
+      .single();
+
+    if (error || !admin || !admin.is_active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired session'
+      });
+    }
+
+    const rolePermissions = await getRolePermissions();
+
+    res.json({
+      success: true,
+      data: {
+        admin: {
+          id: admin.id,
+          email: admin.email,
+          fullName: admin.full_name,
+          role: admin.role,
+          permissions: rolePermissions[admin.role] || []
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Token verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Change admin password
+app.post('/api/admin/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password and new password are required'
+      });
+    }
+
+    // Validate new password strength
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    // Fetch current admin data
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select('id, email, password')
+      .eq('id', req.admin.id)
+      .single();
+
+    if (error || !admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    // Verify current password
+    const isPasswordValid = await verifyPassword(currentPassword, admin.password);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    // Hash new password
+    const hashedPassword = await hashPassword(newPassword);
+
+    // Update password
+    const { error: updateError } = await supabase
+      .from('admins')
+      .update({ password: hashedPassword, updated_at: new Date().toISOString() })
+      .eq('id', admin.id);
+
+    if (updateError) {
+      console.error('Error updating password:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update password'
+      });
+    }
+
+    // Sign out every other session; the current one stays logged in
+    await revokeAdminSessions(admin.id, 'password_changed', req.admin.sid);
+
+    // Log password change
+    await logAdminAction(
+      admin.id,
+      admin.email,
+      'password_changed',
+      'admin',
+      admin.id,
+      {},
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Other sessions have been signed out.'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Request an admin password reset link (always responds the same way so emails can't be enumerated)
+app.post('/api/admin/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    // Limits apply whether or not the account exists, so a 429 reveals nothing either
+    // (stored alongside the OTP rate events, which already key on action/destination/IP)
+    const rateLimit = await reserveOtpRateEvent('admin_password_reset', 'email', normalizedEmail, req, [
+      {
+        filters: { action: 'admin_password_reset', destination: normalizedEmail },
+        windowSeconds: 60 * 60,
+        maxEvents: MAX_PASSWORD_RESET_REQUESTS_PER_EMAIL_PER_HOUR,
+        error: 'Too many password reset requests. Please try again later.'
+      },
+      {
+        filters: { action: 'admin_password_reset', ip_address: getClientIp(req) },
+        windowSeconds: 60 * 60,
+        maxEvents: MAX_PASSWORD_RESET_REQUESTS_PER_IP_PER_HOUR,
+        error: 'Too many password reset requests. Please try again later.',
+        perIp: true
+      }
+    ]);
+    if (rateLimit) {
+      return sendRateLimited(res, rateLimit);
+    }
+
+    const { data: admin } = await supabase
+      .from('admins')
+      .select('id, email, full_name, is_active')
+      .eq('email', normalizedEmail)
+      .single();
+
+    if (admin && admin.is_active) {
+      // Don't wait for the token or the email so response time doesn't reveal whether the account exists
+      sendAdminPasswordResetLink(admin)
+        .then((result) => {
+          if (!result.success) {
+            console.warn(`✗ Failed to send admin password reset email: ${result.error}`);
+          }
+        })
+        .catch((error) => {
+          console.error('✗ Error sending admin password reset email:', error);
+        });
+    }
+
+    await logAdminAction(
+      admin?.id || null,
+      admin?.email || normalizedEmail,
+      'password_reset_requested',
+      'admin',
+      admin?.id || null,
+      { accountFound: !!admin, accountActive: !!admin?.is_active },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Helper function to create a password reset token for an admin and email the link
+async function sendAdminPasswordResetLink(admin) {
+  const token = await createPasswordToken('admin', admin.id, 'reset', PASSWORD_RESET_TOKEN_EXPIRY_HOURS);
+  const adminConsoleUrl = process.env.ADMIN_CONSOLE_URL || 'http://localhost:3001';
+  const resetLink = `${adminConsoleUrl}/reset-password?token=${token}`;
+
+  return sendAdminPasswordResetEmail(admin.email, admin.full_name, resetLink);
+}
+
+// Complete an admin password reset using the emailed token
+app.post('/api/admin/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || typeof password !== 'string' || !token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token and password are required'
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    // Hash before claiming the token so the claim is held as briefly as possible
+    const hashedPassword = await hashPassword(password);
+    const passwordToken = await consumePasswordToken('admin', token, 'reset');
+
+    if (!passwordToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'This reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    const { data: admin, error: updateError } = await supabase
+      .from('admins')
+      .update({
+        password: hashedPassword,
+        // Proving control of the mailbox also lifts any lockout
+        locked_until: null,
+        lockout_count: 0,
+        login_failures_reset_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', passwordToken.subject_id)
+      .eq('is_active', true)
+      .select('id, email')
+      .maybeSingle();
+
+    if (updateError) {
+      await releasePasswordToken(passwordToken);
+      console.error('Error resetting admin password:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to reset password'
+      });
+    }
+
+    if (!admin) {
+      await releasePasswordToken(passwordToken);
+      return res.status(400).json({
+        success: false,
+        error: 'This account is no longer active. Please contact a super admin.'
+      });
+    }
+
+    // Anyone holding a session from before the reset is signed out
+    await revokeAdminSessions(admin.id, 'password_reset');
+
+    await logAdminAction(admin.id, admin.email, 'password_reset_completed', 'admin', admin.id, {}, req);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. You can now log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Refresh admin access token (rotates the refresh token)
+app.post('/api/admin/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    const refreshTokenHash = hashToken(refreshToken);
+
+    const { data: session } = await supabase
+      .from('admin_sessions')
+      .select('id, admin_id, revoked_at, expires_at')
+      .eq('refresh_token_hash', refreshTokenHash)
+      .single();
+
+    if (!session) {
+      // A refresh token that was already rotated is being replayed: assume it was stolen
+      const { data: reusedSession } = await supabase
+        .from('admin_sessions')
+        .select('id, admin_id, revoked_at, admins ( email )')
+        .eq('previous_refresh_token_hash', refreshTokenHash)
+        .single();
+
+      if (reusedSession && !reusedSession.revoked_at) {
+        await supabase
+          .from('admin_sessions')
+          .update({
+            revoked_at: new Date().toISOString(),
+            revoked_reason: 'refresh_token_reuse'
+          })
+          .eq('id', reusedSession.id);
+
+        await logAdminAction(
+          reusedSession.admin_id,
+          reusedSession.admins?.email,
+          'session_refresh_reuse',
+          'admin_session',
+          reusedSession.id,
+          {},
+          req
+        );
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token. Please login again.'
+      });
+    }
+
+    if (session.revoked_at || new Date(session.expires_at) < new Date()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has expired or been revoked. Please login again.'
+      });
+    }
+
+    const { data: admin, error: adminError } = await supabase
+      .from('admins')
+      .select('id, email, full_name, role, is_active')
+      .eq('id', session.admin_id)
+      .single();
+
+    if (adminError || !admin || !admin.is_active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account is disabled. Please contact administrator.'
+      });
+    }
+
+    // Rotate: only succeeds if no concurrent request already rotated this token
+    const newRefreshToken = crypto.randomBytes(48).toString('hex');
+    const { data: rotated, error: rotateError } = await supabase
+      .from('admin_sessions')
+      .update({
+        refresh_token_hash: hashToken(newRefreshToken),
+        previous_refresh_token_hash: refreshTokenHash,
+        last_used_at: new Date().toISOString(),
+        ip_address: getClientIp(req),
+        user_agent: req.headers['user-agent']
+      })
+      .eq('id', session.id)
+      .eq('refresh_token_hash', refreshTokenHash)
+      .select('id');
+
+    if (rotateError || !rotated || rotated.length === 0) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token. Please login again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: signAdminAccessToken(admin, session.id),
+        refreshToken: newRefreshToken,
+        sessionId: session.id,
+        sessionExpiresAt: session.expires_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Admin logout (revokes the current session)
+app.post('/api/admin/logout', authenticateToken, async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('admin_sessions')
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_reason: 'logout'
+      })
+      .eq('id', req.admin.sid);
+
+    if (error) {
+      console.error('Error revoking session on logout:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to logout'
+      });
+    }
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'logout',
+      'admin_session',
+      req.admin.sid,
+      {},
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// List admin sessions (own sessions; admins.manage can pass ?adminId= to view another admin's)
+app.get('/api/admin/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { adminId, includeRevoked } = req.query;
+    const targetAdminId = adminId || req.admin.id;
+
+    if (targetAdminId !== req.admin.id && !(await hasPermission(req.admin, 'admins.manage'))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions'
+      });
+    }
+
+    let query = supabase
+      .from('admin_sessions')
+      .select('id, admin_id, ip_address, user_agent, created_at, last_used_at, expires_at, revoked_at, revoked_reason')
+      .eq('admin_id', targetAdminId)
+      .order('created_at', { ascending: false });
+
+    if (includeRevoked !== 'true') {
+      query = query
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString());
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error fetching admin sessions:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sessions'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: (data || []).map(session => ({
+        ...session,
+        current: session.id === req.admin.sid
+      }))
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Revoke an admin session (own session, or any session with admins.manage)
+app.post('/api/admin/sessions/:sessionId/revoke', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const { data: session, error: fetchError } = await supabase
+      .from('admin_sessions')
+      .select('id, admin_id, revoked_at')
+      .eq('id', sessionId)
+      .single();
+
+    if (fetchError || !session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    if (session.admin_id !== req.admin.id && !(await hasPermission(req.admin, 'admins.manage'))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions'
+      });
+    }
+
+    if (session.revoked_at) {
+      return res.status(400).json({
+        success: false,
+        error: 'Session is already revoked'
+      });
+    }
+
+    const { error: updateError } = await supabase
+      .from('admin_sessions')
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_reason: session.admin_id === req.admin.id ? 'revoked_by_self' : 'revoked_by_admin'
+      })
+      .eq('id', sessionId);
+
+    if (updateError) {
+      console.error('Error revoking session:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to revoke session'
+      });
+    }
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'session_revoked',
+      'admin_session',
+      sessionId,
+      { sessionAdminId: session.admin_id },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// ============================================
+// ADMIN MFA ENDPOINTS
+// ============================================
+
+// Get MFA status for the logged-in admin
+app.get('/api/admin/mfa', authenticateToken, async (req, res) => {
+  try {
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select('id, role, mfa_enabled, mfa_enabled_at, mfa_recovery_codes')
+      .eq('id', req.admin.id)
+      .single();
+
+    if (error || !admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        enabled: !!admin.mfa_enabled,
+        enabledAt: admin.mfa_enabled_at,
+        required: await isMfaRequiredForRole(admin.role),
+        recoveryCodesRemaining: (admin.mfa_recovery_codes || []).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Start MFA enrollment for the logged-in admin
+app.post('/api/admin/mfa/enroll', authenticateToken, async (req, res) => {
+  try {
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select(ADMIN_MFA_COLUMNS)
+      .eq('id', req.admin.id)
+      .single();
+
+    if (error || !admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    if (admin.mfa_enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!MT5_ENCRYPTION_KEY) {
+      return res.status(503).json({
+        success: false,
+        error: 'Two-factor authentication is unavailable until an encryption key is configured. Please contact administrator.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await beginMfaEnrollment(admin)
+    });
+
+  } catch (error) {
+    console.error('MFA enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Confirm MFA enrollment with a code from the authenticator app
+app.post('/api/admin/mfa/confirm', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification code is required'
+      });
+    }
+
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select(ADMIN_MFA_COLUMNS)
+      .eq('id', req.admin.id)
+      .single();
+
+    if (error || !admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    if (admin.mfa_enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = await confirmMfaEnrollment(admin, String(code));
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    await logAdminAction(admin.id, admin.email, 'mfa_enabled', 'admin', admin.id, {}, req);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('MFA confirmation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Regenerate MFA recovery codes (invalidates the old ones)
+app.post('/api/admin/mfa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification code is required'
+      });
+    }
+
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select(ADMIN_MFA_COLUMNS)
+      .eq('id', req.admin.id)
+      .single();
+
+    if (error || !admin || !admin.mfa_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifyAdminMfaCode(admin, String(code)))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    const { error: updateError } = await supabase
+      .from('admins')
+      .update({ mfa_recovery_codes: hashes, updated_at: new Date().toISOString() })
+      .eq('id', admin.id);
+
+    if (updateError) {
+      console.error('Error regenerating recovery codes:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to regenerate recovery codes'
+      });
+    }
+
+    await logAdminAction(admin.id, admin.email, 'mfa_recovery_codes_regenerated', 'admin', admin.id, {}, req);
+
+    res.json({
+      success: true,
+      data: { recoveryCodes: codes }
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Disable MFA for the logged-in admin (not allowed when MFA is mandatory for their role)
+app.post('/api/admin/mfa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password and verification code are required'
+      });
+    }
+
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select(`${ADMIN_MFA_COLUMNS}, password`)
+      .eq('id', req.admin.id)
+      .single();
+
+    if (error || !admin || !admin.mfa_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isMfaRequiredForRole(admin.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    const isPasswordValid = await verifyPassword(password, admin.password);
+    if (!isPasswordValid || !(await verifyAdminMfaCode(admin, String(code)))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid password or verification code'
+      });
+    }
+
+    const { error: updateError } = await supabase
+      .from('admins')
+      .update({
+        mfa_enabled: false,
+        mfa_secret: null,
+        mfa_pending_secret: null,
+        mfa_recovery_codes: null,
+        mfa_last_used_step: null,
+        mfa_enabled_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', admin.id);
+
+    if (updateError) {
+      console.error('Error disabling MFA:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to disable two-factor authentication'
+      });
+    }
+
+    await logAdminAction(admin.id, admin.email, 'mfa_disabled', 'admin', admin.id, {}, req);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get MFA policy (which roles must use MFA)
+app.get('/api/admin/security/mfa-policy', authenticateToken, requirePermission('security.manage'), async (req, res) => {
+  try {
+    const policy = await getAppSetting('admin_mfa_policy', { requiredRoles: [] });
+
+    res.json({
+      success: true,
+      data: {
+        requiredRoles: policy.requiredRoles || [],
+        availableRoles: ADMIN_ROLES
+      }
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Update MFA policy (super_admin)
+app.put('/api/admin/security/mfa-policy', authenticateToken, requirePermission('security.manage'), async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !ADMIN_ROLES.includes(role))) {
+      return res.status(400).json({
+        success: false,
+        error: `requiredRoles must be an array containing only: ${ADMIN_ROLES.join(', ')}`
+      });
+    }
+
+    const previousPolicy = await getAppSetting('admin_mfa_policy', { requiredRoles: [] });
+    const newPolicy = { requiredRoles: [...new Set(requiredRoles)] };
+
+    await setAppSetting('admin_mfa_policy', newPolicy, req.admin.id);
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'mfa_policy_updated',
+      'app_setting',
+      null,
+      { previous: previousPolicy.requiredRoles || [], current: newPolicy.requiredRoles },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'MFA policy updated. Admins in these roles will be asked to set up MFA at their next login.',
+      data: newPolicy
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get all permissions and the role -> permission mapping
+app.get('/api/admin/permissions', authenticateToken, requirePermission('permissions.manage'), async (req, res) => {
+  try {
+    const mapping = await getRolePermissions();
+
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(ADMIN_PERMISSIONS).map(([name, description]) => ({ name, description })),
+        roles: mapping
+      }
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Replace the permissions of a role (super_admin always keeps every permission)
+app.put('/api/admin/roles/:role/permissions', authenticateToken, requirePermission('permissions.manage'), async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    if (role === 'super_admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'The super_admin role always has every permission and cannot be edited'
+      });
+    }
+
+    if (!Array.isArray(permissions) || permissions.some(permission => !ADMIN_PERMISSIONS[permission])) {
+      return res.status(400).json({
+        success: false,
+        error: `permissions must be an array containing only: ${Object.keys(ADMIN_PERMISSIONS).join(', ')}`
+      });
+    }
+
+    const superAdminOnly = permissions.filter(permission => SUPER_ADMIN_ONLY_PERMISSIONS.includes(permission));
+    if (superAdminOnly.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${superAdminOnly.join(', ')} can only be held by super_admin`
+      });
+    }
+
+    // Force a fresh read so we compare against (and seed from) the current mapping
+    rolePermissionsCache = null;
+    const currentMapping = await getRolePermissions();
+
+    const uniquePermissions = [...new Set(permissions)];
+
+    // The first edit copies the built-in defaults into the table so the other roles keep theirs.
+    // Seeding and replacing the role's rows happen in one database function (one transaction), so a
+    // failure can't leave the role with no permissions (supabase/migrations/*_replace_role_permissions.sql)
+    const seedRows = Object.entries(DEFAULT_ROLE_PERMISSIONS)
+      .filter(([seedRole]) => seedRole !== role)
+      .flatMap(([seedRole, seedPermissions]) => seedPermissions.map(permission => ({ role: seedRole, permission })));
+
+    const { error: replaceError } = await supabase.rpc('replace_role_permissions', {
+      p_role: role,
+      p_permissions: uniquePermissions,
+      p_seed: seedRows
+    });
+
+    if (replaceError) {
+      console.error('Error saving role permissions:', replaceError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update role permissions'
+      });
+    }
+
+    rolePermissionsCache = null;
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'role_permissions_updated',
+      'role',
+      null,
+      { role, previous: currentMapping[role] || [], current: uniquePermissions },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: `Permissions for ${role} updated successfully`,
+      data: {
+        role,
+        permissions: uniquePermissions
+      }
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// ============================================
+// ADMIN ACCOUNT MANAGEMENT ENDPOINTS
+// ============================================
+
+// Helper function to email an invited admin their set-password link
+async function sendAdminInviteLink(admin, invitedByName) {
+  const token = await createPasswordToken('admin', admin.id, 'invite', PASSWORD_SETUP_TOKEN_EXPIRY_HOURS);
+  const adminConsoleUrl = process.env.ADMIN_CONSOLE_URL || 'http://localhost:3001';
+  const setPasswordLink = `${adminConsoleUrl}/set-password?token=${token}`;
+
+  return await sendAdminInviteEmail(admin.email, admin.full_name, admin.role, invitedByName, setPasswordLink);
+}
+
+// Helper function to check if an admin is the last active super_admin (who must not be demoted or disabled)
+async function isLastActiveSuperAdmin(admin) {
+  if (admin.role !== 'super_admin' || !admin.is_active) {
+    return false;
+  }
+
+  const { count } = await supabase
+    .from('admins')
+    .select('*', { count: 'exact', head: true })
+    .eq('role', 'super_admin')
+    .eq('is_active', true);
+
+  return (count || 0) <= 1;
+}
+
+// Helper function to shape an admin record for API responses
+function formatAdmin(admin) {
+  return {
+    id: admin.id,
+    email: admin.email,
+    fullName: admin.full_name,
+    role: admin.role,
+    isActive: admin.is_active,
+    mfaEnabled: !!admin.mfa_enabled,
+    invitePending: !admin.password,
+    lockedUntil: getLockSeconds(admin) > 0 ? admin.locked_until : null,
+    lastLoginAt: admin.last_login_at,
+    createdAt: admin.created_at
+  };
+}
+
+// List admins (super_admin)
+app.get('/api/admin/admins', authenticateToken, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const { role, isActive } = req.query;
+
+    let query = supabase
+      .from('admins')
+      .select('id, email, full_name, role, is_active, mfa_enabled, password, locked_until, last_login_at, created_at')
+      .order('created_at', { ascending: false });
+
+    if (role) {
+      query = query.eq('role', role);
+    }
+
+    if (isActive !== undefined) {
+      query = query.eq('is_active', isActive === 'true');
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error fetching admins:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch admins'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: (data || []).map(formatAdmin)
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get a single admin (super_admin)
+app.get('/api/admin/admins/:adminId', authenticateToken, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select('id, email, full_name, role, is_active, mfa_enabled, password, locked_until, last_login_at, created_at')
+      .eq('id', adminId)
+      .single();
+
+    if (error || !admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatAdmin(admin)
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Invite a new admin by email (super_admin)
+app.post('/api/admin/admins', authenticateToken, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const { email, fullName, role } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and role are required'
+      });
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email format'
+      });
+    }
+
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}`
+      });
+    }
+
+    if (isRoleAbove(role, req.admin.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot invite an admin with a higher role than your own'
+      });
+    }
+
+    // Check if admin already exists
+    const { data: existingAdmin } = await supabase
+      .from('admins')
+      .select('id')
+      .eq('email', email.toLowerCase())
+      .single();
+
+    if (existingAdmin) {
+      return res.status(409).json({
+        success: false,
+        error: 'Admin with this email already exists'
+      });
+    }
+
+    // Password stays empty until the invitee sets it through the emailed link
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .insert([
+        {
+          email: email.toLowerCase(),
+          full_name: fullName || null,
+          role,
+          password: null,
+          is_active: true,
+          invited_by: req.admin.id,
+          invited_at: new Date().toISOString()
+        }
+      ])
+      .select('id, email, full_name, role, is_active, mfa_enabled, password, locked_until, last_login_at, created_at')
+      .single();
+
+    if (error) {
+      console.error('Error creating admin:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create admin',
+        details: error.message
+      });
+    }
+
+    const emailResult = await sendAdminInviteLink(admin, req.admin.fullName || req.admin.email);
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'admin_created',
+      'admin',
+      admin.id,
+      { email: admin.email, role: admin.role, emailSent: emailResult.success },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: emailResult.success
+        ? 'Admin invited and email sent successfully'
+        : 'Admin created successfully, but the invitation email could not be sent',
+      data: formatAdmin(admin),
+      emailSent: emailResult.success
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Resend the set-password invitation to an admin who hasn't accepted it yet (super_admin)
+app.post('/api/admin/admins/:adminId/resend-invite', authenticateToken, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+
+    const { data: admin, error } = await supabase
+      .from('admins')
+      .select('id, email, full_name, role, is_active, password')
+      .eq('id', adminId)
+      .single();
+
+    if (error || !admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    if (admin.password) {
+      return res.status(400).json({
+        success: false,
+        error: 'This admin has already set a password'
+      });
+    }
+
+    if (!admin.is_active) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot send an invitation to a disabled admin'
+      });
+    }
+
+    const emailResult = await sendAdminInviteLink(admin, req.admin.fullName || req.admin.email);
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'admin_invite_resent',
+      'admin',
+      admin.id,
+      { email: admin.email, emailSent: emailResult.success },
+      req
+    );
+
+    if (!emailResult.success && !emailResult.queued) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to send invitation email',
+        details: emailResult.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: emailResult.success
+        ? `Invitation resent to ${admin.email}`
+        : `Email to ${admin.email} could not be sent yet and will be retried automatically`,
+      emailQueued: !!emailResult.queued
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Update admin name or role (super_admin)
+app.put('/api/admin/admins/:adminId', authenticateToken, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    const { fullName, role } = req.body;
+
+    if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}`
+      });
+    }
+
+    const { data: existingAdmin, error: checkError } = await supabase
+      .from('admins')
+      .select('id, email, full_name, role, is_active')
+      .eq('id', adminId)
+      .single();
+
+    if (checkError || !existingAdmin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    const roleChanged = role !== undefined && role !== existingAdmin.role;
+
+    if (isRoleAbove(existingAdmin.role, req.admin.role) || (roleChanged && isRoleAbove(role, req.admin.role))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot edit admins above your own role or promote anyone above it'
+      });
+    }
+
+    if (roleChanged && existingAdmin.id === req.admin.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role'
+      });
+    }
+
+    if (roleChanged && await isLastActiveSuperAdmin(existingAdmin)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot change the role of the last active super admin'
+      });
+    }
+
+    const updateData = {
+      updated_at: new Date().toISOString()
+    };
+
+    if (fullName !== undefined) updateData.full_name = fullName;
+    if (role !== undefined) updateData.role = role;
+
+    const { data: updatedAdmin, error: updateError } = await supabase
+      .from('admins')
+      .update(updateData)
+      .eq('id', adminId)
+      .select('id, email, full_name, role, is_active, mfa_enabled, password, locked_until, last_login_at, created_at')
+      .single();
+
+    if (updateError) {
+      console.error('Error updating admin:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update admin',
+        details: updateError.message
+      });
+    }
+
+    // Access tokens carry the role, so end existing sessions to apply the new role immediately
+    if (roleChanged) {
+      await revokeAdminSessions(adminId, 'role_changed');
+    }
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      roleChanged ? 'admin_role_changed' : 'admin_updated',
+      'admin',
+      adminId,
+      {
+        email: existingAdmin.email,
+        ...(roleChanged && { previousRole: existingAdmin.role, newRole: role }),
+        ...(fullName !== undefined && { fullName })
+      },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Admin updated successfully',
+      data: formatAdmin(updatedAdmin)
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Enable or disable an admin account (super_admin)
+app.patch('/api/admin/admins/:adminId/status', authenticateToken, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'isActive (boolean) is required'
+      });
+    }
+
+    const { data: existingAdmin, error: checkError } = await supabase
+      .from('admins')
+      .select('id, email, role, is_active')
+      .eq('id', adminId)
+      .single();
+
+    if (checkError || !existingAdmin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    if (!isActive && existingAdmin.id === req.admin.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot disable your own account'
+      });
+    }
+
+    if (!isActive && await isLastActiveSuperAdmin(existingAdmin)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot disable the last active super admin'
+      });
+    }
+
+    const { data: updatedAdmin, error: updateError } = await supabase
+      .from('admins')
+      .update({
+        is_active: isActive,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', adminId)
+      .select('id, email, full_name, role, is_active, mfa_enabled, password, locked_until, last_login_at, created_at')
+      .single();
+
+    if (updateError) {
+      console.error('Error updating admin status:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update admin status',
+        details: updateError.message
+      });
+    }
+
+    // Disabling an admin ends all of their sessions immediately
+    if (!isActive) {
+      await revokeAdminSessions(adminId, 'admin_disabled');
+    }
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      isActive ? 'admin_enabled' : 'admin_disabled',
+      'admin',
+      adminId,
+      { email: existingAdmin.email },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: `Admin ${existingAdmin.email} ${isActive ? 'enabled' : 'disabled'} successfully`,
+      data: formatAdmin(updatedAdmin)
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Unlock an admin account locked after failed logins (super_admin)
+app.post('/api/admin/admins/:adminId/unlock', authenticateToken, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+
+    const { data: existingAdmin, error: checkError } = await supabase
+      .from('admins')
+      .select('id, email, locked_until, lockout_count')
+      .eq('id', adminId)
+      .single();
+
+    if (checkError || !existingAdmin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    const { error: updateError } = await supabase
+      .from('admins')
+      .update({
+        locked_until: null,
+        lockout_count: 0,
+        login_failures_reset_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', adminId);
+
+    if (updateError) {
+      console.error('Error unlocking admin:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to unlock admin'
+      });
+    }
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'admin_unlocked',
+      'admin',
+      adminId,
+      { email: existingAdmin.email, lockedUntil: existingAdmin.locked_until, lockoutCount: existingAdmin.lockout_count },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: `Admin ${existingAdmin.email} unlocked successfully`
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Reset another admin's MFA, e.g. after a lost device (super_admin)
+app.post('/api/admin/admins/:adminId/mfa/reset', authenticateToken, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+
+    const { data: existingAdmin, error: checkError } = await supabase
+      .from('admins')
+      .select('id, email')
+      .eq('id', adminId)
+      .single();
+
+    if (checkError || !existingAdmin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    const { error: updateError } = await supabase
+      .from('admins')
+      .update({
+        mfa_enabled: false,
+        mfa_secret: null,
+        mfa_pending_secret: null,
+        mfa_recovery_codes: null,
+        mfa_last_used_step: null,
+        mfa_enabled_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', adminId);
+
+    if (updateError) {
+      console.error('Error resetting admin MFA:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to reset two-factor authentication'
+      });
+    }
+
+    await revokeAdminSessions(adminId, 'mfa_reset');
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'admin_mfa_reset',
+      'admin',
+      adminId,
+      { email: existingAdmin.email },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: `Two-factor authentication reset for ${existingAdmin.email}`
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Set password from an admin invitation link
+app.post('/api/admin/set-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || typeof password !== 'string' || !token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token and password are required'
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    // Hash before claiming the token so the claim is held as briefly as possible
+    const hashedPassword = await hashPassword(password);
+    const passwordToken = await consumePasswordToken('admin', token, 'invite');
+
+    if (!passwordToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'This link is invalid or has expired. Please ask a super admin to resend it.'
+      });
+    }
+
+    const { data: admin, error: updateError } = await supabase
+      .from('admins')
+      .update({
+        password: hashedPassword,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', passwordToken.subject_id)
+      .eq('is_active', true)
+      .select('id, email')
+      .maybeSingle();
+
+    if (updateError) {
+      await releasePasswordToken(passwordToken);
+      console.error('Error setting admin password:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to set password'
+      });
+    }
+
+    if (!admin) {
+      await releasePasswordToken(passwordToken);
+      return res.status(400).json({
+        success: false,
+        error: 'This account is no longer active. Please contact a super admin.'
+      });
+    }
+
+    await logAdminAction(admin.id, admin.email, 'admin_invite_accepted', 'admin', admin.id, {}, req);
+
+    res.json({
+      success: true,
+      message: 'Password set successfully. You can now log in.'
+    });
+
+  } catch (error) {
+    console.error('Set admin password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// ============================================
+// ADMIN API KEY ENDPOINTS
+// ============================================
+
+const API_KEY_DEFAULT_EXPIRY_DAYS = 90;
+const API_KEY_MAX_EXPIRY_DAYS = 365;
+
+// Helper function to generate a new API key (only its hash is stored)
+function generateApiKey() {
+  const key = `baes_${crypto.randomBytes(32).toString('hex')}`;
+  return {
+    key,
+    keyPrefix: key.slice(0, 13),
+    keyHash: hashToken(key)
+  };
+}
+
+// Helper function to format an API key record for responses
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    keyPrefix: apiKey.key_prefix,
+    scopes: apiKey.scopes || [],
+    createdBy: apiKey.created_by,
+    createdAt: apiKey.created_at,
+    expiresAt: apiKey.expires_at,
+    lastUsedAt: apiKey.last_used_at,
+    lastUsedIp: apiKey.last_used_ip,
+    rotatedAt: apiKey.rotated_at,
+    revokedAt: apiKey.revoked_at,
+    status: apiKey.revoked_at
+      ? 'revoked'
+      : (apiKey.expires_at && new Date(apiKey.expires_at) < new Date() ? 'expired' : 'active')
+  };
+}
+
+// List API keys
+app.get('/api/admin/api-keys', authenticateToken, requirePermission('api_keys.manage'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('admin_api_keys')
+      .select('id, name, key_prefix, scopes, created_by, created_at, expires_at, last_used_at, last_used_ip, rotated_at, revoked_at')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching API keys:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch API keys'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: (data || []).map(formatApiKey),
+      availableScopes: Object.keys(ADMIN_PERMISSIONS).filter(permission => !NON_DELEGABLE_PERMISSIONS.includes(permission))
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Create an API key (the plaintext key is only returned once)
+app.post('/api/admin/api-keys', authenticateToken, requirePermission('api_keys.manage'), async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = API_KEY_DEFAULT_EXPIRY_DAYS } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name is required'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !ADMIN_PERMISSIONS[scope])) {
+      return res.status(400).json({
+        success: false,
+        error: `scopes must be a non-empty array containing only: ${Object.keys(ADMIN_PERMISSIONS).join(', ')}`
+      });
+    }
+
+    const nonDelegable = scopes.filter(scope => NON_DELEGABLE_PERMISSIONS.includes(scope));
+    if (nonDelegable.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `These scopes cannot be granted to API keys: ${nonDelegable.join(', ')}`
+      });
+    }
+
+    // Admins cannot hand a key more access than they have themselves
+    for (const scope of scopes) {
+      if (!(await hasPermission(req.admin, scope))) {
+        return res.status(403).json({
+          success: false,
+          error: `You cannot grant the ${scope} scope because you do not have it`
+        });
+      }
+    }
+
+    const days = parseInt(expiresInDays);
+    if (isNaN(days) || days < 1 || days > API_KEY_MAX_EXPIRY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `expiresInDays must be between 1 and ${API_KEY_MAX_EXPIRY_DAYS}`
+      });
+    }
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+
+    const { data: apiKey, error } = await supabase
+      .from('admin_api_keys')
+      .insert([
+        {
+          name: name.trim(),
+          key_prefix: keyPrefix,
+          key_hash: keyHash,
+          scopes: [...new Set(scopes)],
+          created_by: req.admin.id,
+          expires_at: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating API key:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create API key'
+      });
+    }
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'api_key_created',
+      'api_key',
+      apiKey.id,
+      { name: apiKey.name, scopes: apiKey.scopes, expiresAt: apiKey.expires_at },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: {
+        ...formatApiKey(apiKey),
+        key
+      }
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Rotate an API key (the old key stops working immediately)
+app.post('/api/admin/api-keys/:keyId/rotate', authenticateToken, requirePermission('api_keys.manage'), async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    const { expiresInDays = API_KEY_DEFAULT_EXPIRY_DAYS } = req.body || {};
+
+    const days = parseInt(expiresInDays);
+    if (isNaN(days) || days < 1 || days > API_KEY_MAX_EXPIRY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `expiresInDays must be between 1 and ${API_KEY_MAX_EXPIRY_DAYS}`
+      });
+    }
+
+    const { data: existingKey, error: fetchError } = await supabase
+      .from('admin_api_keys')
+      .select('id, name, scopes, revoked_at, expires_at, admins ( is_active, role )')
+      .eq('id', keyId)
+      .single();
+
+    if (fetchError || !existingKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (existingKey.revoked_at) {
+      return res.status(400).json({
+        success: false,
+        error: 'Revoked API keys cannot be rotated'
+      });
+    }
+
+    // The new key keeps only the scopes its creator still has
+    const scopes = existingKey.admins?.is_active
+      ? await getLiveApiKeyScopes(existingKey.scopes, existingKey.admins.role)
+      : [];
+
+    if (scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The creator of this key no longer has any of its scopes. Create a new key instead.'
+      });
+    }
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+
+    // Rotation starts a fresh validity period, so rotating an expired key brings it back to life
+    const { data: apiKey, error } = await supabase
+      .from('admin_api_keys')
+      .update({
+        key_prefix: keyPrefix,
+        key_hash: keyHash,
+        scopes,
+        expires_at: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+        rotated_at: new Date().toISOString()
+      })
+      .eq('id', keyId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error rotating API key:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to rotate API key'
+      });
+    }
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'api_key_rotated',
+      'api_key',
+      apiKey.id,
+      { name: apiKey.name, scopes: apiKey.scopes, droppedScopes: existingKey.scopes.filter(scope => !scopes.includes(scope)), expiresAt: apiKey.expires_at },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'API key rotated. Copy it now, it will not be shown again.',
+      data: {
+        ...formatApiKey(apiKey),
+        key
+      }
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Revoke an API key
+app.post('/api/admin/api-keys/:keyId/revoke', authenticateToken, requirePermission('api_keys.manage'), async (req, res) => {
+  try {
+    const { keyId } = req.params;
+
+    const { data: apiKey, error } = await supabase
+      .from('admin_api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .is('revoked_at', null)
+      .select()
+      .single();
+
+    if (error || !apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found or already revoked'
+      });
+    }
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'api_key_revoked',
+      'api_key',
+      apiKey.id,
+      { name: apiKey.name },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: formatApiKey(apiKey)
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// ============================================
+// EMAIL TEMPLATE ENDPOINTS
+// ============================================
+
+// Helper function to format an email template for responses
+function formatEmailTemplate(key, template) {
+  return {
+    key,
+    description: template.description,
+    subject: template.subject,
+    html: template.html.trim(),
+    text: template.text.trim(),
+    variables: template.variables,
+    sampleData: template.sampleData,
+    overridden: template.overridden,
+    updatedBy: template.updatedBy,
+    updatedAt: template.updatedAt
+  };
+}
+
+// List email templates
+app.get('/api/admin/email-templates', authenticateToken, requirePermission('email_templates.manage'), async (req, res) => {
+  try {
+    const templates = [];
+    for (const key of Object.keys(EMAIL_TEMPLATES)) {
+      templates.push(formatEmailTemplate(key, await getEmailTemplate(key)));
+    }
+
+    res.json({
+      success: true,
+      data: templates
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get an email template, including the built-in default it overrides
+app.get('/api/admin/email-templates/:key', authenticateToken, requirePermission('email_templates.manage'), async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (!EMAIL_TEMPLATES[key]) {
+      return res.status(404).json({
+        success: false,
+        error: 'Email template not found'
+      });
+    }
+
+    const defaultTemplate = EMAIL_TEMPLATES[key];
+
+    res.json({
+      success: true,
+      data: {
+        ...formatEmailTemplate(key, await getEmailTemplate(key)),
+        defaults: {
+          subject: defaultTemplate.subject,
+          html: defaultTemplate.html.trim(),
+          text: defaultTemplate.text.trim()
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Override an email template's subject, HTML and/or text (takes effect without a deploy)
+app.put('/api/admin/email-templates/:key', authenticateToken, requirePermission('email_templates.manage'), async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { subject, html, text } = req.body;
+
+    if (!EMAIL_TEMPLATES[key]) {
+      return res.status(404).json({
+        success: false,
+        error: 'Email template not found'
+      });
+    }
+
+    if (!subject && !html && !text) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one of subject, html or text is required'
+      });
+    }
+
+    if (key === EMAIL_TEMPLATE_LAYOUT_KEY && subject) {
+      return res.status(400).json({
+        success: false,
+        error: 'The layout has no subject'
+      });
+    }
+
+    const validationError = validateEmailTemplateFields(key, { subject, html, text });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const { data: template, error } = await supabase
+      .from('email_templates')
+      .upsert({
+        key,
+        subject: subject || null,
+        html: html || null,
+        text: text || null,
+        updated_by: req.admin.email,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'key' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error saving email template:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to save email template'
+      });
+    }
+
+    emailTemplateOverridesCache = null;
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'email_template_updated',
+      'email_template',
+      key,
+      { fields: ['subject', 'html', 'text'].filter(field => template[field]) },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Email template updated successfully',
+      data: formatEmailTemplate(key, await getEmailTemplate(key))
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Remove an email template override and go back to the built-in default
+app.delete('/api/admin/email-templates/:key', authenticateToken, requirePermission('email_templates.manage'), async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (!EMAIL_TEMPLATES[key]) {
+      return res.status(404).json({
+        success: false,
+        error: 'Email template not found'
+      });
+    }
+
+    const { error } = await supabase
+      .from('email_templates')
+      .delete()
+      .eq('key', key);
+
+    if (error) {
+      console.error('Error resetting email template:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to reset email template'
+      });
+    }
+
+    emailTemplateOverridesCache = null;
+
+    await logAdminAction(req.admin.id, req.admin.email, 'email_template_reset', 'email_template', key, {}, req);
+
+    res.json({
+      success: true,
+      message: 'Email template reset to default',
+      data: formatEmailTemplate(key, await getEmailTemplate(key))
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Preview an email template with sample data (unsaved subject/html/text can be passed to preview edits)
+app.post('/api/admin/email-templates/:key/preview', authenticateToken, requirePermission('email_templates.manage'), async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { subject, html, text, data } = req.body;
+
+    if (!EMAIL_TEMPLATES[key]) {
+      return res.status(404).json({
+        success: false,
+        error: 'Email template not found'
+      });
+    }
+
+    const validationError = validateEmailTemplateFields(key, { subject, html, text });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const draft = Object.fromEntries(
+      Object.entries({ subject, html, text }).filter(([, value]) => value)
+    );
+
+    const rendered = await renderEmail(key, { ...EMAIL_TEMPLATES[key].sampleData, ...(data || {}) }, draft);
+
+    res.json({
+      success: true,
+      data: rendered
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// ============================================
+// MESSAGE OUTBOX ENDPOINTS
+// ============================================
+
+const OUTBOX_MESSAGE_COLUMNS = 'id, channel, recipient, subject, template_key, context, status, attempts, max_attempts, next_attempt_at, last_error, provider_message_id, sent_at, created_at, updated_at';
+
+// List outbound messages (e.g. ?status=dead for permanently failed ones)
+app.get('/api/admin/messages', authenticateToken, requirePermission('messages.manage'), async (req, res) => {
+  try {
+    const { status, channel, recipient, templateKey, page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    let query = supabase
+      .from('message_outbox')
+      .select(OUTBOX_MESSAGE_COLUMNS, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limitNum - 1);
+
+    if (status) query = query.eq('status', status);
+    if (channel) query = query.eq('channel', channel);
+    if (recipient) query = query.ilike('recipient', `%${recipient}%`);
+    if (templateKey) query = query.eq('template_key', templateKey);
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error('Error fetching outbox messages:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch messages'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data || [],
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
+      }
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get an outbound message with its delivery attempts
+app.get('/api/admin/messages/:messageId', authenticateToken, requirePermission('messages.manage'), async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const { data: message, error } = await supabase
+      .from('message_outbox')
+      .select(OUTBOX_MESSAGE_COLUMNS)
+      .eq('id', messageId)
+      .single();
+
+    if (error || !message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    const { data: attempts } = await supabase
+      .from('message_delivery_attempts')
+      .select('attempt_number, provider, succeeded, provider_message_id, error, created_at')
+      .eq('message_id', messageId)
+      .order('attempt_number', { ascending: true });
+
+    res.json({
+      success: true,
+      data: {
+        ...message,
+        attempts: attempts || []
+      }
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Resend a failed (dead) or still-pending message now, with a fresh set of attempts
+app.post('/api/admin/messages/:messageId/resend', authenticateToken, requirePermission('messages.manage'), async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const { data: message, error } = await supabase
+      .from('message_outbox')
+      .update({
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', messageId)
+      .in('status', ['dead', 'pending'])
+      .select('id, recipient, template_key')
+      .maybeSingle();
+
+    if (error || !message) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message not found, already sent or currently being sent'
+      });
+    }
+
+    const claimed = await claimOutboxMessage(message.id);
+    const result = claimed ? await deliverOutboxMessage(claimed) : { success: false, status: 'pending' };
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'message_resent',
+      'message',
+      message.id,
+      { recipient: message.recipient, templateKey: message.template_key, delivered: result.success },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: result.success
+        ? `Message sent to ${message.recipient}`
+        : `Message to ${message.recipient} could not be sent yet and will be retried automatically`,
+      data: {
+        id: message.id,
+        status: result.status,
+        error: result.success ? null : result.error
+      }
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Validate MT5 credentials endpoint (before signup)
+app.post('/api/validate-mt5-credentials', async (req, res) => {
+  try {
+    const { email, mt5Login, mt5Password, mt5Server } = req.body;
+
+    // Validation
+    if (!email || !mt5Login || !mt5Password || !mt5Server) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email, MT5 login, password, and server are required'
+      });
+    }
+
+    if (!metaApi) {
+      return res.status(503).json({
+        success: false,
+        error: 'MT5 validation service not available. Please contact support.'
+      });
+    }
+
+    // Check if this MT5 account is already validated for this email (and not expired)
+    const { data: existingValidation } = await supabase
+      .from('mt5_validations')
+      .select('id, is_validated, expires_at, metaapi_account_id')
+      .eq('email', email.toLowerCase())
+      .eq('login', mt5Login)
+      .eq('server', mt5Server)
+      .gt('expires_at', new Date().toISOString())
+      .single();
+
+    if (existingValidation && existingValidation.is_validated) {
+      return res.json({
+        success: true,
+        message: 'MT5 account already validated',
+        data: {
+          validationId: existingValidation.id,
+          isValidated: true,
+          expiresAt: existingValidation.expires_at
+        }
+      });
+    }
+
+    // Create or update MetaAPI account
+    console.log(`Validating MT5 credentials for ${mt5Login} on ${mt5Server}...`);
+    
+    let metaApiAccountId = existingValidation?.metaapi_account_id;
+    let metaApiAccount;
+
+    try {
+      if (metaApiAccountId) {
+        // Try to get existing account
+        try {
+          metaApiAccount = await metaApi.metatraderAccountApi.getAccount(metaApiAccountId);
+          console.log(`Using existing MetaAPI account ${metaApiAccountId}`);
+        } catch {
+          metaApiAccountId = null;
+        }
+      }
+
+      if (!metaApiAccount) {
+        // Create new MetaAPI account - this validates the credentials
+        metaApiAccount = await metaApi.metatraderAccountApi.createAccount({
+          name: `MT5-${mt5Login}-${Date.now()}`,
+          type: 'cloud',
+          login: mt5Login,
+          password: mt5Password,
+          server: mt5Server,
+          platform: 'mt5',
+          magic: 0
+        });
+        metaApiAccountId = metaApiAccount.id;
+        console.log(`✓ Created MetaAPI account ${metaApiAccountId} - credentials validated`);
+      }
+
+      // Note: We don't deploy or connect here to keep validation fast
+      // Deployment and connection will happen during metrics sync when needed
+
+      // Encrypt password for storage
+      const encryptedPassword = encryptMT5Password(mt5Password);
+
+      // Store validation
+      const validationData = {
+        email: email.toLowerCase(),
+        login: mt5Login,
+        password: encryptedPassword,
+        server: mt5Server,
+        metaapi_account_id: metaApiAccountId,
+        is_validated: true,
+        validation_attempted_at: new Date().toISOString(),
+        validated_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(), // 3 days
+        updated_at: new Date().toISOString()
+      };
+
+      const { data: validation, error: validationError } = await supabase
+        .from('mt5_validations')
+        .upsert(validationData, { onConflict: 'email,login,server' })
+        .select()
+        .single();
+
+      if (validationError) {
+        throw new Error(`Failed to store validation: ${validationError.message}`);
+      }
+
+      console.log(`✓ MT5 account ${mt5Login} validated successfully`);
+
+      res.json({
+        success: true,
+        message: 'MT5 credentials validated successfully',
+        data: {
+          validationId: validation.id,
+          isValidated: true,
+          expiresAt: validation.expires_at
+        }
+      });
+
+    } catch (error) {
+      console.error('MT5 validation error:', error);
+
+      // Store failed validation attempt
+      try {
+        await supabase
+          .from('mt5_validations')
+          .upsert({
+            email: email.toLowerCase(),
+            login: mt5Login,
+            password: encryptMT5Password(mt5Password),
+            server: mt5Server,
+            is_validated: false,
+            validation_attempted_at: new Date().toISOString(),
+            expires_at: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(),
+            updated_at: new Date().toISOString()
+          }, { onConflict: 'email,login,server' });
+      } catch (storeError) {
+        console.error('Failed to store validation attempt:', storeError);
+      }
+
+      res.status(400).json({
+        success: false,
+        error: error.message || 'Failed to validate MT5 credentials. Please verify login, password, and server are correct.'
+      });
+    }
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Signup endpoint
+app.post('/api/signup', async (req, res) => {
+  try {
+    const {
+      fullName,
+      email,
+      phone,
+      investmentAmount,
+      profitSharing,
+      country,
+      mt5Accounts, // Array of MT5 accounts
+      emailVerificationToken, // Returned by /api/verify-otp for the email
+      phoneVerificationToken, // Returned by /api/verify-otp for the phone
+      partnerId, // Optional: partner ID if user was referred by a partner
+      inviteToken, // Required: invitation token from signup URL
+      password // Optional: investor can set a password now or via the link emailed after approval
+    } = req.body;
+
+    // Validation
+    if (!fullName || !email || !phone || !investmentAmount || !country) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields'
+      });
+    }
+
+    // Validate invitation token (REQUIRED)
+    if (!inviteToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invitation token is required. Please use your unique invitation link.'
+      });
+    }
+
+    // Check if invitation exists and is valid
+    const { data: invitation, error: inviteError } = await supabase
+      .from('invites')
+      .select('id, email, token, status, investment_amount, investment_amount_min, investment_amount_max, profit_sharing, partner_id, expires_at')
+      .eq('token', inviteToken)
+      .single();
+
+    if (inviteError || !invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invalid or expired invitation. Please contact support.'
+      });
+    }
+
+    // Check the invitation is still pending and not expired
+    const inviteUnusableReason = getInviteUnusableReason(invitation);
+    if (inviteUnusableReason) {
+      return res.status(400).json({
+        success: false,
+        error: inviteUnusableReason
+      });
+    }
+
+    // Validate email matches invitation
+    if (invitation.email.toLowerCase() !== email.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        error: `This invitation is for ${invitation.email}. Please use the correct email address.`
+      });
+    }
+
+    // Validate MT5 accounts
+    if (!mt5Accounts || !Array.isArray(mt5Accounts) || mt5Accounts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one MT5 account is required'
+      });
+    }
+
+    // Validate each MT5 account
+    for (const account of mt5Accounts) {
+      if (!account.mt5Login || !account.mt5Password || !account.mt5Server) {
+        return res.status(400).json({
+          success: false,
+          error: 'Each MT5 account must have login, password, and server'
+        });
+      }
+    }
+
+    // Email and phone must have been verified via OTP; the proofs are bound to the exact values submitted
+    const emailProof = checkVerificationProof(emailVerificationToken, 'email', email.trim().toLowerCase());
+    const phoneProof = checkVerificationProof(phoneVerificationToken, 'phone', formatPhoneNumber(phone));
+
+    if (!emailProof || !phoneProof) {
+      return res.status(400).json({
+        success: false,
+        error: !emailProof
+          ? 'Email must be verified. Please verify your email address again.'
+          : 'Phone must be verified. Please verify your phone number again.'
+      });
+    }
+
+    if (parseFloat(investmentAmount) < 100000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Minimum investment amount is $100,000'
+      });
+    }
+
+    // Commercial terms are bound to the invitation. Profit sharing is never taken from the client,
+    // and an investment amount outside the invite's range is flagged for admin review.
+    if (profitSharing !== undefined && profitSharing !== null && profitSharing !== '' &&
+        parseFloat(profitSharing) !== parseFloat(invitation.profit_sharing)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Profit sharing does not match your invitation. Please use the link from your invitation email.'
+      });
+    }
+
+    const termsDeviation = getInviteTermsDeviation(invitation, parseFloat(investmentAmount));
+
+    if (password !== undefined && password !== null && password !== '') {
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+        });
+      }
+    }
+
+    // Check if user already exists (case-insensitively, since login matches emails that way)
+    const { data: existingUsers } = await supabase
+      .from('users')
+      .select('id')
+      .ilike('email', email.trim().replace(/[\\%_]/g, '\\$&'))
+      .limit(1);
+
+    if (existingUsers && existingUsers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'User with this email already exists'
+      });
+    }
+
+    // Get partner from invitation (required)
+    if (!invitation.partner_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'This invitation does not have an associated partner. Please contact support.'
+      });
+    }
+
+    // Fetch partner details for validation and later notification
+      const { data: partner, error: partnerError } = await supabase
+        .from('partners')
+      .select('id, name, email, status')
+      .eq('id', invitation.partner_id)
+        .single();
+
+      if (partnerError || !partner) {
+        return res.status(400).json({
+          success: false,
+        error: 'Partner associated with this invitation not found. Please contact support.'
+        });
+      }
+
+      if (partner.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+        error: 'Partner associated with this invitation is not active. Please contact support.'
+        });
+    }
+
+    // Check if any MT5 login already exists for this server
+    for (const account of mt5Accounts) {
+      const { data: existingMT5 } = await supabase
+      .from('mt5_logins')
+      .select('id')
+        .eq('login', account.mt5Login)
+        .eq('server', account.mt5Server)
+      .single();
+
+    if (existingMT5) {
+      return res.status(409).json({
+        success: false,
+          error: `MT5 login ${account.mt5Login} already exists for server ${account.mt5Server}`
+        });
+      }
+    }
+
+    // CHECK FOR PRE-VALIDATED MT5 CREDENTIALS
+    console.log(`Checking for pre-validated MT5 accounts for ${email}...`);
+    const validatedAccounts = [];
+    
+    for (let i = 0; i < mt5Accounts.length; i++) {
+      const account = mt5Accounts[i];
+      
+      // Check if this MT5 account was pre-validated
+      const { data: validation, error: validationError } = await supabase
+        .from('mt5_validations')
+        .select('id, login, server, metaapi_account_id, is_validated, expires_at, password')
+        .eq('email', email.toLowerCase())
+        .eq('login', account.mt5Login)
+        .eq('server', account.mt5Server)
+        .eq('is_validated', true)
+        .eq('is_used', false)
+        .gt('expires_at', new Date().toISOString())
+        .single();
+
+      if (validationError || !validation) {
+        return res.status(400).json({
+          success: false,
+          error: `MT5 account ${account.mt5Login} on ${account.mt5Server} is not validated. Please click 'Validate' button for this account before submitting.`
+      });
+    }
+
+      validatedAccounts.push({
+        index: i,
+        validationId: validation.id,
+        metaApiAccountId: validation.metaapi_account_id,
+        encryptedPassword: validation.password
+      });
+    }
+    
+    console.log(`✓ All ${mt5Accounts.length} MT5 account(s) are pre-validated`);
+
+    // Hash the investor's login password if they chose one during signup
+    const hashedPassword = password ? await hashPassword(password) : null;
+
+    // Consume the verification proofs last so a rejected signup doesn't use them up
+    if (!(await consumeVerificationProof(emailProof))) {
+      return res.status(400).json({
+        success: false,
+        error: 'This email verification has already been used. Please verify your email address again.'
+      });
+    }
+
+    if (!(await consumeVerificationProof(phoneProof))) {
+      await releaseVerificationProof(emailProof);
+      return res.status(400).json({
+        success: false,
+        error: 'This phone verification has already been used. Please verify your phone number again.'
+      });
+    }
+
+    // Insert user data into Supabase (without MT5 fields)
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .insert([
+        {
+          full_name: fullName,
+          email: email,
+          phone: phone,
+          investment_amount: parseFloat(investmentAmount),
+          profit_sharing: invitation.profit_sharing, // Always the invited terms
+          country: country,
+          partner_id: partner.id, // Use partner from invitation
+          invite_id: invitation.id,
+          terms_review_status: termsDeviation ? 'pending_review' : 'not_required',
+          terms_deviation: termsDeviation,
+          email_verified: true,
+          phone_verified: true,
+          password: hashedPassword,
+          password_set_at: hashedPassword ? new Date().toISOString() : null,
+          status: 'pending',
+          created_at: new Date().toISOString()
+        }
+      ])
+      .select()
+      .single();
+
+    if (userError) {
+      console.error('Supabase error creating user:', userError);
+      await releaseVerificationProof(emailProof);
+      await releaseVerificationProof(phoneProof);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create user account',
+        details: userError.message
+      });
+    }
+
+    // Insert all MT5 login accounts using pre-validated data
+    const mt5DataToInsert = mt5Accounts.map((account, index) => {
+      // Find the corresponding validated account
+      const validated = validatedAccounts.find(acc => acc.index === index);
+
+      return {
+          user_id: userData.id,
+        login: account.mt5Login,
+        password: validated.encryptedPassword, // Use already encrypted password from validation
+        server: account.mt5Server,
+          is_active: true,
+        is_primary: index === 0, // First MT5 login is primary
+        metaapi_account_id: validated.metaApiAccountId,
+          created_at: new Date().toISOString()
+      };
+    });
+
+    // Insert all MT5 logins at once
+    const { data: mt5Data, error: mt5Error } = await supabase
+      .from('mt5_logins')
+      .insert(mt5DataToInsert)
+      .select();
+
+    if (mt5Error) {
+      console.error('Supabase error creating MT5 logins:', mt5Error);
+      // Rollback: delete the user if MT5 insertion fails
+      await supabase.from('users').delete().eq('id', userData.id);
+      await releaseVerificationProof(emailProof);
+      await releaseVerificationProof(phoneProof);
+      
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create MT5 logins',
+        details: mt5Error.message
+      });
+    }
+
+    // Mark MT5 validations as used
+    for (const validated of validatedAccounts) {
+      await supabase
+        .from('mt5_validations')
+        .update({ 
+          is_used: true, 
+          used_at: new Date().toISOString(),
+          user_id: userData.id
+        })
+        .eq('id', validated.validationId);
+    }
+
+    // Mark invitation as used
+    const { data: usedInvite, error: inviteUpdateError } = await supabase
+      .from('invites')
+      .update({
+        status: 'used',
+        used_at: new Date().toISOString(),
+        used_by_user_id: userData.id
+      })
+      .eq('token', inviteToken)
+      .eq('status', 'pending')
+      .select('id')
+      .maybeSingle();
+
+    if (inviteUpdateError || !usedInvite) {
+      console.error('Error updating invitation status:', inviteUpdateError || `invite ${invitation.id} was no longer pending`);
+      // Don't fail signup if invitation update fails, just log it
+    }
+
+    // Send notification email to partner about new user onboarding
+    sendPartnerUserOnboardedEmail(partner.email, partner.name, fullName, email)
+      .then((result) => {
+        if (result.success) {
+          console.log(`✓ Partner notification sent to ${partner.email}`);
+        } else {
+          console.warn(`✗ Failed to send partner notification: ${result.error}`);
+        }
+      })
+      .catch((error) => {
+        console.error(`✗ Error sending partner notification:`, error);
+      });
+
+    // Trigger metrics sync for all MT5 accounts in background (don't wait for it)
+    if (metaApi && mt5Data) {
+      mt5Data.forEach(mt5 => {
+        syncMT5Metrics(mt5.id)
+          .then(() => {
+            console.log(`✓ Initial metrics synced for MT5 login ${mt5.login}`);
+          })
+          .catch((error) => {
+            console.error(`✗ Failed to sync initial metrics for MT5 login ${mt5.login}:`, error.message);
+            // Don't fail signup if metrics sync fails
+          });
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration submitted successfully! Our team will contact you shortly.',
+      data: {
+        id: userData.id,
+        email: userData.email,
+        fullName: userData.full_name,
+        mt5LoginCount: mt5Data.length,
+        mt5LoginIds: mt5Data.map(mt5 => mt5.id),
+        passwordSet: !!hashedPassword,
+        termsReviewRequired: !!termsDeviation
+      }
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Email OTP endpoint
+app.post('/api/send-email-otp', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (typeof email !== 'string' || !email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email format'
+      });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const rateLimit = await reserveOtpSend('email', normalizedEmail, req);
+    if (rateLimit) {
+      return sendRateLimited(res, rateLimit);
+    }
+
+    // Generate OTP
+    const otp = generateOTP();
+    const expiresAt = new Date();
+    expiresAt.setMinutes(expiresAt.getMinutes() + OTP_EXPIRY_MINUTES);
+
+    // Invalidate any existing unverified OTPs for this email
+    await supabase
+      .from('otp_codes')
+      .update({ verified: true }) // Mark as verified to invalidate
+      .eq('email', normalizedEmail)
+      .eq('type', 'email')
+      .eq('verified', false);
+
+    // Store only a hash of the OTP in database
+    const { error: dbError } = await supabase
+      .from('otp_codes')
+      .insert([
+        {
+          email: normalizedEmail,
+          otp_code_hash: hashOTP('email', normalizedEmail, otp),
+          type: 'email',
+          expires_at: expiresAt.toISOString(),
+          verified: false,
+          attempts: 0
+        }
+      ]);
+
+    if (dbError) {
+      console.error('Database error storing OTP:', dbError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to generate verification code'
+      });
+    }
+
+    // Send email via the configured email provider
+    const emailResult = await sendTemplatedEmail(normalizedEmail, 'email_verification_code', {
+      otp,
+      expiryMinutes: OTP_EXPIRY_MINUTES
+    });
+
+    if (!emailResult.success) {
+      // In production, fail the request if email fails
+      if (process.env.NODE_ENV === 'production') {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to send verification email. Please try again later.'
+        });
+      }
+      // In development, log but don't fail (OTP is returned in response)
+      console.warn('Email sending failed in development mode, but continuing...');
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification code sent to your email',
+      // In development, return OTP for testing
+      ...(process.env.NODE_ENV === 'development' && { otp })
+    });
+
+  } catch (error) {
+    console.error('Error sending email OTP:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send verification code'
+    });
+  }
+});
+
+// Phone OTP endpoint
+app.post('/api/send-phone-otp', async (req, res) => {
+  try {
+    const { phone } = req.body;
+
+    if (typeof phone !== 'string' || !phone) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number is required'
+      });
+    }
+
+    if (!isSmsConfigured()) {
+      return res.status(500).json({
+        success: false,
+        error: 'SMS service not configured. Please contact support.'
+      });
+    }
+
+    // Format phone number to E.164 format
+    const formattedPhone = formatPhoneNumber(phone);
+
+    const rateLimit = await reserveOtpSend('phone', formattedPhone, req);
+    if (rateLimit) {
+      return sendRateLimited(res, rateLimit);
+    }
+
+    // Generate OTP
+    const otp = generateOTP();
+    const expiresAt = new Date();
+    expiresAt.setMinutes(expiresAt.getMinutes() + OTP_EXPIRY_MINUTES);
+
+    // Invalidate any existing unverified OTPs for this phone
+    await supabase
+      .from('otp_codes')
+      .update({ verified: true }) // Mark as verified to invalidate
+      .eq('phone', formattedPhone)
+      .eq('type', 'phone')
+      .eq('verified', false);
+
+    // Store only a hash of the OTP in database
+    const { error: dbError } = await supabase
+      .from('otp_codes')
+      .insert([
+        {
+          phone: formattedPhone,
+          otp_code_hash: hashOTP('phone', formattedPhone, otp),
+          type: 'phone',
+          expires_at: expiresAt.toISOString(),
+          verified: false,
+          attempts: 0
+        }
+      ]);
+
+    if (dbError) {
+      console.error('Database error storing OTP:', dbError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to generate verification code'
+      });
+    }
+
+    // Send SMS via the configured SMS provider
+    const smsResult = await sendSms(
+      formattedPhone,
+      `Your BAES Solutions verification code is: ${otp}. This code expires in ${OTP_EXPIRY_MINUTES} minutes.`
+    );
+
+    if (!smsResult.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to send SMS. Please check your phone number and try again.',
+        details: smsResult.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification code sent to your phone',
+      // In development, return OTP for testing
+      ...(process.env.NODE_ENV === 'development' && { otp })
+    });
+
+  } catch (error) {
+    console.error('Error sending phone OTP:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send verification code'
+    });
+  }
+});
+
+// Verify OTP endpoint
+app.post('/api/verify-otp', async (req, res) => {
+  try {
+    const { email, phone, otp, type } = req.body;
+
+    if (typeof otp !== 'string' || !otp || !type) {
+      return res.status(400).json({
+        success: false,
+        error: 'OTP and type are required'
+      });
+    }
+
+    if (type !== 'email' && type !== 'phone') {
+      return res.status(400).json({
+        success: false,
+        error: 'Type must be email or phone'
+      });
+    }
+
+    if (type === 'email' && (typeof email !== 'string' || !email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required for email verification'
+      });
+    }
+
+    if (type === 'phone' && (typeof phone !== 'string' || !phone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone is required for phone verification'
+      });
+    }
+
+    // Validate OTP format
+    if (otp.length !== OTP_LENGTH || !/^\d+$/.test(otp)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid verification code format'
+      });
+    }
+
+    // Format phone number if verifying phone
+    const formattedPhone = type === 'phone' ? formatPhoneNumber(phone) : null;
+
+    // Per-IP cap on guesses, on top of the per-code attempt limit
+    const destination = type === 'email' ? email.trim().toLowerCase() : formattedPhone;
+    const verifyLimit = await reserveOtpRateEvent('verify', type, destination, req, [
+      {
+        filters: { action: 'verify', ip_address: getClientIp(req) },
+        windowSeconds: 60 * 60,
+        maxEvents: MAX_OTP_VERIFY_ATTEMPTS_PER_IP_PER_HOUR,
+        error: 'Too many verification attempts. Please try again later.',
+        perIp: true
+      }
+    ]);
+    if (verifyLimit) {
+      return sendRateLimited(res, verifyLimit);
+    }
+
+    // Find the latest active OTP for this destination (codes are hashed, so match on destination only)
+    const { data: otpRecords, error: queryError } = await supabase
+      .from('otp_codes')
+      .select('id, otp_code_hash, attempts')
+      .eq('type', type)
+      .eq(type === 'email' ? 'email' : 'phone', destination)
+      .eq('verified', false)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (queryError) {
+      console.error('Database error:', queryError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to verify code'
+      });
+    }
+
+    if (!otpRecords || otpRecords.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification code'
+      });
+    }
+
+    const otpRecord = otpRecords[0];
+
+    // Check if max attempts exceeded
+    if ((otpRecord.attempts || 0) >= MAX_OTP_ATTEMPTS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Maximum verification attempts exceeded. Please request a new code.'
+      });
+    }
+
+    // Count every attempt before comparing; the attempts filter makes concurrent guesses each use up an attempt
+    const { data: countedAttempt, error: attemptError } = await supabase
+      .from('otp_codes')
+      .update({ attempts: (otpRecord.attempts || 0) + 1 })
+      .eq('id', otpRecord.id)
+      .eq('attempts', otpRecord.attempts || 0)
+      .select('id')
+      .maybeSingle();
+
+    if (attemptError) {
+      console.error('Error counting OTP attempt:', attemptError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to verify code'
+      });
+    }
+
+    if (!countedAttempt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Another verification attempt is in progress. Please try again.'
+      });
+    }
+
+    if (!otpMatches(type, destination, otp, otpRecord.otp_code_hash)) {
+      const attemptsRemaining = MAX_OTP_ATTEMPTS - (otpRecord.attempts || 0) - 1;
+      return res.status(400).json({
+        success: false,
+        error: attemptsRemaining > 0
+          ? 'Invalid or expired verification code'
+          : 'Maximum verification attempts exceeded. Please request a new code.',
+        attemptsRemaining
+      });
+    }
+
+    // Mark OTP as verified (verified_at distinguishes this from codes invalidated by a resend)
+    const { error: updateError } = await supabase
+      .from('otp_codes')
+      .update({ verified: true, verified_at: new Date().toISOString() })
+      .eq('id', otpRecord.id);
+
+    if (updateError) {
+      console.error('Error updating OTP:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to verify code'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${type === 'email' ? 'Email' : 'Phone'} verified successfully`,
+      verified: true,
+      // Must be sent to /api/signup as emailVerificationToken / phoneVerificationToken
+      verificationToken: signVerificationProof(otpRecord.id, type, destination),
+      expiresIn: VERIFICATION_PROOF_EXPIRY
+    });
+
+  } catch (error) {
+    console.error('Error verifying OTP:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify code'
+    });
+  }
+});
+
+// ============================================
+// INVESTOR AUTHENTICATION ENDPOINTS
+// ============================================
+
+// Helper function to email an investor a link for setting their login password
+async function sendInvestorPasswordSetupLink(user) {
+  const token = await createPasswordToken('user', user.id, 'setup', PASSWORD_SETUP_TOKEN_EXPIRY_HOURS);
+  const frontendUrl = process.env.FRONTEND_URL || 'https://baessolutions.com';
+  const setupLink = `${frontendUrl}/set-password?token=${token}`;
+
+  return await sendInvestorPasswordSetupEmail(user.email, user.full_name, setupLink);
+}
+
+// Investor login endpoint
+app.post('/api/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (typeof email !== 'string' || typeof password !== 'string' || !email.trim() || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required'
+      });
+    }
+
+    // Block IPs with too many recent failures across all investor accounts
+    const ipBlockSeconds = await getIpLoginBlockSeconds('investor', req);
+    if (ipBlockSeconds > 0) {
+      res.set('Retry-After', String(ipBlockSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed login attempts. Please try again later.',
+        retryAfter: ipBlockSeconds
+      });
+    }
+
+    // Fetch user by email (signup stores the email as typed, so match case-insensitively).
+    // Older signups may have left rows differing only in case; the exact spelling wins then.
+    const { data: matchingUsers, error } = await supabase
+      .from('users')
+      .select('id, email, password, full_name, status, locked_until, lockout_count, login_failures_reset_at')
+      .ilike('email', email.trim().replace(/[\\%_]/g, '\\$&'));
+
+    const user = (matchingUsers || []).find(candidate => candidate.email === email.trim()) ||
+      (matchingUsers?.length === 1 ? matchingUsers[0] : null);
+
+    // Users who haven't set a password yet can't log in; don't reveal whether the email exists
+    if (error || !user || !user.password) {
+      await recordLoginAttempt('investor', email.trim(), user?.id || null, false, user ? 'no_password' : 'unknown_email', req);
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    // Check if account is temporarily locked after repeated failures
+    const lockSeconds = getLockSeconds(user);
+    if (lockSeconds > 0) {
+      await recordLoginAttempt('investor', user.email, user.id, false, 'account_locked', req);
+
+      res.set('Retry-After', String(lockSeconds));
+      return res.status(423).json({
+        success: false,
+        error: 'Account is temporarily locked due to too many failed login attempts. Please try again later.',
+        retryAfter: lockSeconds
+      });
+    }
+
+    // Verify password using bcrypt
+    const isPasswordValid = await verifyPassword(password, user.password);
+
+    if (!isPasswordValid) {
+      const lockedForSeconds = await handleFailedLogin('investor', user, 'invalid_password', req);
+      if (lockedForSeconds > 0) {
+        res.set('Retry-After', String(lockedForSeconds));
+        return res.status(423).json({
+          success: false,
+          error: 'Too many failed login attempts. Account has been temporarily locked.',
+          retryAfter: lockedForSeconds
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    // Check if user is active (approved by an admin)
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        error: 'Account is not active. Please contact support.'
+      });
+    }
+
+    // Update last login time and clear failed-attempt state
+    await supabase
+      .from('users')
+      .update({
+        last_login_at: new Date().toISOString(),
+        locked_until: null,
+        lockout_count: 0,
+        login_failures_reset_at: new Date().toISOString()
+      })
+      .eq('id', user.id);
+
+    await recordLoginAttempt('investor', user.email, user.id, true, null, req);
+
+    // Generate investor JWT token (type keeps it from being accepted on admin routes)
+    const token = jwt.sign(
+      {
+        id: user.id,
+        email: user.email,
+        fullName: user.full_name,
+        type: 'investor'
+      },
+      JWT_SECRET,
+      { expiresIn: INVESTOR_JWT_EXPIRY }
+    );
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        token,
+        user: {
+          id: user.id,
+          email: user.email,
+          fullName: user.full_name,
+          status: user.status
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Investor set-password endpoint (token comes from the emailed set-password link)
+app.post('/api/set-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || typeof password !== 'string' || !token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token and password are required'
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    // Hash before claiming the token so the claim is held as briefly as possible
+    const hashedPassword = await hashPassword(password);
+    const passwordToken = await consumePasswordToken('user', token, 'setup');
+
+    if (!passwordToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'This link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({
+        password: hashedPassword,
+        password_set_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', passwordToken.subject_id);
+
+    if (updateError) {
+      await releasePasswordToken(passwordToken);
+      console.error('Error setting investor password:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to set password'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password set successfully. You can now log in.'
+    });
+
+  } catch (error) {
+    console.error('Set password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// ============================================
+// INVESTOR SELF-SERVICE ENDPOINTS
+// ============================================
+
+// Get the logged-in investor's profile
+app.get('/api/me', authenticateInvestor, async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select(`
+        id,
+        full_name,
+        email,
+        phone,
+        country,
+        investment_amount,
+        profit_sharing,
+        status,
+        email_verified,
+        phone_verified,
+        created_at,
+        last_login_at,
+        partners (
+          id,
+          name,
+          company_name
+        )
+      `)
+      .eq('id', req.investor.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get the logged-in investor's MT5 logins
+app.get('/api/me/mt5-logins', authenticateInvestor, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('mt5_logins')
+      .select('id, login, server, is_active, is_primary, created_at, updated_at, metrics, metrics_last_synced, sync_status')
+      .eq('user_id', req.investor.id)
+      .order('is_primary', { ascending: false })
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching MT5 logins:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch MT5 logins'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data || []
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get metrics for one of the logged-in investor's MT5 logins
+app.get('/api/me/mt5-logins/:mt5LoginId/metrics', authenticateInvestor, requireOwnMT5Login, async (req, res) => {
+  try {
+    const mt5Login = req.mt5Login;
+
+    res.json({
+      success: true,
+      data: {
+        id: mt5Login.id,
+        login: mt5Login.login,
+        server: mt5Login.server,
+        metrics: mt5Login.metrics || null,
+        metricsLastSynced: mt5Login.metrics_last_synced,
+        syncStatus: mt5Login.sync_status,
+        isActive: mt5Login.is_active
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching MT5 metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch metrics',
+      details: error.message
+    });
+  }
+});
+
+// ============================================
+// PARTNER MANAGEMENT ENDPOINTS
+// ============================================
+
+// ============================================
+// EMAIL TEMPLATES
+// ============================================
+// Built-in templates live here; admins can override subject/html/text per template through
+// /api/admin/email-templates (stored in the email_templates table), so copy changes need no deploy.
+// {{name}} is HTML-escaped in html bodies, {{{name}}} is inserted as-is (only allowed for rawVariables).
+
+const EMAIL_TEMPLATE_LAYOUT_KEY = 'layout';
+
+const EMAIL_TEMPLATES = {
+  layout: {
+    description: 'Shared layout wrapped around every email',
+    subject: null,
+    html: `
+<html>
+  <body style="font-family: Arial, sans-serif; padding: 20px; background-color: #f5f5f5;">
+    <div style="max-width: 600px; margin: 0 auto; background-color: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+      {{{content}}}
+      <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+      <p style="color: #999; font-size: 12px; margin: 0;">BAES Solutions LLC</p>
+    </div>
+  </body>
+</html>`,
+    text: `{{{content}}}
+
+--
+BAES Solutions LLC`,
+    variables: ['content'],
+    rawVariables: ['content'],
+    sampleData: {
+      content: '<p style="color: #666; font-size: 16px;">Email content goes here.</p>'
+    }
+  },
+  email_verification_code: {
+    description: 'OTP sent by /api/send-email-otp',
+    subject: 'BAES Solutions - Email Verification Code',
+    html: `
+<h2 style="color: #333; margin-bottom: 20px;">BAES Solutions - Email Verification</h2>
+<p style="color: #666; font-size: 16px; margin-bottom: 20px;">Your verification code is:</p>
+<div style="background-color: #f0f7ff; padding: 20px; border-radius: 6px; text-align: center; margin: 20px 0;">
+  <h1 style="color: #0066cc; font-size: 36px; letter-spacing: 8px; margin: 0; font-weight: bold;">{{otp}}</h1>
+</div>
+<p style="color: #666; font-size: 14px; margin-bottom: 10px;">This code will expire in {{expiryMinutes}} minutes.</p>
+<p style="color: #999; font-size: 12px; margin-top: 30px;">If you didn't request this code, please ignore this email.</p>`,
+    text: `Your BAES Solutions verification code is: {{otp}}
+
+This code will expire in {{expiryMinutes}} minutes. If you didn't request this code, please ignore this email.`,
+    variables: ['otp', 'expiryMinutes'],
+    sampleData: { otp: '123456', expiryMinutes: OTP_EXPIRY_MINUTES }
+  },
+  investor_invite: {
+    description: 'Invitation sent by POST /api/admin/invites',
+    subject: 'Invitation to Join BAES Solutions',
+    html: `
+<h2 style="color: #333; margin-bottom: 20px;">Welcome to BAES Solutions</h2>
+<p style="color: #666; line-height: 1.6;">
+  You have been invited to join BAES Solutions. Please use the link below to complete your registration.
+</p>
+<div style="background-color: #f9f9f9; padding: 20px; border-radius: 4px; margin: 20px 0;">
+  <p style="margin: 5px 0; color: #333;"><strong>Investment Amount:</strong> \${{investmentAmount}}</p>
+  <p style="margin: 5px 0; color: #333;"><strong>Profit Sharing:</strong> {{profitSharing}}%</p>
+</div>
+<div style="text-align: center; margin: 30px 0;">
+  <a href="{{inviteLink}}"
+     style="display: inline-block; background-color: #0066cc; color: white; padding: 12px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+    Complete Registration
+  </a>
+</div>
+<p style="color: #999; font-size: 12px; margin-top: 30px;">
+  This invite link will expire in {{expiryDays}} days. If you didn't request this invitation, please ignore this email.
+</p>`,
+    text: `You have been invited to join BAES Solutions.
+
+Investment Amount: \${{investmentAmount}}
+Profit Sharing: {{profitSharing}}%
+
+Complete your registration: {{inviteLink}}
+
+This invite link will expire in {{expiryDays}} days. If you didn't request this invitation, please ignore this email.`,
+    variables: ['inviteLink', 'investmentAmount', 'profitSharing', 'expiryDays'],
+    sampleData: {
+      inviteLink: 'https://baessolutions.com/signup?invite=sample',
+      investmentAmount: '250,000',
+      profitSharing: 30,
+      expiryDays: 30
+    }
+  },
+  investor_invite_reminder: {
+    description: 'Reminder sent by the invite-reminders job shortly before an unused invite expires',
+    subject: 'Reminder: Your BAES Solutions Invitation Expires Soon',
+    html: `
+<h2 style="color: #333; margin-bottom: 20px;">Your Invitation Expires Soon</h2>
+<p style="color: #666; line-height: 1.6;">
+  You were invited to join BAES Solutions, but haven't completed your registration yet.
+  Your invitation expires on <strong>{{expiresOn}}</strong> ({{daysRemaining}} day(s) from now).
+</p>
+<div style="text-align: center; margin: 30px 0;">
+  <a href="{{inviteLink}}"
+     style="display: inline-block; background-color: #0066cc; color: white; padding: 12px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+    Complete Registration
+  </a>
+</div>
+<p style="color: #999; font-size: 12px; margin-top: 30px;">
+  If you didn't request this invitation, please ignore this email.
+</p>`,
+    text: `You were invited to join BAES Solutions, but haven't completed your registration yet.
+Your invitation expires on {{expiresOn}} ({{daysRemaining}} day(s) from now).
+
+Complete your registration: {{inviteLink}}
+
+If you didn't request this invitation, please ignore this email.`,
+    variables: ['inviteLink', 'daysRemaining', 'expiresOn'],
+    sampleData: {
+      inviteLink: 'https://baessolutions.com/signup?invite=sample',
+      daysRemaining: 3,
+      expiresOn: new Date(0).toUTCString()
+    }
+  },
+  investor_password_setup: {
+    description: 'Set-password link sent when an investor is approved',
+    subject: 'Set Your BAES Solutions Password',
+    html: `
+<h2 style="color: #333; margin-bottom: 20px;">Your BAES Solutions Account Is Approved</h2>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  Dear {{userName}},
+</p>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  Your account has been approved. Please set a password to access your investor dashboard.
+</p>
+<div style="text-align: center; margin: 30px 0;">
+  <a href="{{setupLink}}"
+     style="display: inline-block; background-color: #0066cc; color: white; padding: 12px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+    Set Your Password
+  </a>
+</div>
+<p style="color: #999; font-size: 12px; margin-top: 30px;">
+  This link will expire in {{expiryHours}} hours and can only be used once.
+</p>`,
+    text: `Dear {{userName}},
+
+Your account has been approved. Please set a password to access your investor dashboard:
+{{setupLink}}
+
+This link will expire in {{expiryHours}} hours and can only be used once.`,
+    variables: ['userName', 'setupLink', 'expiryHours'],
+    sampleData: {
+      userName: 'Jane Investor',
+      setupLink: 'https://baessolutions.com/set-password?token=sample',
+      expiryHours: PASSWORD_SETUP_TOKEN_EXPIRY_HOURS
+    }
+  },
+  admin_invite: {
+    description: 'Invitation sent to a new admin',
+    subject: 'Invitation to BAES Solutions Admin Console',
+    html: `
+<h2 style="color: #333; margin-bottom: 20px;">You've Been Invited to the BAES Solutions Admin Console</h2>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  Dear {{adminName}},
+</p>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  {{invitedByName}} has invited you to the BAES Solutions admin console with the <strong>{{role}}</strong> role.
+  Please set a password to activate your account.
+</p>
+<div style="text-align: center; margin: 30px 0;">
+  <a href="{{setPasswordLink}}"
+     style="display: inline-block; background-color: #0066cc; color: white; padding: 12px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+    Set Your Password
+  </a>
+</div>
+<p style="color: #999; font-size: 12px; margin-top: 30px;">
+  This link will expire in {{expiryHours}} hours and can only be used once.
+  If you weren't expecting this invitation, please ignore this email.
+</p>`,
+    text: `Dear {{adminName}},
+
+{{invitedByName}} has invited you to the BAES Solutions admin console with the {{role}} role.
+Please set a password to activate your account: {{setPasswordLink}}
+
+This link will expire in {{expiryHours}} hours and can only be used once.
+If you weren't expecting this invitation, please ignore this email.`,
+    variables: ['adminName', 'role', 'invitedByName', 'setPasswordLink', 'expiryHours'],
+    sampleData: {
+      adminName: 'Alex Admin',
+      role: 'admin',
+      invitedByName: 'Sam Super',
+      setPasswordLink: 'http://localhost:3001/set-password?token=sample',
+      expiryHours: PASSWORD_SETUP_TOKEN_EXPIRY_HOURS
+    }
+  },
+  admin_password_reset: {
+    description: 'Forgot-password link sent to an admin',
+    subject: 'BAES Solutions - Admin Password Reset',
+    html: `
+<h2 style="color: #333; margin-bottom: 20px;">Reset Your Admin Password</h2>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  Dear {{adminName}},
+</p>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  We received a request to reset the password for your BAES Solutions admin account.
+</p>
+<div style="text-align: center; margin: 30px 0;">
+  <a href="{{resetLink}}"
+     style="display: inline-block; background-color: #0066cc; color: white; padding: 12px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+    Reset Password
+  </a>
+</div>
+<p style="color: #999; font-size: 12px; margin-top: 30px;">
+  This link will expire in {{expiryMinutes}} minutes and can only be used once.
+  If you didn't request a password reset, you can ignore this email; your password will not change.
+</p>`,
+    text: `Dear {{adminName}},
+
+We received a request to reset the password for your BAES Solutions admin account.
+Reset your password: {{resetLink}}
+
+This link will expire in {{expiryMinutes}} minutes and can only be used once.
+If you didn't request a password reset, you can ignore this email; your password will not change.`,
+    variables: ['adminName', 'resetLink', 'expiryMinutes'],
+    sampleData: {
+      adminName: 'Alex Admin',
+      resetLink: 'http://localhost:3001/reset-password?token=sample',
+      expiryMinutes: PASSWORD_RESET_TOKEN_EXPIRY_HOURS * 60
+    }
+  },
+  admin_account_locked: {
+    description: 'Sent to an admin when repeated failed logins lock their account',
+    subject: 'BAES Solutions - Admin Account Locked',
+    html: `
+<h2 style="color: #333; margin-bottom: 20px;">Your Admin Account Has Been Locked</h2>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  Dear {{adminName}},
+</p>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  We detected several failed login attempts on your BAES Solutions admin account, so it has been
+  temporarily locked until <strong>{{lockedUntil}}</strong>.
+</p>
+<div style="background-color: #f9f9f9; padding: 20px; border-radius: 4px; margin: 20px 0;">
+  <p style="margin: 5px 0; color: #333;"><strong>Last attempt from IP:</strong> {{ipAddress}}</p>
+</div>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  If this wasn't you, please reset your password and contact a super admin.
+</p>`,
+    text: `Dear {{adminName}},
+
+We detected several failed login attempts on your BAES Solutions admin account, so it has been
+temporarily locked until {{lockedUntil}}.
+
+Last attempt from IP: {{ipAddress}}
+
+If this wasn't you, please reset your password and contact a super admin.`,
+    variables: ['adminName', 'lockedUntil', 'ipAddress'],
+    sampleData: {
+      adminName: 'Alex Admin',
+      lockedUntil: new Date(0).toUTCString(),
+      ipAddress: '203.0.113.10'
+    }
+  },
+  partner_welcome: {
+    description: 'Welcome email with a set-password link sent to a new partner',
+    subject: 'Welcome to BAES Solutions Partner Program',
+    html: `
+<h2 style="color: #333; margin-bottom: 20px;">Welcome to BAES Solutions Partner Program!</h2>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  Dear {{partnerName}},
+</p>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  Congratulations! You have been successfully added as a partner on the BAES Solutions platform.
+</p>
+<div style="background-color: #f0f7ff; padding: 20px; border-radius: 6px; margin: 20px 0;">
+  <h3 style="color: #0066cc; margin: 0 0 10px 0;">What's Next?</h3>
+  <ul style="color: #666; margin: 0; padding-left: 20px;">
+    <li>You will receive notifications when users you refer sign up</li>
+    <li>Track your referrals and commissions through the partner dashboard</li>
+    <li>View detailed statistics of your referred users</li>
+  </ul>
+</div>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  To access your partner dashboard, please set a password using the button below.
+</p>
+<div style="text-align: center; margin: 30px 0;">
+  <a href="{{setPasswordLink}}"
+     style="display: inline-block; background-color: #0066cc; color: white; padding: 12px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+    Set Your Password
+  </a>
+</div>
+<p style="color: #999; font-size: 12px; line-height: 1.6;">
+  This link will expire in {{expiryHours}} hours and can only be used once.
+</p>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  Thank you for joining our partner program. We look forward to a successful partnership!
+</p>
+<p style="color: #999; font-size: 12px; margin: 5px 0 0 0;">
+  If you have any questions, please contact our support team.
+</p>`,
+    text: `Dear {{partnerName}},
+
+Congratulations! You have been successfully added as a partner on the BAES Solutions platform.
+
+What's next?
+- You will receive notifications when users you refer sign up
+- Track your referrals and commissions through the partner dashboard
+- View detailed statistics of your referred users
+
+Set your partner dashboard password: {{setPasswordLink}}
+This link will expire in {{expiryHours}} hours and can only be used once.
+
+Thank you for joining our partner program. We look forward to a successful partnership!`,
+    variables: ['partnerName', 'setPasswordLink', 'expiryHours'],
+    sampleData: {
+      partnerName: 'Pat Partner',
+      setPasswordLink: 'https://baessolutions.com/partner/set-password?token=sample',
+      expiryHours: PASSWORD_SETUP_TOKEN_EXPIRY_HOURS
+    }
+  },
+  partner_invites_expired: {
+    description: 'Sent to a partner by the invite-expiry job when invites they own expire unused',
+    subject: 'Invitations Expired - BAES Solutions',
+    html: `
+<h2 style="color: #333; margin-bottom: 20px;">Invitations Expired</h2>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  Dear {{partnerName}},
+</p>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  {{inviteCount}} invitation(s) for users you referred expired before registration was completed:
+</p>
+<div style="background-color: #f0f7ff; padding: 20px; border-radius: 6px; margin: 20px 0;">
+  <p style="color: #333; margin: 0;">{{inviteEmails}}</p>
+</div>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  If these users are still interested, please contact our team to issue new invitations.
+</p>
+<p style="color: #999; font-size: 12px; margin: 5px 0 0 0;">
+  This is an automated notification. Please do not reply to this email.
+</p>`,
+    text: `Dear {{partnerName}},
+
+{{inviteCount}} invitation(s) for users you referred expired before registration was completed:
+{{inviteEmails}}
+
+If these users are still interested, please contact our team to issue new invitations.`,
+    variables: ['partnerName', 'inviteCount', 'inviteEmails'],
+    sampleData: {
+      partnerName: 'Pat Partner',
+      inviteCount: 2,
+      inviteEmails: 'jane@example.com, john@example.com'
+    }
+  },
+  partner_user_onboarded: {
+    description: 'Sent to a partner when a user they referred signs up',
+    subject: 'New User Onboarded - BAES Solutions',
+    html: `
+<h2 style="color: #333; margin-bottom: 20px;">🎉 New User Onboarded!</h2>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  Dear {{partnerName}},
+</p>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  Great news! A user you referred has successfully completed their onboarding on the BAES Solutions platform.
+</p>
+<div style="background-color: #f0f7ff; padding: 20px; border-radius: 6px; margin: 20px 0;">
+  <h3 style="color: #0066cc; margin: 0 0 15px 0;">User Details</h3>
+  <table style="width: 100%; color: #666;">
+    <tr>
+      <td style="padding: 8px 0;"><strong>Name:</strong></td>
+      <td style="padding: 8px 0;">{{userName}}</td>
+    </tr>
+    <tr>
+      <td style="padding: 8px 0;"><strong>Email:</strong></td>
+      <td style="padding: 8px 0;">{{userEmail}}</td>
+    </tr>
+    <tr>
+      <td style="padding: 8px 0;"><strong>Status:</strong></td>
+      <td style="padding: 8px 0;">
+        <span style="background-color: #10b981; color: white; padding: 4px 12px; border-radius: 12px; font-size: 12px;">
+          Active
+        </span>
+      </td>
+    </tr>
+  </table>
+</div>
+<p style="color: #666; font-size: 16px; line-height: 1.6;">
+  You can now track this user's activity and your commissions through the partner dashboard.
+</p>
+<p style="color: #999; font-size: 12px; margin: 5px 0 0 0;">
+  This is an automated notification. Please do not reply to this email.
+</p>`,
+    text: `Dear {{partnerName}},
+
+Great news! A user you referred has successfully completed their onboarding on the BAES Solutions platform.
+
+Name: {{userName}}
+Email: {{userEmail}}
+
+You can now track this user's activity and your commissions through the partner dashboard.`,
+    variables: ['partnerName', 'userName', 'userEmail'],
+    sampleData: {
+      partnerName: 'Pat Partner',
+      userName: 'Jane Investor',
+      userEmail: 'jane@example.com'
+    }
+  }
+};
+
+const EMAIL_TEMPLATE_CACHE_TTL_MS = 60 * 1000;
+let emailTemplateOverridesCache = null;
+
+// Helper function to escape a value for insertion into HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Matches {{{name}}} (raw) and {{name}} (escaped) placeholders in a single pass,
+// so values containing braces are never re-expanded
+const TEMPLATE_PLACEHOLDER_PATTERN = /\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g;
+
+// Helper function to fill a template string (escapeValues is true for HTML bodies)
+function renderTemplateString(template, data, escapeValues) {
+  return template.replace(TEMPLATE_PLACEHOLDER_PATTERN, (match, rawName, escapedName) => {
+    const value = data[rawName || escapedName];
+    const text = value === undefined || value === null ? '' : String(value);
+    return escapedName && escapeValues ? escapeHtml(text) : text;
+  });
+}
+
+// Helper function to list the placeholders used in a template string
+function getTemplatePlaceholders(template) {
+  return [...(template || '').matchAll(TEMPLATE_PLACEHOLDER_PATTERN)]
+    .map(([, rawName, escapedName]) => ({ name: rawName || escapedName, raw: !!rawName }));
+}
+
+// Helper function to get admin overrides from the email_templates table (cached briefly)
+async function getEmailTemplateOverrides() {
+  if (emailTemplateOverridesCache && Date.now() - emailTemplateOverridesCache.loadedAt < EMAIL_TEMPLATE_CACHE_TTL_MS) {
+    return emailTemplateOverridesCache.overrides;
+  }
+
+  const { data, error } = await supabase
+    .from('email_templates')
+    .select('key, subject, html, text, updated_by, updated_at');
+
+  if (error) {
+    console.error('Error loading email template overrides:', error);
+    // Fall back to the last known overrides (or the built-in templates) so emails keep sending
+    return emailTemplateOverridesCache?.overrides || {};
+  }
+
+  const overrides = Object.fromEntries((data || []).map(row => [row.key, row]));
+  emailTemplateOverridesCache = { overrides, loadedAt: Date.now() };
+  return overrides;
+}
+
+// Helper function to get the effective template (built-in merged with any admin override)
+async function getEmailTemplate(key) {
+  const template = EMAIL_TEMPLATES[key];
+  if (!template) {
+    throw new Error(`Unknown email template: ${key}`);
+  }
+
+  const override = (await getEmailTemplateOverrides())[key];
+
+  return {
+    ...template,
+    subject: override?.subject || template.subject,
+    html: override?.html || template.html,
+    text: override?.text || template.text,
+    overridden: !!override,
+    updatedBy: override?.updated_by || null,
+    updatedAt: override?.updated_at || null
+  };
+}
+
+// Helper function to check an override only uses the placeholders its template allows
+function validateEmailTemplateFields(key, fields) {
+  const template = EMAIL_TEMPLATES[key];
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) continue;
+
+    if (typeof value !== 'string') {
+      return `${field} must be a string`;
+    }
+
+    for (const placeholder of getTemplatePlaceholders(value)) {
+      if (!template.variables.includes(placeholder.name)) {
+        return `Unknown variable "${placeholder.name}" in ${field}. Available variables: ${template.variables.join(', ')}`;
+      }
+      if (placeholder.raw && !(template.rawVariables || []).includes(placeholder.name)) {
+        return `Variable "${placeholder.name}" in ${field} must use {{${placeholder.name}}} so it is escaped`;
+      }
+    }
+  }
+
+  if (key === EMAIL_TEMPLATE_LAYOUT_KEY) {
+    for (const field of ['html', 'text']) {
+      if (fields[field] && !getTemplatePlaceholders(fields[field]).some(placeholder => placeholder.name === 'content')) {
+        return `The layout ${field} must include {{{content}}}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Helper function to render a template (wrapped in the shared layout) to { subject, html, text }.
+// draft lets the preview endpoint render unsaved subject/html/text changes.
+async function renderEmail(key, data, draft = {}) {
+  const isLayout = key === EMAIL_TEMPLATE_LAYOUT_KEY;
+  const template = { ...(await getEmailTemplate(key)), ...draft };
+  const layout = isLayout ? null : await getEmailTemplate(EMAIL_TEMPLATE_LAYOUT_KEY);
+
+  const html = renderTemplateString(template.html, data, true).trim();
+  const text = renderTemplateString(template.text, data, false).trim();
+
+  return {
+    subject: template.subject ? renderTemplateString(template.subject, data, false) : null,
+    html: layout ? renderTemplateString(layout.html, { content: html }, true).trim() : html,
+    text: layout ? renderTemplateString(layout.text, { content: text }, false).trim() : text
+  };
+}
+
+/**
+ * Send an email rendered from a template
+ */
+async function sendTemplatedEmail(toEmail, key, data) {
+  try {
+    const { subject, html, text } = await renderEmail(key, data);
+    return await sendEmail(toEmail, subject, html, text);
+  } catch (error) {
+    console.error(`Error rendering "${key}" email:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// MESSAGE OUTBOX
+// ============================================
+// Outbound emails are written to message_outbox before sending. The first attempt happens
+// immediately; failures are retried by the message-outbox background job with exponential
+// backoff and every attempt is recorded in message_delivery_attempts. After
+// MESSAGE_MAX_ATTEMPTS the message is moved to the "dead" state for an admin to resend.
+// Bodies can contain set-password links, so they are stored encrypted; without
+// MT5_PASSWORD_ENCRYPTION_KEY nothing is queued and messages are sent once, directly.
+// OTP codes are not queued: they expire in minutes and the user can request a new one.
+
+const MESSAGE_MAX_ATTEMPTS = 6;
+const MESSAGE_RETRY_BASE_SECONDS = 60; // Doubles after each failed attempt
+const MESSAGE_RETRY_MAX_SECONDS = 6 * 60 * 60;
+const MESSAGE_WORKER_BATCH_SIZE = 20;
+const MESSAGE_STALE_SENDING_MINUTES = 10; // Messages stuck in "sending" (e.g. after a crash) are retried
+
+if (!MT5_ENCRYPTION_KEY) {
+  console.warn('⚠️  WARNING: MT5_PASSWORD_ENCRYPTION_KEY not set. The message outbox is disabled: emails/SMS are sent once without retries.');
+}
+
+// Helper function to get the delay before the next delivery attempt
+function getMessageRetryDelaySeconds(attempts) {
+  return Math.min(MESSAGE_RETRY_BASE_SECONDS * 2 ** (attempts - 1), MESSAGE_RETRY_MAX_SECONDS);
+}
+
+// Helper function to attempt delivery of a claimed outbox message and record the outcome
+async function deliverOutboxMessage(message) {
+  const attemptNumber = message.attempts + 1;
+  let result;
+
+  try {
+    const payload = JSON.parse(decryptMT5Password(message.payload));
+    result = message.channel === 'sms'
+      ? await sendSms(message.recipient, payload.body)
+      : await sendEmail(message.recipient, message.subject, payload.html, payload.text);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  await supabase
+    .from('message_delivery_attempts')
+    .insert([
+      {
+        message_id: message.id,
+        attempt_number: attemptNumber,
+        provider: message.channel === 'sms' ? SMS_PROVIDER : EMAIL_PROVIDER,
+        succeeded: result.success,
+        provider_message_id: result.messageId || null,
+        error: result.success ? null : result.error
+      }
+    ]);
+
+  const isDead = !result.success && attemptNumber >= message.max_attempts;
+  const update = result.success
+    ? { status: 'sent', sent_at: new Date().toISOString(), provider_message_id: result.messageId || null, last_error: null }
+    : {
+        status: isDead ? 'dead' : 'pending',
+        last_error: result.error,
+        next_attempt_at: isDead
+          ? null
+          : new Date(Date.now() + getMessageRetryDelaySeconds(attemptNumber) * 1000).toISOString()
+      };
+
+  const { error: updateError } = await supabase
+    .from('message_outbox')
+    .update({
+      ...update,
+      attempts: attemptNumber,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', message.id);
+
+  if (updateError) {
+    console.error(`Error updating outbox message ${message.id}:`, updateError);
+  }
+
+  if (isDead) {
+    console.error(`✗ Outbox message ${message.id} to ${message.recipient} failed ${attemptNumber} times and was moved to dead letters`);
+  }
+
+  return { ...result, status: update.status };
+}
+
+// Helper function to claim a pending message so only one worker/request delivers it
+async function claimOutboxMessage(messageId) {
+  const { data } = await supabase
+    .from('message_outbox')
+    .update({ status: 'sending', updated_at: new Date().toISOString() })
+    .eq('id', messageId)
+    .eq('status', 'pending')
+    .select('id, channel, recipient, subject, payload, attempts, max_attempts')
+    .maybeSingle();
+
+  return data;
+}
+
+// Helper function to send a message once without the outbox (used when it can't be queued)
+async function sendMessageDirectly(channel, recipient, content) {
+  const result = channel === 'sms'
+    ? await sendSms(recipient, content.body)
+    : await sendEmail(recipient, content.subject, content.html, content.text);
+  return { ...result, queued: false, outboxId: null };
+}
+
+// Helper function to queue a message and make the first delivery attempt right away
+// (deferDelivery leaves it to the outbox job, for batches too large to send inline).
+// Returns { success, queued, outboxId, error } - success is false (but queued true) when it will be retried.
+async function enqueueMessage(channel, recipient, content, metadata = {}, { deferDelivery = false } = {}) {
+  // encryptMT5Password stores plaintext without a key, and payloads can hold set-password links
+  if (!MT5_ENCRYPTION_KEY) {
+    return sendMessageDirectly(channel, recipient, content);
+  }
+
+  const { data: message, error } = await supabase
+    .from('message_outbox')
+    .insert([
+      {
+        channel,
+        recipient,
+        subject: content.subject || null,
+        template_key: metadata.templateKey || null,
+        context: metadata.context || {},
+        payload: encryptMT5Password(JSON.stringify(
+          channel === 'sms' ? { body: content.body } : { html: content.html, text: content.text }
+        )),
+        status: 'pending',
+        attempts: 0,
+        max_attempts: MESSAGE_MAX_ATTEMPTS,
+        next_attempt_at: new Date().toISOString()
+      }
+    ])
+    .select('id')
+    .single();
+
+  if (error) {
+    // Without the outbox we can still try to send once rather than dropping the message
+    console.error('Error queueing outbound message, sending directly:', error);
+    return sendMessageDirectly(channel, recipient, content);
+  }
+
+  if (deferDelivery) {
+    return { success: false, queued: true, outboxId: message.id, error: 'Queued for delivery' };
+  }
+
+  const claimed = await claimOutboxMessage(message.id);
+  if (!claimed) {
+    return { success: false, queued: true, outboxId: message.id, error: 'Queued for delivery' };
+  }
+
+  const result = await deliverOutboxMessage(claimed);
+  return {
+    success: result.success,
+    queued: result.status === 'pending',
+    outboxId: message.id,
+    error: result.success ? undefined : result.error
+  };
+}
+
+/**
+ * Queue an email rendered from a template (see MESSAGE OUTBOX)
+ */
+async function queueTemplatedEmail(toEmail, key, data, context, options) {
+  try {
+    const { subject, html, text } = await renderEmail(key, data);
+    return await enqueueMessage('email', toEmail, { subject, html, text }, { templateKey: key, context }, options);
+  } catch (error) {
+    console.error(`Error rendering "${key}" email:`, error);
+    return { success: false, queued: false, error: error.message };
+  }
+}
+
+// Background job: retry pending messages whose backoff has elapsed
+async function processMessageOutbox() {
+  // Release messages left in "sending" by a crashed process
+  await supabase
+    .from('message_outbox')
+    .update({ status: 'pending', updated_at: new Date().toISOString() })
+    .eq('status', 'sending')
+    .lt('updated_at', new Date(Date.now() - MESSAGE_STALE_SENDING_MINUTES * 60 * 1000).toISOString());
+
+  const { data: dueMessages, error } = await supabase
+    .from('message_outbox')
+    .select('id')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(MESSAGE_WORKER_BATCH_SIZE);
+
+  if (error) {
+    throw new Error(`Failed to fetch outbox messages: ${error.message}`);
+  }
+
+  for (const { id } of dueMessages || []) {
+    const message = await claimOutboxMessage(id);
+    if (message) {
+      await deliverOutboxMessage(message);
+    }
+  }
+}
+
+// ============================================
+// EMAIL HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Send an email through the configured email provider
+ */
+async function sendEmail(toEmail, subject, htmlBody, textBody) {
+  if (!isEmailConfigured()) {
+    console.warn(`Email provider "${EMAIL_PROVIDER}" not configured. Email "${subject}" not sent.`);
+    return { success: false, error: 'Email service not configured' };
+  }
+
+  try {
+    const { messageId } = await emailProviders[EMAIL_PROVIDER].send({
+      to: toEmail,
+      subject,
+      html: htmlBody,
+      text: textBody
+    });
+
+    console.log(`✓ Email "${subject}" sent to ${toEmail} via ${EMAIL_PROVIDER}`);
+    return { success: true, provider: EMAIL_PROVIDER, messageId };
+
+  } catch (error) {
+    console.error(`Error sending "${subject}" email via ${EMAIL_PROVIDER}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send set-password link to an investor
+ */
+async function sendInvestorPasswordSetupEmail(userEmail, userName, setupLink) {
+  return await queueTemplatedEmail(userEmail, 'investor_password_setup', {
+    userName,
+    setupLink,
+    expiryHours: PASSWORD_SETUP_TOKEN_EXPIRY_HOURS
+  });
+}
+
+/**
+ * Send invitation email to a new admin with a set-password link
+ */
+async function sendAdminInviteEmail(adminEmail, adminName, role, invitedByName, setPasswordLink) {
+  return await queueTemplatedEmail(adminEmail, 'admin_invite', {
+    adminName: adminName || adminEmail,
+    role,
+    invitedByName,
+    setPasswordLink,
+    expiryHours: PASSWORD_SETUP_TOKEN_EXPIRY_HOURS
+  });
+}
+
+/**
+ * Send forgot-password link to an admin
+ */
+async function sendAdminPasswordResetEmail(adminEmail, adminName, resetLink) {
+  return await queueTemplatedEmail(adminEmail, 'admin_password_reset', {
+    adminName: adminName || adminEmail,
+    resetLink,
+    expiryMinutes: PASSWORD_RESET_TOKEN_EXPIRY_HOURS * 60
+  });
+}
+
+/**
+ * Notify an admin that their account was locked after repeated failed logins
+ */
+async function sendAdminLockoutEmail(adminEmail, adminName, lockedUntil, ipAddress) {
+  return await queueTemplatedEmail(adminEmail, 'admin_account_locked', {
+    adminName: adminName || adminEmail,
+    lockedUntil: lockedUntil.toUTCString(),
+    ipAddress: ipAddress || 'unknown'
+  });
+}
+
+/**
+ * Send welcome email to new partner
+ */
+async function sendPartnerWelcomeEmail(partnerEmail, partnerName, setPasswordLink) {
+  return await queueTemplatedEmail(partnerEmail, 'partner_welcome', {
+    partnerName,
+    setPasswordLink,
+    expiryHours: PASSWORD_SETUP_TOKEN_EXPIRY_HOURS
+  });
+}
+
+/**
+ * Send notification to partner when their referred user signs up
+ */
+async function sendPartnerUserOnboardedEmail(partnerEmail, partnerName, userName, userEmail) {
+  return await queueTemplatedEmail(partnerEmail, 'partner_user_onboarded', {
+    partnerName,
+    userName,
+    userEmail
+  });
+}
+
+// ============================================
+// PARTNER ENDPOINTS
+// ============================================
+
+// Helper function to create a partner set-password link
+async function createPartnerSetPasswordLink(partnerId) {
+  const token = await createPasswordToken('partner', partnerId, 'setup', PASSWORD_SETUP_TOKEN_EXPIRY_HOURS);
+  const partnerPortalUrl = process.env.PARTNER_PORTAL_URL || process.env.FRONTEND_URL || 'https://baessolutions.com';
+  return `${partnerPortalUrl}/partner/set-password?token=${token}`;
+}
+
+// Create a new partner (admin)
+app.post('/api/partners', authenticateToken, requirePermission('partners.write'), async (req, res) => {
+  try {
+    const { name, email, phone, companyName, commissionRate, notes } = req.body;
+
+    if (!name || !email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name and email are required'
+      });
+    }
+
+    // Check if partner already exists
+    const { data: existingPartner } = await supabase
+      .from('partners')
+      .select('id')
+      .eq('email', email)
+      .single();
+
+    if (existingPartner) {
+      return res.status(409).json({
+        success: false,
+        error: 'Partner with this email already exists'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('partners')
+      .insert([
+        {
+          name,
+          email,
+          phone: phone || null,
+          company_name: companyName || null,
+          commission_rate: commissionRate || 0.00,
+          notes: notes || null,
+          status: 'active'
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating partner:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create partner',
+        details: error.message
+      });
+    }
+
+    // Send welcome email to partner, including the link to set their dashboard password
+    const setPasswordLink = await createPartnerSetPasswordLink(data.id);
+    const emailResult = await sendPartnerWelcomeEmail(email, name, setPasswordLink);
+    
+    // Update welcome_email_sent flag if email was sent
+    if (emailResult.success) {
+      await supabase
+        .from('partners')
+        .update({ 
+          welcome_email_sent: true,
+          welcome_email_sent_at: new Date().toISOString()
+        })
+        .eq('id', data.id);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Partner created successfully',
+      data: omitPassword(data),
+      emailSent: emailResult.success,
+      emailQueued: !!emailResult.queued
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Get all partners (admin)
+app.get('/api/partners', authenticateToken, requirePermission('partners.read'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query = supabase
+      .from('partners')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error fetching partners:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch partners'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: (data || []).map(omitPassword)
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get partner statistics (admin; partners use /api/partner/statistics)
+app.get('/api/partners/:id/statistics', authenticateToken, requirePermission('partners.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('partner_statistics')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      console.error('Error fetching partner statistics:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch partner statistics'
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Update partner (admin)
+app.put('/api/admin/partners/:partnerId', authenticateToken, requirePermission('partners.write'), async (req, res) => {
+  try {
+    const { partnerId } = req.params;
+    const { name, email, phone, companyName, commissionRate, notes, status } = req.body;
+
+    // Check if partner exists
+    const { data: existingPartner, error: checkError } = await supabase
+      .from('partners')
+      .select('id, email')
+      .eq('id', partnerId)
+      .single();
+
+    if (checkError || !existingPartner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Partner not found'
+      });
+    }
+
+    // If email is being changed, check if new email already exists
+    if (email && email !== existingPartner.email) {
+      const { data: emailExists } = await supabase
+        .from('partners')
+        .select('id')
+        .eq('email', email)
+        .neq('id', partnerId)
+        .single();
+
+      if (emailExists) {
+        return res.status(409).json({
+          success: false,
+          error: 'Email already exists for another partner'
+        });
+      }
+    }
+
+    // Build update object
+    const updateData = {
+      updated_at: new Date().toISOString()
+    };
+
+    if (name !== undefined) updateData.name = name;
+    if (email !== undefined) updateData.email = email;
+    if (phone !== undefined) updateData.phone = phone;
+    if (companyName !== undefined) updateData.company_name = companyName;
+    if (commissionRate !== undefined) updateData.commission_rate = parseFloat(commissionRate);
+    if (notes !== undefined) updateData.notes = notes;
+    if (status !== undefined) updateData.status = status;
+
+    // Update partner
+    const { data: updatedPartner, error: updateError } = await supabase
+      .from('partners')
+      .update(updateData)
+      .eq('id', partnerId)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error('Error updating partner:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update partner',
+        details: updateError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Partner updated successfully',
+      data: omitPassword(updatedPartner)
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Delete partner (admin)
+app.delete('/api/admin/partners/:partnerId', authenticateToken, requirePermission('partners.delete'), async (req, res) => {
+  try {
+    const { partnerId } = req.params;
+    const { cascade } = req.query;
+
+    // Check if partner exists
+    const { data: existingPartner, error: checkError } = await supabase
+      .from('partners')
+      .select('id, name, email')
+      .eq('id', partnerId)
+      .single();
+
+    if (checkError || !existingPartner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Partner not found'
+      });
+    }
+
+    // Check if partner has associated users
+    const { data: associatedUsers } = await supabase
+      .from('users')
+      .select('id')
+      .eq('partner_id', partnerId);
+
+    if (associatedUsers && associatedUsers.length > 0) {
+      if (cascade === 'true') {
+        // Set partner_id to null for all associated users
+        await supabase
+          .from('users')
+          .update({ partner_id: null })
+          .eq('partner_id', partnerId);
+      } else {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot delete partner with associated users. Use cascade=true to unlink users.',
+          relatedData: {
+            users: associatedUsers.length
+          }
+        });
+      }
+    }
+
+    // Delete the partner
+    const { error: deleteError } = await supabase
+      .from('partners')
+      .delete()
+      .eq('id', partnerId);
+
+    if (deleteError) {
+      console.error('Error deleting partner:', deleteError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to delete partner',
+        details: deleteError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Partner ${existingPartner.name} (${existingPartner.email}) deleted successfully`,
+      deletedPartner: {
+        id: existingPartner.id,
+        name: existingPartner.name,
+        email: existingPartner.email
+      }
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Update partner status (admin)
+app.patch('/api/admin/partners/:partnerId/status', authenticateToken, requirePermission('partners.write'), async (req, res) => {
+  try {
+    const { partnerId } = req.params;
+    const { status } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        error: 'Status is required'
+      });
+    }
+
+    // Validate status
+    const validStatuses = ['active', 'inactive', 'suspended'];
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+      });
+    }
+
+    // Check if partner exists
+    const { data: existingPartner, error: checkError } = await supabase
+      .from('partners')
+      .select('id, name, email, status')
+      .eq('id', partnerId)
+      .single();
+
+    if (checkError || !existingPartner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Partner not found'
+      });
+    }
+
+    // Update status
+    const { data: updatedPartner, error: updateError } = await supabase
+      .from('partners')
+      .update({
+        status,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', partnerId)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error('Error updating partner status:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update partner status',
+        details: updateError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Partner status changed from ${existingPartner.status} to ${status}`,
+      data: omitPassword(updatedPartner)
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Resend partner dashboard set-password link (admin)
+app.post('/api/admin/partners/:partnerId/send-password-setup', authenticateToken, requirePermission('partners.write'), async (req, res) => {
+  try {
+    const { partnerId } = req.params;
+
+    const { data: partner, error } = await supabase
+      .from('partners')
+      .select('id, name, email, status')
+      .eq('id', partnerId)
+      .single();
+
+    if (error || !partner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Partner not found'
+      });
+    }
+
+    if (partner.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        error: 'Partner must be active to receive a set-password link'
+      });
+    }
+
+    const setPasswordLink = await createPartnerSetPasswordLink(partner.id);
+    const emailResult = await sendPartnerWelcomeEmail(partner.email, partner.name, setPasswordLink);
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'partner_password_setup_sent',
+      'partner',
+      partner.id,
+      { email: partner.email, emailSent: emailResult.success },
+      req
+    );
+
+    if (!emailResult.success && !emailResult.queued) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to send set-password email',
+        details: emailResult.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: emailResult.success
+        ? `Set-password link sent to ${partner.email}`
+        : `Email to ${partner.email} could not be sent yet and will be retried automatically`,
+      emailQueued: !!emailResult.queued
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// ============================================
+// PARTNER PORTAL ENDPOINTS
+// ============================================
 
-    if (updateError) {
-      throw new Error(`Failed to update metrics: ${updateError.message}`);
+// Partner set-password endpoint (token comes from the welcome email)
+app.post('/api/partner/set-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || typeof password !== 'string' || !token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token and password are required'
+      });
     }
 
-    return { success: true, metrics };
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
 
-  } catch (error) {
-    console.error(`Error syncing MT5 metrics for login ${mt5LoginId}:`, error);
+    const hashedPassword = await hashPassword(password);
+    const passwordToken = await consumePasswordToken('partner', token, 'setup');
 
-    // Determine user-friendly error message and sync status
-    let errorMessage = error.message;
-    let syncStatus = 'failed';
-    
-    if (error.message?.includes('DEPLOYING') || error.message?.includes('still being deployed') || error.message?.includes('not connected to broker yet')) {
-      syncStatus = 'deploying';
-      // Extract clean message without prefix
-      errorMessage = error.message.replace('DEPLOYING: ', '');
-      // Make it cleaner for frontend
-      if (errorMessage.includes('State:') || errorMessage.includes('Connection:')) {
-        errorMessage = 'Account is being deployed and connecting to broker. Please wait a few minutes and try again.';
-      }
-    } else if (error.message?.includes('timeout') || error.message?.includes('Timeout')) {
-      errorMessage = 'Connection timeout. Account may not be connected to broker.';
-    } else if (error.message?.includes('credentials') || error.message?.includes('authentication')) {
-      errorMessage = 'Invalid MT5 credentials. Please verify login, password, and server.';
-    } else if (error.message?.includes('not found')) {
-      errorMessage = 'MT5 account not found in database.';
+    if (!passwordToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'This link is invalid or has expired. Please contact support for a new one.'
+      });
     }
 
-    // Update status with error message
-    await supabase
-      .from('mt5_logins')
-      .update({ 
-        sync_status: syncStatus,
+    // Only active partners may set a password (the update matches nothing for inactive ones)
+    const { data: updatedPartner, error: updateError } = await supabase
+      .from('partners')
+      .update({
+        password: hashedPassword,
+        password_set_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       })
-      .eq('id', mt5LoginId);
+      .eq('id', passwordToken.subject_id)
+      .eq('status', 'active')
+      .select('id')
+      .maybeSingle();
 
-    // Log detailed error for debugging
-    console.error(`[MetaAPI Sync Failed] Login ID: ${mt5LoginId}, Error: ${errorMessage}, Details:`, {
-      originalError: error.message,
-      stack: error.stack?.split('\n')[0]
+    if (updateError) {
+      await releasePasswordToken(passwordToken);
+      console.error('Error setting partner password:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to set password'
+      });
+    }
+
+    if (!updatedPartner) {
+      await releasePasswordToken(passwordToken);
+      return res.status(403).json({
+        success: false,
+        error: 'Partner account is not active. Please contact support.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password set successfully. You can now log in.'
     });
 
-    throw new Error(errorMessage);
+  } catch (error) {
+    console.error('Partner set password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
   }
-}
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Server is running' });
 });
 
-// ============================================
-// ADMIN AUTHENTICATION ENDPOINTS
-// ============================================
-
-// Admin login endpoint
-app.post('/api/admin/login', async (req, res) => {
+// Partner login endpoint
+app.post('/api/partner/login', async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
+    if (typeof email !== 'string' || typeof password !== 'string' || !email.trim() || !password) {
       return res.status(400).json({
         success: false,
         error: 'Email and password are required'
       });
     }
 
-    // Fetch admin by email
-    const { data: admin, error } = await supabase
-      .from('admins')
-      .select('id, email, password, full_name, role, is_active')
-      .eq('email', email.toLowerCase())
+    // Block IPs with too many recent failures across all partner accounts
+    const ipBlockSeconds = await getIpLoginBlockSeconds('partner', req);
+    if (ipBlockSeconds > 0) {
+      res.set('Retry-After', String(ipBlockSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed login attempts. Please try again later.',
+        retryAfter: ipBlockSeconds
+      });
+    }
+
+    // Partner emails are stored as entered by admins, so match case-insensitively
+    const { data: partner, error } = await supabase
+      .from('partners')
+      .select('id, name, email, company_name, password, status, locked_until, lockout_count, login_failures_reset_at')
+      .ilike('email', email.trim().replace(/[\\%_]/g, '\\$&'))
       .single();
 
-    if (error || !admin) {
-      // Don't reveal whether email exists for security
+    if (error || !partner || !partner.password) {
+      await recordLoginAttempt('partner', email.trim(), partner?.id || null, false, partner ? 'no_password' : 'unknown_email', req);
+
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
       });
     }
 
-    // Check if admin is active
-    if (!admin.is_active) {
-      return res.status(403).json({
+    // Check if account is temporarily locked after repeated failures
+    const lockSeconds = getLockSeconds(partner);
+    if (lockSeconds > 0) {
+      await recordLoginAttempt('partner', partner.email, partner.id, false, 'account_locked', req);
+
+      res.set('Retry-After', String(lockSeconds));
+      return res.status(423).json({
         success: false,
-        error: 'Account is disabled. Please contact administrator.'
+        error: 'Account is temporarily locked due to too many failed login attempts. Please try again later.',
+        retryAfter: lockSeconds
       });
     }
 
-    // Verify password
-    const isPasswordValid = await verifyPassword(password, admin.password);
+    const isPasswordValid = await verifyPassword(password, partner.password);
 
     if (!isPasswordValid) {
-      // Log failed login attempt
-      await logAdminAction(
-        admin.id,
-        admin.email,
-        'login_failed',
-        'admin',
-        admin.id,
-        { reason: 'invalid_password' },
-        req
-      );
+      const lockedForSeconds = await handleFailedLogin('partner', partner, 'invalid_password', req);
+      if (lockedForSeconds > 0) {
+        res.set('Retry-After', String(lockedForSeconds));
+        return res.status(423).json({
+          success: false,
+          error: 'Too many failed login attempts. Account has been temporarily locked.',
+          retryAfter: lockedForSeconds
+        });
+      }
 
       return res.status(401).json({
         success: false,
@@ -542,52 +8122,53 @@ app.post('/api/admin/login', async (req, res) => {
       });
     }
 
-    // Update last login time
+    if (partner.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        error: 'Partner account is not active. Please contact support.'
+      });
+    }
+
+    // Update last login time and clear failed-attempt state
     await supabase
-      .from('admins')
-      .update({ last_login_at: new Date().toISOString() })
-      .eq('id', admin.id);
+      .from('partners')
+      .update({
+        last_login_at: new Date().toISOString(),
+        locked_until: null,
+        lockout_count: 0,
+        login_failures_reset_at: new Date().toISOString()
+      })
+      .eq('id', partner.id);
+
+    await recordLoginAttempt('partner', partner.email, partner.id, true, null, req);
 
-    // Generate JWT token
     const token = jwt.sign(
       {
-        id: admin.id,
-        email: admin.email,
-        role: admin.role,
-        fullName: admin.full_name
+        id: partner.id,
+        email: partner.email,
+        name: partner.name,
+        type: 'partner'
       },
       JWT_SECRET,
-      { expiresIn: JWT_EXPIRY }
-    );
-
-    // Log successful login
-    await logAdminAction(
-      admin.id,
-      admin.email,
-      'login_success',
-      'admin',
-      admin.id,
-      {},
-      req
+      { expiresIn: PARTNER_JWT_EXPIRY }
     );
 
-    // Return token and admin data (excluding password)
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         token,
-        admin: {
-          id: admin.id,
-          email: admin.email,
-          fullName: admin.full_name,
-          role: admin.role
+        partner: {
+          id: partner.id,
+          name: partner.name,
+          email: partner.email,
+          companyName: partner.company_name
         }
       }
     });
 
   } catch (error) {
-    console.error('Admin login error:', error);
+    console.error('Partner login error:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -595,37 +8176,29 @@ app.post('/api/admin/login', async (req, res) => {
   }
 });
 
-// Verify token endpoint (for frontend to check if token is still valid)
-app.get('/api/admin/verify', authenticateToken, async (req, res) => {
+// Get the logged-in partner's profile
+app.get('/api/partner/me', authenticatePartner, async (req, res) => {
   try {
-    // Fetch fresh admin data
-    const { data: admin, error } = await supabase
-      .from('admins')
-      .select('id, email, full_name, role, is_active')
-      .eq('id', req.admin.id)
+    const { data: partner, error } = await supabase
+      .from('partners')
+      .select('id, name, email, phone, company_name, commission_rate, status, created_at, last_login_at')
+      .eq('id', req.partner.id)
       .single();
 
-    if (error || !admin || !admin.is_active) {
-      return res.status(401).json({
+    if (error || !partner) {
+      return res.status(404).json({
         success: false,
-        error: 'Invalid or expired session'
+        error: 'Partner not found'
       });
     }
 
     res.json({
       success: true,
-      data: {
-        admin: {
-          id: admin.id,
-          email: admin.email,
-          fullName: admin.full_name,
-          role: admin.role
-        }
-      }
+      data: partner
     });
 
   } catch (error) {
-    console.error('Token verification error:', error);
+    console.error('Server error:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -633,85 +8206,136 @@ app.get('/api/admin/verify', authenticateToken, async (req, res) => {
   }
 });
 
-// Change admin password
-app.post('/api/admin/change-password', authenticateToken, async (req, res) => {
+// Get the users referred by the logged-in partner
+app.get('/api/partner/users', authenticatePartner, async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
+    const { status } = req.query;
 
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({
+    let query = supabase
+      .from('users')
+      .select('id, full_name, email, country, investment_amount, status, created_at')
+      .eq('partner_id', req.partner.id)
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error fetching partner users:', error);
+      return res.status(500).json({
         success: false,
-        error: 'Current password and new password are required'
+        error: 'Failed to fetch users'
       });
     }
 
-    // Validate new password strength
-    if (newPassword.length < 8) {
+    res.json({
+      success: true,
+      data: data || []
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get performance analytics for one of the logged-in partner's users
+app.get('/api/partner/users/:userId/analytics', authenticatePartner, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const range = parseMetricsDateRange(req.query, ANALYTICS_DEFAULT_DAYS);
+    if (!range) {
       return res.status(400).json({
         success: false,
-        error: 'New password must be at least 8 characters long'
+        error: 'Invalid date range'
       });
     }
 
-    // Fetch current admin data
-    const { data: admin, error } = await supabase
-      .from('admins')
-      .select('id, email, password')
-      .eq('id', req.admin.id)
-      .single();
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, full_name, email')
+      .eq('id', userId)
+      .eq('partner_id', req.partner.id)
+      .maybeSingle();
 
-    if (error || !admin) {
+    if (error || !user) {
       return res.status(404).json({
         success: false,
-        error: 'Admin not found'
+        error: 'User not found'
       });
     }
 
-    // Verify current password
-    const isPasswordValid = await verifyPassword(currentPassword, admin.password);
+    const analytics = await getUserPerformanceAnalytics(userId, range.from, range.to);
 
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        error: 'Current password is incorrect'
-      });
+    res.json({
+      success: true,
+      data: {
+        userId: user.id,
+        fullName: user.full_name,
+        email: user.email,
+        ...analytics
+      }
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get the invites issued for the logged-in partner
+app.get('/api/partner/invites', authenticatePartner, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    let query = supabase
+      .from('invites')
+      .select('id, email, investment_amount, profit_sharing, status, expires_at, used_at, created_at', { count: 'exact' })
+      .eq('partner_id', req.partner.id)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limitNum - 1);
+
+    if (status) {
+      query = query.eq('status', status);
     }
 
-    // Hash new password
-    const hashedPassword = await hashPassword(newPassword);
-
-    // Update password
-    const { error: updateError } = await supabase
-      .from('admins')
-      .update({ password: hashedPassword, updated_at: new Date().toISOString() })
-      .eq('id', admin.id);
+    const { data, error, count } = await query;
 
-    if (updateError) {
-      console.error('Error updating password:', updateError);
+    if (error) {
+      console.error('Error fetching partner invites:', error);
       return res.status(500).json({
         success: false,
-        error: 'Failed to update password'
+        error: 'Failed to fetch invites'
       });
     }
 
-    // Log password change
-    await logAdminAction(
-      admin.id,
-      admin.email,
-      'password_changed',
-      'admin',
-      admin.id,
-      {},
-      req
-    );
-
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      data: data || [],
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
+      }
     });
 
   } catch (error) {
-    console.error('Change password error:', error);
+    console.error('Server error:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -719,486 +8343,283 @@ app.post('/api/admin/change-password', authenticateToken, async (req, res) => {
   }
 });
 
-// Validate MT5 credentials endpoint (before signup)
-app.post('/api/validate-mt5-credentials', async (req, res) => {
+// Get aggregated MT5 metrics across the logged-in partner's investors
+app.get('/api/partner/metrics', authenticatePartner, async (req, res) => {
   try {
-    const { email, mt5Login, mt5Password, mt5Server } = req.body;
-
-    // Validation
-    if (!email || !mt5Login || !mt5Password || !mt5Server) {
-      return res.status(400).json({
-        success: false,
-        error: 'Email, MT5 login, password, and server are required'
-      });
-    }
+    const { data: users, error: usersError } = await supabase
+      .from('users')
+      .select('id, full_name, status')
+      .eq('partner_id', req.partner.id);
 
-    if (!metaApi) {
-      return res.status(503).json({
+    if (usersError) {
+      console.error('Error fetching partner users:', usersError);
+      return res.status(500).json({
         success: false,
-        error: 'MT5 validation service not available. Please contact support.'
-      });
-    }
-
-    // Check if this MT5 account is already validated for this email (and not expired)
-    const { data: existingValidation } = await supabase
-      .from('mt5_validations')
-      .select('id, is_validated, expires_at, metaapi_account_id')
-      .eq('email', email.toLowerCase())
-      .eq('login', mt5Login)
-      .eq('server', mt5Server)
-      .gt('expires_at', new Date().toISOString())
-      .single();
-
-    if (existingValidation && existingValidation.is_validated) {
-      return res.json({
-        success: true,
-        message: 'MT5 account already validated',
-        data: {
-          validationId: existingValidation.id,
-          isValidated: true,
-          expiresAt: existingValidation.expires_at
-        }
+        error: 'Failed to fetch metrics'
       });
     }
 
-    // Create or update MetaAPI account
-    console.log(`Validating MT5 credentials for ${mt5Login} on ${mt5Server}...`);
-    
-    let metaApiAccountId = existingValidation?.metaapi_account_id;
-    let metaApiAccount;
+    const userIds = (users || []).map(user => user.id);
+    let mt5Logins = [];
 
-    try {
-      if (metaApiAccountId) {
-        // Try to get existing account
-        try {
-          metaApiAccount = await metaApi.metatraderAccountApi.getAccount(metaApiAccountId);
-          console.log(`Using existing MetaAPI account ${metaApiAccountId}`);
-        } catch {
-          metaApiAccountId = null;
-        }
-      }
+    if (userIds.length > 0) {
+      const { data, error } = await supabase
+        .from('mt5_logins')
+        .select('id, user_id, is_active, metrics, metrics_last_synced')
+        .in('user_id', userIds);
 
-      if (!metaApiAccount) {
-        // Create new MetaAPI account - this validates the credentials
-        metaApiAccount = await metaApi.metatraderAccountApi.createAccount({
-          name: `MT5-${mt5Login}-${Date.now()}`,
-          type: 'cloud',
-          login: mt5Login,
-          password: mt5Password,
-          server: mt5Server,
-          platform: 'mt5',
-          magic: 0
+      if (error) {
+        console.error('Error fetching partner MT5 logins:', error);
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch metrics'
         });
-        metaApiAccountId = metaApiAccount.id;
-        console.log(`✓ Created MetaAPI account ${metaApiAccountId} - credentials validated`);
       }
 
-      // Note: We don't deploy or connect here to keep validation fast
-      // Deployment and connection will happen during metrics sync when needed
-
-      // Encrypt password for storage
-      const encryptedPassword = encryptMT5Password(mt5Password);
-
-      // Store validation
-      const validationData = {
-        email: email.toLowerCase(),
-        login: mt5Login,
-        password: encryptedPassword,
-        server: mt5Server,
-        metaapi_account_id: metaApiAccountId,
-        is_validated: true,
-        validation_attempted_at: new Date().toISOString(),
-        validated_at: new Date().toISOString(),
-        expires_at: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(), // 3 days
-        updated_at: new Date().toISOString()
-      };
-
-      const { data: validation, error: validationError } = await supabase
-        .from('mt5_validations')
-        .upsert(validationData, { onConflict: 'email,login,server' })
-        .select()
-        .single();
-
-      if (validationError) {
-        throw new Error(`Failed to store validation: ${validationError.message}`);
-      }
+      mt5Logins = data || [];
+    }
 
-      console.log(`✓ MT5 account ${mt5Login} validated successfully`);
+    const emptyTotals = () => ({ accounts: 0, syncedAccounts: 0, balance: 0, equity: 0, profit: 0, deposits: 0 });
+    const totals = emptyTotals();
+    const perUser = new Map((users || []).map(user => [user.id, { userId: user.id, fullName: user.full_name, status: user.status, ...emptyTotals() }]));
 
-      res.json({
-        success: true,
-        message: 'MT5 credentials validated successfully',
-        data: {
-          validationId: validation.id,
-          isValidated: true,
-          expiresAt: validation.expires_at
+    for (const mt5 of mt5Logins) {
+      const userTotals = perUser.get(mt5.user_id);
+      for (const bucket of [totals, userTotals]) {
+        bucket.accounts++;
+        if (mt5.metrics) {
+          bucket.syncedAccounts++;
+          bucket.balance += parseFloat(mt5.metrics.balance || 0);
+          bucket.equity += parseFloat(mt5.metrics.equity || 0);
+          bucket.profit += parseFloat(mt5.metrics.profit || 0);
+          bucket.deposits += parseFloat(mt5.metrics.deposits || 0);
         }
-      });
-
-    } catch (error) {
-      console.error('MT5 validation error:', error);
-
-      // Store failed validation attempt
-      try {
-        await supabase
-          .from('mt5_validations')
-          .upsert({
-            email: email.toLowerCase(),
-            login: mt5Login,
-            password: encryptMT5Password(mt5Password),
-            server: mt5Server,
-            is_validated: false,
-            validation_attempted_at: new Date().toISOString(),
-            expires_at: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(),
-            updated_at: new Date().toISOString()
-          }, { onConflict: 'email,login,server' });
-      } catch (storeError) {
-        console.error('Failed to store validation attempt:', storeError);
       }
-
-      res.status(400).json({
-        success: false,
-        error: error.message || 'Failed to validate MT5 credentials. Please verify login, password, and server are correct.'
-      });
     }
 
+    res.json({
+      success: true,
+      data: {
+        totals: {
+          investors: userIds.length,
+          ...totals
+        },
+        investors: [...perUser.values()]
+      }
+    });
+
   } catch (error) {
     console.error('Server error:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error',
-      details: error.message
+      error: 'Internal server error'
     });
   }
 });
 
-// Signup endpoint
-app.post('/api/signup', async (req, res) => {
+// Get statistics for the logged-in partner
+app.get('/api/partner/statistics', authenticatePartner, async (req, res) => {
   try {
-    const {
-      fullName,
-      email,
-      phone,
-      investmentAmount,
-      profitSharing,
-      country,
-      mt5Accounts, // Array of MT5 accounts
-      emailVerified,
-      phoneVerified,
-      partnerId, // Optional: partner ID if user was referred by a partner
-      inviteToken // Required: invitation token from signup URL
-    } = req.body;
-
-    // Validation
-    if (!fullName || !email || !phone || !investmentAmount || !country) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields'
-      });
-    }
+    const { data, error } = await supabase
+      .from('partner_statistics')
+      .select('*')
+      .eq('id', req.partner.id)
+      .maybeSingle();
 
-    // Validate invitation token (REQUIRED)
-    if (!inviteToken) {
-      return res.status(400).json({
+    if (error) {
+      console.error('Error fetching partner statistics:', error);
+      return res.status(500).json({
         success: false,
-        error: 'Invitation token is required. Please use your unique invitation link.'
+        error: 'Failed to fetch partner statistics'
       });
     }
 
-    // Check if invitation exists and is valid
-    const { data: invitation, error: inviteError } = await supabase
-      .from('invites')
-      .select('id, email, token, status, investment_amount, profit_sharing, partner_id')
-      .eq('token', inviteToken)
-      .single();
+    // A partner with no investors yet has no statistics row
+    res.json({
+      success: true,
+      data: data || { id: req.partner.id, user_count: 0, total_investment: 0 }
+    });
 
-    if (inviteError || !invitation) {
-      return res.status(404).json({
-        success: false,
-        error: 'Invalid or expired invitation. Please contact support.'
-      });
-    }
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
 
-    // Check if invitation is already used
-    if (invitation.status === 'used') {
-      return res.status(400).json({
-        success: false,
-        error: 'This invitation has already been used.'
-      });
-    }
+// ============================================
+// MT5 LOGIN MANAGEMENT ENDPOINTS
+// ============================================
 
-    // Check if invitation status is not pending
-    if (invitation.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        error: 'This invitation is not valid. Status: ' + invitation.status
-      });
-    }
+// Get all MT5 logins for a user (admin; investors use /api/me/mt5-logins)
+app.get('/api/users/:userId/mt5-logins', authenticateToken, requirePermission('users.read', 'mt5.read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
 
-    // Validate email matches invitation
-    if (invitation.email.toLowerCase() !== email.toLowerCase()) {
-      return res.status(400).json({
-        success: false,
-        error: `This invitation is for ${invitation.email}. Please use the correct email address.`
-      });
-    }
+    const { data, error } = await supabase
+      .from('mt5_logins')
+      .select('id, login, server, is_active, is_primary, created_at, updated_at, metrics, metrics_last_synced, sync_status')
+      .eq('user_id', userId)
+      .order('is_primary', { ascending: false })
+      .order('created_at', { ascending: false });
 
-    // Validate MT5 accounts
-    if (!mt5Accounts || !Array.isArray(mt5Accounts) || mt5Accounts.length === 0) {
-      return res.status(400).json({
+    if (error) {
+      console.error('Error fetching MT5 logins:', error);
+      return res.status(500).json({
         success: false,
-        error: 'At least one MT5 account is required'
+        error: 'Failed to fetch MT5 logins'
       });
     }
 
-    // Validate each MT5 account
-    for (const account of mt5Accounts) {
-      if (!account.mt5Login || !account.mt5Password || !account.mt5Server) {
-        return res.status(400).json({
-          success: false,
-          error: 'Each MT5 account must have login, password, and server'
-        });
-      }
-    }
+    res.json({
+      success: true,
+      data
+    });
 
-    if (!emailVerified || !phoneVerified) {
-      return res.status(400).json({
-        success: false,
-        error: 'Email and phone must be verified'
-      });
-    }
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
 
-    if (parseFloat(investmentAmount) < 100000) {
+// Add a new MT5 login for a user (admin)
+app.post('/api/users/:userId/mt5-logins', authenticateToken, requirePermission('mt5.write'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { login, password, server, isPrimary } = req.body;
+
+    if (!login || !password || !server) {
       return res.status(400).json({
         success: false,
-        error: 'Minimum investment amount is $100,000'
+        error: 'Login, password, and server are required'
       });
     }
 
-    // Check if user already exists
-    const { data: existingUser, error: checkError } = await supabase
+    // Check if user exists
+    const { data: user } = await supabase
       .from('users')
-      .select('id, email')
-      .eq('email', email)
+      .select('id')
+      .eq('id', userId)
       .single();
 
-    if (existingUser) {
-      return res.status(409).json({
-        success: false,
-        error: 'User with this email already exists'
-      });
-    }
-
-    // Get partner from invitation (required)
-    if (!invitation.partner_id) {
-      return res.status(400).json({
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        error: 'This invitation does not have an associated partner. Please contact support.'
+        error: 'User not found'
       });
     }
 
-    // Fetch partner details for validation and later notification
-      const { data: partner, error: partnerError } = await supabase
-        .from('partners')
-      .select('id, name, email, status')
-      .eq('id', invitation.partner_id)
-        .single();
-
-      if (partnerError || !partner) {
-        return res.status(400).json({
-          success: false,
-        error: 'Partner associated with this invitation not found. Please contact support.'
-        });
-      }
-
-      if (partner.status !== 'active') {
-        return res.status(400).json({
-          success: false,
-        error: 'Partner associated with this invitation is not active. Please contact support.'
-        });
-    }
-
-    // Check if any MT5 login already exists for this server
-    for (const account of mt5Accounts) {
-      const { data: existingMT5 } = await supabase
+    // Check if MT5 login already exists
+    const { data: existingMT5 } = await supabase
       .from('mt5_logins')
       .select('id')
-        .eq('login', account.mt5Login)
-        .eq('server', account.mt5Server)
+      .eq('login', login)
+      .eq('server', server)
       .single();
 
     if (existingMT5) {
       return res.status(409).json({
         success: false,
-          error: `MT5 login ${account.mt5Login} already exists for server ${account.mt5Server}`
-        });
-      }
-    }
-
-    // CHECK FOR PRE-VALIDATED MT5 CREDENTIALS
-    console.log(`Checking for pre-validated MT5 accounts for ${email}...`);
-    const validatedAccounts = [];
-    
-    for (let i = 0; i < mt5Accounts.length; i++) {
-      const account = mt5Accounts[i];
-      
-      // Check if this MT5 account was pre-validated
-      const { data: validation, error: validationError } = await supabase
-        .from('mt5_validations')
-        .select('id, login, server, metaapi_account_id, is_validated, expires_at, password')
-        .eq('email', email.toLowerCase())
-        .eq('login', account.mt5Login)
-        .eq('server', account.mt5Server)
-        .eq('is_validated', true)
-        .eq('is_used', false)
-        .gt('expires_at', new Date().toISOString())
-        .single();
-
-      if (validationError || !validation) {
-        return res.status(400).json({
-          success: false,
-          error: `MT5 account ${account.mt5Login} on ${account.mt5Server} is not validated. Please click 'Validate' button for this account before submitting.`
+        error: 'MT5 login already exists for this server'
       });
     }
 
-      validatedAccounts.push({
-        index: i,
-        validationId: validation.id,
-        metaApiAccountId: validation.metaapi_account_id,
-        encryptedPassword: validation.password
-      });
+    // If setting as primary, unset other primary logins for this user
+    if (isPrimary) {
+      await supabase
+        .from('mt5_logins')
+        .update({ is_primary: false })
+        .eq('user_id', userId)
+        .eq('is_primary', true);
     }
-    
-    console.log(`✓ All ${mt5Accounts.length} MT5 account(s) are pre-validated`);
 
-    // Insert user data into Supabase (without MT5 fields)
-    const { data: userData, error: userError } = await supabase
-      .from('users')
+    // Hash the MT5 password before storing
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+
+    const { data, error } = await supabase
+      .from('mt5_logins')
       .insert([
         {
-          full_name: fullName,
-          email: email,
-          phone: phone,
-          investment_amount: parseFloat(investmentAmount),
-          profit_sharing: profitSharing ? parseFloat(profitSharing) : null,
-          country: country,
-          partner_id: partner.id, // Use partner from invitation
-          email_verified: emailVerified,
-          phone_verified: phoneVerified,
-          status: 'pending',
-          created_at: new Date().toISOString()
+          user_id: userId,
+          login,
+          password: hashedPassword, // Password is now hashed with bcrypt
+          server,
+          is_active: true,
+          is_primary: isPrimary || false
         }
       ])
       .select()
       .single();
 
-    if (userError) {
-      console.error('Supabase error creating user:', userError);
+    if (error) {
+      console.error('Error creating MT5 login:', error);
       return res.status(500).json({
         success: false,
-        error: 'Failed to create user account',
-        details: userError.message
+        error: 'Failed to create MT5 login',
+        details: error.message
       });
     }
 
-    // Insert all MT5 login accounts using pre-validated data
-    const mt5DataToInsert = mt5Accounts.map((account, index) => {
-      // Find the corresponding validated account
-      const validated = validatedAccounts.find(acc => acc.index === index);
-
-      return {
-          user_id: userData.id,
-        login: account.mt5Login,
-        password: validated.encryptedPassword, // Use already encrypted password from validation
-        server: account.mt5Server,
-          is_active: true,
-        is_primary: index === 0, // First MT5 login is primary
-        metaapi_account_id: validated.metaApiAccountId,
-          created_at: new Date().toISOString()
-      };
+    res.status(201).json({
+      success: true,
+      message: 'MT5 login added successfully',
+      data
     });
 
-    // Insert all MT5 logins at once
-    const { data: mt5Data, error: mt5Error } = await supabase
-      .from('mt5_logins')
-      .insert(mt5DataToInsert)
-      .select();
-
-    if (mt5Error) {
-      console.error('Supabase error creating MT5 logins:', mt5Error);
-      // Rollback: delete the user if MT5 insertion fails
-      await supabase.from('users').delete().eq('id', userData.id);
-      
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to create MT5 logins',
-        details: mt5Error.message
-      });
-    }
-
-    // Mark MT5 validations as used
-    for (const validated of validatedAccounts) {
-      await supabase
-        .from('mt5_validations')
-        .update({ 
-          is_used: true, 
-          used_at: new Date().toISOString(),
-          user_id: userData.id
-        })
-        .eq('id', validated.validationId);
-    }
-
-    // Mark invitation as used
-    const { error: inviteUpdateError } = await supabase
-      .from('invites')
-      .update({
-        status: 'used',
-        used_at: new Date().toISOString(),
-        used_by_user_id: userData.id
-      })
-      .eq('token', inviteToken);
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
 
-    if (inviteUpdateError) {
-      console.error('Error updating invitation status:', inviteUpdateError);
-      // Don't fail signup if invitation update fails, just log it
-    }
+// Get user with MT5 logins (admin; investors use /api/me)
+app.get('/api/users/:userId', authenticateToken, requirePermission('users.read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
 
-    // Send notification email to partner about new user onboarding
-    sendPartnerUserOnboardedEmail(partner.email, partner.name, fullName, email)
-      .then((result) => {
-        if (result.success) {
-          console.log(`✓ Partner notification sent to ${partner.email}`);
-        } else {
-          console.warn(`✗ Failed to send partner notification: ${result.error}`);
-        }
-      })
-      .catch((error) => {
-        console.error(`✗ Error sending partner notification:`, error);
-      });
+    // Get user data
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select(`
+        *,
+        partners (
+          id,
+          name,
+          email,
+          company_name
+        )
+      `)
+      .eq('id', userId)
+      .single();
 
-    // Trigger metrics sync for all MT5 accounts in background (don't wait for it)
-    if (metaApi && mt5Data) {
-      mt5Data.forEach(mt5 => {
-        syncMT5Metrics(mt5.id)
-          .then(() => {
-            console.log(`✓ Initial metrics synced for MT5 login ${mt5.login}`);
-          })
-          .catch((error) => {
-            console.error(`✗ Failed to sync initial metrics for MT5 login ${mt5.login}:`, error.message);
-            // Don't fail signup if metrics sync fails
-          });
+    if (userError || !user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
       });
     }
 
-    res.status(201).json({
+    // Get MT5 logins
+    const { data: mt5Logins } = await supabase
+      .from('mt5_logins')
+      .select('id, login, server, is_active, is_primary, created_at, metrics, metrics_last_synced, sync_status')
+      .eq('user_id', userId)
+      .order('is_primary', { ascending: false });
+
+    res.json({
       success: true,
-      message: 'Registration submitted successfully! Our team will contact you shortly.',
       data: {
-        id: userData.id,
-        email: userData.email,
-        fullName: userData.full_name,
-        mt5LoginCount: mt5Data.length,
-        mt5LoginIds: mt5Data.map(mt5 => mt5.id)
+        ...omitPassword(user),
+        mt5_logins: mt5Logins || []
       }
     });
 
@@ -1206,460 +8627,326 @@ app.post('/api/signup', async (req, res) => {
     console.error('Server error:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error',
-      details: error.message
+      error: 'Internal server error'
     });
   }
 });
 
-// Email OTP endpoint
-app.post('/api/send-email-otp', async (req, res) => {
+// Update MT5 login (admin)
+app.put('/api/admin/mt5-logins/:mt5LoginId', authenticateToken, requirePermission('mt5.write'), async (req, res) => {
   try {
-    const { email } = req.body;
+    const { mt5LoginId } = req.params;
+    const { login, password, server, isActive, isPrimary } = req.body;
 
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        error: 'Email is required'
-      });
-    }
+    // Check if MT5 login exists
+    const { data: existingMT5, error: checkError } = await supabase
+      .from('mt5_logins')
+      .select('id, user_id, login, server')
+      .eq('id', mt5LoginId)
+      .single();
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
+    if (checkError || !existingMT5) {
+      return res.status(404).json({
         success: false,
-        error: 'Invalid email format'
+        error: 'MT5 login not found'
       });
     }
 
-    // Generate OTP
-    const otp = generateOTP();
-    const expiresAt = new Date();
-    expiresAt.setMinutes(expiresAt.getMinutes() + OTP_EXPIRY_MINUTES);
+    // If login or server is being changed, check for duplicates
+    if ((login && login !== existingMT5.login) || (server && server !== existingMT5.server)) {
+      const checkLogin = login || existingMT5.login;
+      const checkServer = server || existingMT5.server;
 
-    // Invalidate any existing unverified OTPs for this email
-    await supabase
-      .from('otp_codes')
-      .update({ verified: true }) // Mark as verified to invalidate
-      .eq('email', email)
-      .eq('type', 'email')
-      .eq('verified', false);
+      const { data: duplicate } = await supabase
+        .from('mt5_logins')
+        .select('id')
+        .eq('login', checkLogin)
+        .eq('server', checkServer)
+        .neq('id', mt5LoginId)
+        .single();
 
-    // Store OTP in database
-    const { error: dbError } = await supabase
-      .from('otp_codes')
-      .insert([
-        {
-          email: email,
-          otp_code: otp,
-          type: 'email',
-          expires_at: expiresAt.toISOString(),
-          verified: false,
-          attempts: 0
-        }
-      ]);
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          error: 'MT5 login already exists for this server'
+        });
+      }
+    }
 
-    if (dbError) {
-      console.error('Database error storing OTP:', dbError);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to generate verification code'
-      });
+    // If setting as primary, unset other primary logins for this user
+    if (isPrimary === true) {
+      await supabase
+        .from('mt5_logins')
+        .update({ is_primary: false })
+        .eq('user_id', existingMT5.user_id)
+        .eq('is_primary', true)
+        .neq('id', mt5LoginId);
     }
 
-    // Send email via SendGrid
-    if (sendGridApiKey) {
-      try {
-        const emailBody = `
-          <html>
-            <body style="font-family: Arial, sans-serif; padding: 20px; background-color: #f5f5f5;">
-              <div style="max-width: 600px; margin: 0 auto; background-color: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-                <h2 style="color: #333; margin-bottom: 20px;">BAES Solutions - Email Verification</h2>
-                <p style="color: #666; font-size: 16px; margin-bottom: 20px;">Your verification code is:</p>
-                <div style="background-color: #f0f7ff; padding: 20px; border-radius: 6px; text-align: center; margin: 20px 0;">
-                  <h1 style="color: #0066cc; font-size: 36px; letter-spacing: 8px; margin: 0; font-weight: bold;">${otp}</h1>
-                </div>
-                <p style="color: #666; font-size: 14px; margin-bottom: 10px;">This code will expire in ${OTP_EXPIRY_MINUTES} minutes.</p>
-                <p style="color: #999; font-size: 12px; margin-top: 30px;">If you didn't request this code, please ignore this email.</p>
-                <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
-                <p style="color: #999; font-size: 12px; margin: 0;">BAES Solutions LLC</p>
-              </div>
-            </body>
-          </html>
-        `;
-
-        // SendGrid API v3
-        const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${sendGridApiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            personalizations: [{
-              to: [{ email: email }]
-            }],
-            from: { 
-              email: sendGridFromEmail,
-              name: 'BAES Solutions'
-            },
-            subject: 'BAES Solutions - Email Verification Code',
-            content: [{
-              type: 'text/html',
-              value: emailBody
-            }]
-          })
-        });
+    // Build update object
+    const updateData = {
+      updated_at: new Date().toISOString()
+    };
 
-        if (!response.ok) {
-          const errorText = await response.text();
-          let errorDetails;
-          try {
-            errorDetails = JSON.parse(errorText);
-          } catch {
-            errorDetails = errorText;
-          }
-          console.error('SendGrid API error:', {
-            status: response.status,
-            statusText: response.statusText,
-            error: errorDetails
-          });
-          throw new Error(`SendGrid API error: ${response.status} ${response.statusText}`);
-        }
+    if (login !== undefined) updateData.login = login;
+    if (server !== undefined) updateData.server = server;
+    if (isActive !== undefined) updateData.is_active = isActive;
+    if (isPrimary !== undefined) updateData.is_primary = isPrimary;
 
-        console.log(`Email OTP sent successfully to ${email}`);
-      } catch (emailError) {
-        console.error('Error sending email via SendGrid:', emailError);
-        // In production, fail the request if email fails
-        if (process.env.NODE_ENV === 'production') {
-          return res.status(500).json({
-            success: false,
-            error: 'Failed to send verification email. Please try again later.',
-            details: process.env.NODE_ENV === 'development' ? emailError.message : undefined
-          });
-        } else {
-          // In development, log but don't fail (OTP is returned in response)
-          console.warn('Email sending failed in development mode, but continuing...');
-        }
-      }
-    } else {
-      console.warn('SendGrid API key not configured. Email not sent.');
-      if (process.env.NODE_ENV === 'production') {
-        return res.status(500).json({
-          success: false,
-          error: 'Email service not configured'
-        });
-      }
+    // Encrypt password if provided (not hash, so MetaAPI can use it)
+    if (password !== undefined) {
+      updateData.password = encryptMT5Password(password);
+    }
+
+    // Update MT5 login
+    const { data: updatedMT5, error: updateError } = await supabase
+      .from('mt5_logins')
+      .update(updateData)
+      .eq('id', mt5LoginId)
+      .select('id, user_id, login, server, is_active, is_primary, created_at, updated_at')
+      .single();
+
+    if (updateError) {
+      console.error('Error updating MT5 login:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update MT5 login',
+        details: updateError.message
+      });
     }
 
     res.json({
       success: true,
-      message: 'Verification code sent to your email',
-      // In development, return OTP for testing
-      ...(process.env.NODE_ENV === 'development' && { otp })
+      message: 'MT5 login updated successfully',
+      data: updatedMT5
     });
 
   } catch (error) {
-    console.error('Error sending email OTP:', error);
+    console.error('Server error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to send verification code'
+      error: 'Internal server error',
+      details: error.message
     });
   }
 });
 
-// Phone OTP endpoint
-app.post('/api/send-phone-otp', async (req, res) => {
+// Delete MT5 login (admin)
+app.delete('/api/admin/mt5-logins/:mt5LoginId', authenticateToken, requirePermission('mt5.write'), async (req, res) => {
   try {
-    const { phone } = req.body;
+    const { mt5LoginId } = req.params;
 
-    if (!phone) {
-      return res.status(400).json({
-        success: false,
-        error: 'Phone number is required'
-      });
-    }
+    // Check if MT5 login exists
+    const { data: existingMT5, error: checkError } = await supabase
+      .from('mt5_logins')
+      .select('id, user_id, login, server, is_primary')
+      .eq('id', mt5LoginId)
+      .single();
 
-    if (!twilioClient || !twilioPhoneNumber) {
-      return res.status(500).json({
+    if (checkError || !existingMT5) {
+      return res.status(404).json({
         success: false,
-        error: 'SMS service not configured. Please contact support.'
+        error: 'MT5 login not found'
       });
     }
 
-    // Format phone number to E.164 format
-    const formattedPhone = formatPhoneNumber(phone);
-
-    // Generate OTP
-    const otp = generateOTP();
-    const expiresAt = new Date();
-    expiresAt.setMinutes(expiresAt.getMinutes() + OTP_EXPIRY_MINUTES);
-
-    // Invalidate any existing unverified OTPs for this phone
-    await supabase
-      .from('otp_codes')
-      .update({ verified: true }) // Mark as verified to invalidate
-      .eq('phone', formattedPhone)
-      .eq('type', 'phone')
-      .eq('verified', false);
-
-    // Store OTP in database
-    const { error: dbError } = await supabase
-      .from('otp_codes')
-      .insert([
-        {
-          phone: formattedPhone,
-          otp_code: otp,
-          type: 'phone',
-          expires_at: expiresAt.toISOString(),
-          verified: false,
-          attempts: 0
-        }
-      ]);
+    // Check if this is the only MT5 login for the user
+    const { data: userMT5Logins } = await supabase
+      .from('mt5_logins')
+      .select('id')
+      .eq('user_id', existingMT5.user_id);
 
-    if (dbError) {
-      console.error('Database error storing OTP:', dbError);
-      return res.status(500).json({
+    if (userMT5Logins && userMT5Logins.length === 1) {
+      return res.status(400).json({
         success: false,
-        error: 'Failed to generate verification code'
+        error: 'Cannot delete the only MT5 login for a user. Delete the user instead or add another MT5 login first.'
       });
     }
 
-    // Send SMS via Twilio
-    try {
-      const message = await twilioClient.messages.create({
-        body: `Your BAES Solutions verification code is: ${otp}. This code expires in ${OTP_EXPIRY_MINUTES} minutes.`,
-        from: twilioPhoneNumber,
-        to: formattedPhone
-      });
+    // If this is a primary login, set another one as primary
+    if (existingMT5.is_primary && userMT5Logins && userMT5Logins.length > 1) {
+      const otherMT5 = userMT5Logins.find(mt5 => mt5.id !== mt5LoginId);
+      if (otherMT5) {
+        await supabase
+          .from('mt5_logins')
+          .update({ is_primary: true })
+          .eq('id', otherMT5.id);
+      }
+    }
+
+    // Delete the MT5 login
+    const { error: deleteError } = await supabase
+      .from('mt5_logins')
+      .delete()
+      .eq('id', mt5LoginId);
 
-      console.log(`SMS OTP sent to ${formattedPhone}, SID: ${message.sid}`);
-    } catch (smsError) {
-      console.error('Twilio SMS error:', smsError);
+    if (deleteError) {
+      console.error('Error deleting MT5 login:', deleteError);
       return res.status(500).json({
         success: false,
-        error: 'Failed to send SMS. Please check your phone number and try again.',
-        details: smsError.message
+        error: 'Failed to delete MT5 login',
+        details: deleteError.message
       });
     }
 
     res.json({
       success: true,
-      message: 'Verification code sent to your phone',
-      // In development, return OTP for testing
-      ...(process.env.NODE_ENV === 'development' && { otp })
+      message: `MT5 login ${existingMT5.login} deleted successfully`,
+      deletedMT5: {
+        id: existingMT5.id,
+        login: existingMT5.login,
+        server: existingMT5.server
+      }
     });
 
   } catch (error) {
-    console.error('Error sending phone OTP:', error);
+    console.error('Server error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to send verification code'
+      error: 'Internal server error',
+      details: error.message
     });
   }
 });
 
-// Verify OTP endpoint
-app.post('/api/verify-otp', async (req, res) => {
-  try {
-    const { email, phone, otp, type } = req.body;
-
-    if (!otp || !type) {
-      return res.status(400).json({
-        success: false,
-        error: 'OTP and type are required'
-      });
-    }
-
-    if (type === 'email' && !email) {
-      return res.status(400).json({
-        success: false,
-        error: 'Email is required for email verification'
-      });
-    }
+// ============================================
+// MT5 METRICS SYNC ENDPOINTS
+// ============================================
 
-    if (type === 'phone' && !phone) {
-      return res.status(400).json({
-        success: false,
-        error: 'Phone is required for phone verification'
-      });
-    }
+// Sync MT5 metrics (admin)
+app.post('/api/admin/mt5-logins/:mt5LoginId/sync-metrics', authenticateToken, requirePermission('mt5.sync'), async (req, res) => {
+  try {
+    const { mt5LoginId } = req.params;
 
-    // Validate OTP format
-    if (otp.length !== OTP_LENGTH || !/^\d+$/.test(otp)) {
-      return res.status(400).json({
+    if (!metaApi) {
+      return res.status(503).json({
         success: false,
-        error: 'Invalid verification code format'
+        error: 'MetaAPI service not configured. Please contact administrator.'
       });
     }
 
-    // Format phone number if verifying phone
-    const formattedPhone = phone ? formatPhoneNumber(phone) : null;
-
-    // Find the OTP record
-    let query = supabase
-      .from('otp_codes')
-      .select('*')
-      .eq('type', type)
-      .eq('otp_code', otp)
-      .eq('verified', false)
-      .gt('expires_at', new Date().toISOString())
-      .order('created_at', { ascending: false })
-      .limit(1);
-
-    if (type === 'email') {
-      query = query.eq('email', email);
-    } else {
-      query = query.eq('phone', formattedPhone);
-    }
-
-    const { data: otpRecords, error: queryError } = await query;
+    // Check if MT5 login exists
+    const { data: mt5Login, error: checkError } = await supabase
+      .from('mt5_logins')
+      .select('id, login, server, sync_status')
+      .eq('id', mt5LoginId)
+      .single();
 
-    if (queryError) {
-      console.error('Database error:', queryError);
-      return res.status(500).json({
+    if (checkError || !mt5Login) {
+      return res.status(404).json({
         success: false,
-        error: 'Failed to verify code'
+        error: 'MT5 login not found'
       });
     }
 
-    if (!otpRecords || otpRecords.length === 0) {
-      // Increment attempts for the most recent OTP if it exists
-      let attemptQuery = supabase
-        .from('otp_codes')
-        .select('*')
-        .eq('type', type)
-        .eq('verified', false)
-        .order('created_at', { ascending: false })
-        .limit(1);
-
-      if (type === 'email') {
-        attemptQuery = attemptQuery.eq('email', email);
-      } else {
-        attemptQuery = attemptQuery.eq('phone', formattedPhone);
-      }
-
-      const { data: recentOtp } = await attemptQuery;
-
-      if (recentOtp && recentOtp.length > 0) {
-        const currentAttempts = (recentOtp[0].attempts || 0) + 1;
-        await supabase
-          .from('otp_codes')
-          .update({ attempts: currentAttempts })
-          .eq('id', recentOtp[0].id);
-      }
-
-      return res.status(400).json({
+    // Check if already syncing
+    if (mt5Login.sync_status === 'syncing') {
+      return res.status(409).json({
         success: false,
-        error: 'Invalid or expired verification code'
+        error: 'Metrics sync already in progress'
       });
     }
 
-    const otpRecord = otpRecords[0];
-
-    // Check if max attempts exceeded
-    if (otpRecord.attempts >= MAX_OTP_ATTEMPTS) {
-      return res.status(400).json({
-        success: false,
-        error: 'Maximum verification attempts exceeded. Please request a new code.'
-      });
+    // Log the sync action
+    if (req.admin) {
+      await logAdminAction(
+        req.admin.id,
+        req.admin.email,
+        'mt5_metrics_sync',
+        'mt5_login',
+        mt5LoginId,
+        { login: mt5Login.login, server: mt5Login.server },
+        req
+      );
     }
 
-    // Mark OTP as verified
-    const { error: updateError } = await supabase
-      .from('otp_codes')
-      .update({ verified: true })
-      .eq('id', otpRecord.id);
+    // Set initial status to syncing
+    await supabase
+      .from('mt5_logins')
+      .update({ 
+        sync_status: 'syncing',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', mt5LoginId);
 
-    if (updateError) {
-      console.error('Error updating OTP:', updateError);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to verify code'
+    // Sync metrics in background
+    syncMT5Metrics(mt5LoginId)
+      .then((result) => {
+        console.log(`✓ Metrics synced successfully for MT5 login ${mt5Login.login}`);
+      })
+      .catch((error) => {
+        console.error(`✗ Failed to sync metrics for MT5 login ${mt5Login.login}:`, error.message);
       });
-    }
 
     res.json({
       success: true,
-      message: `${type === 'email' ? 'Email' : 'Phone'} verified successfully`,
-      verified: true
+      message: 'Metrics sync started',
+      data: {
+        mt5LoginId,
+        status: 'syncing'
+      }
     });
 
   } catch (error) {
-    console.error('Error verifying OTP:', error);
+    console.error('Error starting metrics sync:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to verify code'
+      error: 'Failed to start metrics sync',
+      details: error.message
     });
   }
 });
 
-// ============================================
-// AUTHENTICATION ENDPOINTS
-// ============================================
-
-// Login endpoint (example - for when you add user authentication)
-// Note: This is a template for future implementation
-app.post('/api/login', async (req, res) => {
+// Get scheduled MT5 metrics sync status (admin)
+app.get('/api/admin/mt5-sync/status', authenticateToken, requirePermission('mt5.read'), async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const job = backgroundJobs.find(backgroundJob => backgroundJob.name === 'mt5-metrics-sync');
+    const now = new Date().toISOString();
 
-    if (!email || !password) {
-      return res.status(400).json({
+    const { data: backingOff, error } = await supabase
+      .from('mt5_logins')
+      .select('id, login, server, sync_status, sync_failure_count, next_sync_after, last_sync_error, metrics_last_synced')
+      .eq('is_active', true)
+      .gt('next_sync_after', now)
+      .order('next_sync_after', { ascending: true })
+      .limit(100);
+
+    if (error) {
+      console.error('Error fetching MT5 sync backoff:', error);
+      return res.status(500).json({
         success: false,
-        error: 'Email and password are required'
+        error: 'Failed to fetch MT5 sync status'
       });
     }
 
-    // Example: Fetch user by email (you'll need to add a password column to users table)
-    // const { data: user, error } = await supabase
-    //   .from('users')
-    //   .select('id, email, password, full_name, status')
-    //   .eq('email', email)
-    //   .single();
-
-    // if (error || !user) {
-    //   return res.status(401).json({
-    //     success: false,
-    //     error: 'Invalid email or password'
-    //   });
-    // }
-
-    // // Verify password using bcrypt
-    // const isPasswordValid = await verifyPassword(password, user.password);
-
-    // if (!isPasswordValid) {
-    //   return res.status(401).json({
-    //     success: false,
-    //     error: 'Invalid email or password'
-    //   });
-    // }
-
-    // // Check if user is active
-    // if (user.status !== 'active') {
-    //   return res.status(403).json({
-    //     success: false,
-    //     error: 'Account is not active. Please contact support.'
-    //   });
-    // }
-
-    // // Return user data (excluding password)
-    // const { password: _, ...userData } = user;
-    
-    // res.json({
-    //   success: true,
-    //   message: 'Login successful',
-    //   data: userData
-    // });
-
-    return res.status(501).json({
-      success: false,
-      error: 'Login endpoint not yet implemented. Add password field to users table first.'
+    res.json({
+      success: true,
+      data: {
+        enabled: !!metaApi && !!job?.isScheduled,
+        metaApiConfigured: !!metaApi,
+        intervalMinutes: MT5_SYNC_INTERVAL_MINUTES,
+        concurrency: MT5_SYNC_CONCURRENCY,
+        jitterSeconds: MT5_SYNC_JITTER_SECONDS,
+        isRunning: !!job?.isRunning,
+        lastRunAt: job?.lastRunAt || null,
+        nextRunAt: job?.nextRunAt || null,
+        lastError: job?.lastError || null,
+        lastResult: job?.lastResult || null,
+        backingOff: (backingOff || []).map(mt5Login => ({
+          id: mt5Login.id,
+          login: mt5Login.login,
+          server: mt5Login.server,
+          syncStatus: mt5Login.sync_status,
+          failureCount: mt5Login.sync_failure_count,
+          nextSyncAfter: mt5Login.next_sync_after,
+          lastError: mt5Login.last_sync_error,
+          metricsLastSynced: mt5Login.metrics_last_synced
+        }))
+      }
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Server error:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -1667,497 +8954,339 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
-// ============================================
-// PARTNER MANAGEMENT ENDPOINTS
-// ============================================
-
-// ============================================
-// EMAIL HELPER FUNCTIONS
-// ============================================
-
-/**
- * Send welcome email to new partner
- */
-async function sendPartnerWelcomeEmail(partnerEmail, partnerName) {
-  if (!sendGridApiKey) {
-    console.warn('SendGrid not configured. Partner welcome email not sent.');
-    return { success: false, error: 'Email service not configured' };
-  }
-
+// Get MT5 metrics (admin)
+app.get('/api/admin/mt5-logins/:mt5LoginId/metrics', authenticateToken, requirePermission('mt5.read'), async (req, res) => {
   try {
-    const emailBody = `
-      <html>
-        <body style="font-family: Arial, sans-serif; padding: 20px; background-color: #f5f5f5;">
-          <div style="max-width: 600px; margin: 0 auto; background-color: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-            <h2 style="color: #333; margin-bottom: 20px;">Welcome to BAES Solutions Partner Program!</h2>
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              Dear ${partnerName},
-            </p>
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              Congratulations! You have been successfully added as a partner on the BAES Solutions platform.
-            </p>
-            <div style="background-color: #f0f7ff; padding: 20px; border-radius: 6px; margin: 20px 0;">
-              <h3 style="color: #0066cc; margin: 0 0 10px 0;">What's Next?</h3>
-              <ul style="color: #666; margin: 0; padding-left: 20px;">
-                <li>You will receive notifications when users you refer sign up</li>
-                <li>Track your referrals and commissions through the partner dashboard</li>
-                <li>View detailed statistics of your referred users</li>
-              </ul>
-            </div>
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              Thank you for joining our partner program. We look forward to a successful partnership!
-            </p>
-            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
-            <p style="color: #999; font-size: 12px; margin: 0;">BAES Solutions LLC</p>
-            <p style="color: #999; font-size: 12px; margin: 5px 0 0 0;">
-              If you have any questions, please contact our support team.
-            </p>
-          </div>
-        </body>
-      </html>
-    `;
-
-    const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${sendGridApiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        personalizations: [{
-          to: [{ email: partnerEmail }]
-        }],
-        from: { 
-          email: sendGridFromEmail,
-          name: 'BAES Solutions'
-        },
-        subject: 'Welcome to BAES Solutions Partner Program',
-        content: [{
-          type: 'text/html',
-          value: emailBody
-        }]
-      })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('SendGrid error sending partner welcome email:', {
-        status: response.status,
-        error: errorText
-      });
-      return { success: false, error: `SendGrid error: ${response.status}` };
-    }
-
-    console.log(`✓ Partner welcome email sent to ${partnerEmail}`);
-    return { success: true };
-
-  } catch (error) {
-    console.error('Error sending partner welcome email:', error);
-    return { success: false, error: error.message };
-  }
-}
-
-/**
- * Send notification to partner when their referred user signs up
- */
-async function sendPartnerUserOnboardedEmail(partnerEmail, partnerName, userName, userEmail) {
-  if (!sendGridApiKey) {
-    console.warn('SendGrid not configured. Partner onboarding notification not sent.');
-    return { success: false, error: 'Email service not configured' };
-  }
+    const { mt5LoginId } = req.params;
 
-  try {
-    const emailBody = `
-      <html>
-        <body style="font-family: Arial, sans-serif; padding: 20px; background-color: #f5f5f5;">
-          <div style="max-width: 600px; margin: 0 auto; background-color: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-            <h2 style="color: #333; margin-bottom: 20px;">🎉 New User Onboarded!</h2>
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              Dear ${partnerName},
-            </p>
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              Great news! A user you referred has successfully completed their onboarding on the BAES Solutions platform.
-            </p>
-            <div style="background-color: #f0f7ff; padding: 20px; border-radius: 6px; margin: 20px 0;">
-              <h3 style="color: #0066cc; margin: 0 0 15px 0;">User Details</h3>
-              <table style="width: 100%; color: #666;">
-                <tr>
-                  <td style="padding: 8px 0;"><strong>Name:</strong></td>
-                  <td style="padding: 8px 0;">${userName}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0;"><strong>Email:</strong></td>
-                  <td style="padding: 8px 0;">${userEmail}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0;"><strong>Status:</strong></td>
-                  <td style="padding: 8px 0;">
-                    <span style="background-color: #10b981; color: white; padding: 4px 12px; border-radius: 12px; font-size: 12px;">
-                      Active
-                    </span>
-                  </td>
-                </tr>
-              </table>
-            </div>
-            <p style="color: #666; font-size: 16px; line-height: 1.6;">
-              You can now track this user's activity and your commissions through the partner dashboard.
-            </p>
-            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
-            <p style="color: #999; font-size: 12px; margin: 0;">BAES Solutions LLC</p>
-            <p style="color: #999; font-size: 12px; margin: 5px 0 0 0;">
-              This is an automated notification. Please do not reply to this email.
-            </p>
-          </div>
-        </body>
-      </html>
-    `;
-
-    const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${sendGridApiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        personalizations: [{
-          to: [{ email: partnerEmail }]
-        }],
-        from: { 
-          email: sendGridFromEmail,
-          name: 'BAES Solutions'
-        },
-        subject: 'New User Onboarded - BAES Solutions',
-        content: [{
-          type: 'text/html',
-          value: emailBody
-        }]
-      })
-    });
+    const { data: mt5Login, error } = await supabase
+      .from('mt5_logins')
+      .select('id, login, server, metrics, metrics_last_synced, sync_status, is_active')
+      .eq('id', mt5LoginId)
+      .single();
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('SendGrid error sending partner onboarding notification:', {
-        status: response.status,
-        error: errorText
+    if (error || !mt5Login) {
+      return res.status(404).json({
+        success: false,
+        error: 'MT5 login not found'
       });
-      return { success: false, error: `SendGrid error: ${response.status}` };
     }
 
-    console.log(`✓ Partner onboarding notification sent to ${partnerEmail}`);
-    return { success: true };
+    res.json({
+      success: true,
+      data: {
+        id: mt5Login.id,
+        login: mt5Login.login,
+        server: mt5Login.server,
+        metrics: mt5Login.metrics || null,
+        metricsLastSynced: mt5Login.metrics_last_synced,
+        syncStatus: mt5Login.sync_status,
+        isActive: mt5Login.is_active
+      }
+    });
 
   } catch (error) {
-    console.error('Error sending partner onboarding notification:', error);
-    return { success: false, error: error.message };
+    console.error('Error fetching MT5 metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch metrics',
+      details: error.message
+    });
   }
-}
-
-// ============================================
-// PARTNER ENDPOINTS
-// ============================================
+});
 
-// Create a new partner
-app.post('/api/partners', async (req, res) => {
+// Get MT5 metrics history (admin)
+// Query: from/to (ISO dates, default last 30 days), interval raw|hourly|daily|monthly (default daily)
+app.get('/api/admin/mt5-logins/:mt5LoginId/metrics/history', authenticateToken, requirePermission('mt5.read'), async (req, res) => {
   try {
-    const { name, email, phone, companyName, commissionRate, notes } = req.body;
-
-    if (!name || !email) {
-      return res.status(400).json({
-        success: false,
-        error: 'Name and email are required'
-      });
-    }
-
-    // Check if partner already exists
-    const { data: existingPartner } = await supabase
-      .from('partners')
-      .select('id')
-      .eq('email', email)
-      .single();
+    const { mt5LoginId } = req.params;
+    const { interval = 'daily' } = req.query;
 
-    if (existingPartner) {
-      return res.status(409).json({
+    if (!['raw', 'hourly', 'daily', 'monthly'].includes(interval)) {
+      return res.status(400).json({
         success: false,
-        error: 'Partner with this email already exists'
+        error: 'Interval must be one of raw, hourly, daily, monthly'
       });
     }
 
-    const { data, error } = await supabase
-      .from('partners')
-      .insert([
-        {
-          name,
-          email,
-          phone: phone || null,
-          company_name: companyName || null,
-          commission_rate: commissionRate || 0.00,
-          notes: notes || null,
-          status: 'active'
-        }
-      ])
-      .select()
+    const range = parseMetricsDateRange(req.query, METRICS_HISTORY_DEFAULT_DAYS);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range'
+      });
+    }
+    const { from, to } = range;
+
+    const { data: mt5Login, error } = await supabase
+      .from('mt5_logins')
+      .select('id, login, server')
+      .eq('id', mt5LoginId)
       .single();
 
-    if (error) {
-      console.error('Error creating partner:', error);
-      return res.status(500).json({
+    if (error || !mt5Login) {
+      return res.status(404).json({
         success: false,
-        error: 'Failed to create partner',
-        details: error.message
+        error: 'MT5 login not found'
       });
     }
 
-    // Send welcome email to partner
-    const emailResult = await sendPartnerWelcomeEmail(email, name);
-    
-    // Update welcome_email_sent flag if email was sent
-    if (emailResult.success) {
-      await supabase
-        .from('partners')
-        .update({ 
-          welcome_email_sent: true,
-          welcome_email_sent_at: new Date().toISOString()
-        })
-        .eq('id', data.id);
-    }
+    const snapshots = await getMT5MetricsSnapshots(mt5LoginId, from, to);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Partner created successfully',
-      data,
-      emailSent: emailResult.success
+      data: {
+        id: mt5Login.id,
+        login: mt5Login.login,
+        server: mt5Login.server,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        interval,
+        snapshotCount: snapshots.length,
+        truncated: snapshots.length >= METRICS_HISTORY_MAX_SNAPSHOTS,
+        points: downsampleMetricsSnapshots(snapshots, interval)
+      }
     });
 
   } catch (error) {
-    console.error('Server error:', error);
+    console.error('Error fetching MT5 metrics history:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error',
+      error: 'Failed to fetch metrics history',
       details: error.message
     });
   }
 });
 
-// Get all partners
-app.get('/api/partners', async (req, res) => {
+// Get performance analytics for an MT5 login (admin)
+// Query: from/to (ISO dates, default last 365 days)
+app.get('/api/admin/mt5-logins/:mt5LoginId/analytics', authenticateToken, requirePermission('mt5.read'), async (req, res) => {
   try {
-    const { status } = req.query;
-
-    let query = supabase
-      .from('partners')
-      .select('*')
-      .order('created_at', { ascending: false });
+    const { mt5LoginId } = req.params;
 
-    if (status) {
-      query = query.eq('status', status);
+    const range = parseMetricsDateRange(req.query, ANALYTICS_DEFAULT_DAYS);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range'
+      });
     }
 
-    const { data, error } = await query;
+    const { data: mt5Login, error } = await supabase
+      .from('mt5_logins')
+      .select('id, login, server')
+      .eq('id', mt5LoginId)
+      .single();
 
-    if (error) {
-      console.error('Error fetching partners:', error);
-      return res.status(500).json({
+    if (error || !mt5Login) {
+      return res.status(404).json({
         success: false,
-        error: 'Failed to fetch partners'
+        error: 'MT5 login not found'
       });
     }
 
+    const analytics = await getPerformanceAnalytics([mt5Login], range.from, range.to);
+
     res.json({
       success: true,
-      data
+      data: {
+        ...analytics.accounts[0],
+        from: analytics.from,
+        to: analytics.to
+      }
     });
 
   } catch (error) {
-    console.error('Server error:', error);
+    console.error('Error computing MT5 analytics:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error'
+      error: 'Failed to compute analytics',
+      details: error.message
     });
   }
 });
 
-// Get partner statistics
-app.get('/api/partners/:id/statistics', async (req, res) => {
+// Get performance analytics across all of a user's MT5 logins (admin)
+app.get('/api/admin/users/:userId/analytics', authenticateToken, requirePermission('users.read', 'mt5.read'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { userId } = req.params;
 
-    const { data, error } = await supabase
-      .from('partner_statistics')
-      .select('*')
-      .eq('id', id)
+    const range = parseMetricsDateRange(req.query, ANALYTICS_DEFAULT_DAYS);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range'
+      });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, full_name, email')
+      .eq('id', userId)
       .single();
 
-    if (error) {
-      console.error('Error fetching partner statistics:', error);
-      return res.status(500).json({
+    if (error || !user) {
+      return res.status(404).json({
         success: false,
-        error: 'Failed to fetch partner statistics'
+        error: 'User not found'
       });
     }
 
+    const analytics = await getUserPerformanceAnalytics(userId, range.from, range.to);
+
     res.json({
       success: true,
-      data
+      data: {
+        userId: user.id,
+        fullName: user.full_name,
+        email: user.email,
+        ...analytics
+      }
     });
 
   } catch (error) {
-    console.error('Server error:', error);
+    console.error('Error computing user analytics:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error'
+      error: 'Failed to compute analytics',
+      details: error.message
     });
   }
 });
 
-// Update partner (admin)
-app.put('/api/admin/partners/:partnerId', authenticateToken, requireRole('admin', 'super_admin'), async (req, res) => {
+// ============================================
+// MT5 TRADE HISTORY ENDPOINTS
+// ============================================
+
+// Helper function to apply the symbol and date filters shared by the trade history endpoints
+function applyTradeHistoryFilters(query, { symbol, from, to }, timeColumn) {
+  if (symbol) query = query.eq('symbol', symbol);
+  if (from) query = query.gte(timeColumn, new Date(from).toISOString());
+  if (to) query = query.lte(timeColumn, new Date(to).toISOString());
+  return query;
+}
+
+// Helper function to check the from/to query params of the trade history endpoints
+function hasValidTradeHistoryDates({ from, to }) {
+  return (!from || !isNaN(new Date(from).getTime())) && (!to || !isNaN(new Date(to).getTime()));
+}
+
+// Sync trade history (admin)
+app.post('/api/admin/mt5-logins/:mt5LoginId/sync-trades', authenticateToken, requirePermission('mt5.sync'), async (req, res) => {
   try {
-    const { partnerId } = req.params;
-    const { name, email, phone, companyName, commissionRate, notes, status } = req.body;
+    const { mt5LoginId } = req.params;
 
-    // Check if partner exists
-    const { data: existingPartner, error: checkError } = await supabase
-      .from('partners')
-      .select('id, email')
-      .eq('id', partnerId)
+    if (!metaApi) {
+      return res.status(503).json({
+        success: false,
+        error: 'MetaAPI service not configured. Please contact administrator.'
+      });
+    }
+
+    const { data: mt5Login, error: checkError } = await supabase
+      .from('mt5_logins')
+      .select('id, login, server')
+      .eq('id', mt5LoginId)
       .single();
 
-    if (checkError || !existingPartner) {
+    if (checkError || !mt5Login) {
       return res.status(404).json({
         success: false,
-        error: 'Partner not found'
+        error: 'MT5 login not found'
       });
     }
 
-    // If email is being changed, check if new email already exists
-    if (email && email !== existingPartner.email) {
-      const { data: emailExists } = await supabase
-        .from('partners')
-        .select('id')
-        .eq('email', email)
-        .neq('id', partnerId)
-        .single();
-
-      if (emailExists) {
-        return res.status(409).json({
-          success: false,
-          error: 'Email already exists for another partner'
-        });
-      }
+    if (tradeSyncsInProgress.has(mt5LoginId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Trade history sync already in progress'
+      });
     }
 
-    // Build update object
-    const updateData = {
-      updated_at: new Date().toISOString()
-    };
-
-    if (name !== undefined) updateData.name = name;
-    if (email !== undefined) updateData.email = email;
-    if (phone !== undefined) updateData.phone = phone;
-    if (companyName !== undefined) updateData.company_name = companyName;
-    if (commissionRate !== undefined) updateData.commission_rate = parseFloat(commissionRate);
-    if (notes !== undefined) updateData.notes = notes;
-    if (status !== undefined) updateData.status = status;
-
-    // Update partner
-    const { data: updatedPartner, error: updateError } = await supabase
-      .from('partners')
-      .update(updateData)
-      .eq('id', partnerId)
-      .select()
-      .single();
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'mt5_trades_sync',
+      'mt5_login',
+      mt5LoginId,
+      { login: mt5Login.login, server: mt5Login.server },
+      req
+    );
 
-    if (updateError) {
-      console.error('Error updating partner:', updateError);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to update partner',
-        details: updateError.message
+    // Sync in background; the first sync of an account can take a while
+    syncMT5TradeHistory(mt5LoginId)
+      .then((result) => {
+        console.log(`✓ Trade history synced for MT5 login ${mt5Login.login}: ${result.dealsSynced} deals`);
+      })
+      .catch((error) => {
+        console.error(`✗ Failed to sync trade history for MT5 login ${mt5Login.login}:`, error.message);
       });
-    }
 
     res.json({
       success: true,
-      message: 'Partner updated successfully',
-      data: updatedPartner
+      message: 'Trade history sync started',
+      data: {
+        mt5LoginId,
+        status: 'syncing'
+      }
     });
 
   } catch (error) {
-    console.error('Server error:', error);
+    console.error('Error starting trade history sync:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error',
+      error: 'Failed to start trade history sync',
       details: error.message
     });
   }
 });
 
-// Delete partner (admin)
-app.delete('/api/admin/partners/:partnerId', authenticateToken, requireRole('admin', 'super_admin'), async (req, res) => {
+// Get closed deals for an MT5 login (admin)
+// Query: symbol, type, from/to (ISO dates), page, limit
+app.get('/api/admin/mt5-logins/:mt5LoginId/deals', authenticateToken, requirePermission('mt5.read'), async (req, res) => {
   try {
-    const { partnerId } = req.params;
-    const { cascade } = req.query;
-
-    // Check if partner exists
-    const { data: existingPartner, error: checkError } = await supabase
-      .from('partners')
-      .select('id, name, email')
-      .eq('id', partnerId)
-      .single();
+    const { mt5LoginId } = req.params;
+    const { type, page = 1, limit = 50 } = req.query;
 
-    if (checkError || !existingPartner) {
-      return res.status(404).json({
+    if (!hasValidTradeHistoryDates(req.query)) {
+      return res.status(400).json({
         success: false,
-        error: 'Partner not found'
+        error: 'Invalid date range'
       });
     }
 
-    // Check if partner has associated users
-    const { data: associatedUsers } = await supabase
-      .from('users')
-      .select('id')
-      .eq('partner_id', partnerId);
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 500);
+    const offset = (pageNum - 1) * limitNum;
 
-    if (associatedUsers && associatedUsers.length > 0) {
-      if (cascade === 'true') {
-        // Set partner_id to null for all associated users
-        await supabase
-          .from('users')
-          .update({ partner_id: null })
-          .eq('partner_id', partnerId);
-      } else {
-        return res.status(400).json({
-          success: false,
-          error: 'Cannot delete partner with associated users. Use cascade=true to unlink users.',
-          relatedData: {
-            users: associatedUsers.length
-          }
-        });
-      }
-    }
+    let query = supabase
+      .from('mt5_deals')
+      .select('deal_id, type, entry_type, symbol, volume, price, commission, swap, profit, order_id, position_id, magic, reason, comment, time, broker_time', { count: 'exact' })
+      .eq('mt5_login_id', mt5LoginId)
+      .order('time', { ascending: false })
+      .range(offset, offset + limitNum - 1);
 
-    // Delete the partner
-    const { error: deleteError } = await supabase
-      .from('partners')
-      .delete()
-      .eq('id', partnerId);
+    query = applyTradeHistoryFilters(query, req.query, 'time');
+    if (type) query = query.eq('type', type);
 
-    if (deleteError) {
-      console.error('Error deleting partner:', deleteError);
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error('Error fetching MT5 deals:', error);
       return res.status(500).json({
         success: false,
-        error: 'Failed to delete partner',
-        details: deleteError.message
+        error: 'Failed to fetch deals'
       });
     }
 
     res.json({
       success: true,
-      message: `Partner ${existingPartner.name} (${existingPartner.email}) deleted successfully`,
-      deletedPartner: {
-        id: existingPartner.id,
-        name: existingPartner.name,
-        email: existingPartner.email
+      data: data || [],
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
       }
     });
 
@@ -2165,111 +9294,114 @@ app.delete('/api/admin/partners/:partnerId', authenticateToken, requireRole('adm
     console.error('Server error:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error',
-      details: error.message
+      error: 'Internal server error'
     });
   }
 });
 
-// Update partner status (admin)
-app.patch('/api/admin/partners/:partnerId/status', authenticateToken, requireRole('admin', 'super_admin'), async (req, res) => {
+// Get open positions for an MT5 login as of the last trade sync (admin)
+// Query: symbol, from/to (opened between), page, limit
+app.get('/api/admin/mt5-logins/:mt5LoginId/positions', authenticateToken, requirePermission('mt5.read'), async (req, res) => {
   try {
-    const { partnerId } = req.params;
-    const { status } = req.body;
+    const { mt5LoginId } = req.params;
+    const { page = 1, limit = 50 } = req.query;
 
-    if (!status) {
+    if (!hasValidTradeHistoryDates(req.query)) {
       return res.status(400).json({
         success: false,
-        error: 'Status is required'
+        error: 'Invalid date range'
       });
     }
 
-    // Validate status
-    const validStatuses = ['active', 'inactive', 'suspended'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
-      });
-    }
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 500);
+    const offset = (pageNum - 1) * limitNum;
 
-    // Check if partner exists
-    const { data: existingPartner, error: checkError } = await supabase
-      .from('partners')
-      .select('id, name, email, status')
-      .eq('id', partnerId)
-      .single();
+    let query = supabase
+      .from('mt5_positions')
+      .select('position_id, type, symbol, volume, open_price, current_price, stop_loss, take_profit, swap, commission, profit, unrealized_profit, realized_profit, magic, comment, opened_at, updated_at, synced_at', { count: 'exact' })
+      .eq('mt5_login_id', mt5LoginId)
+      .order('opened_at', { ascending: false })
+      .range(offset, offset + limitNum - 1);
 
-    if (checkError || !existingPartner) {
-      return res.status(404).json({
-        success: false,
-        error: 'Partner not found'
-      });
-    }
+    query = applyTradeHistoryFilters(query, req.query, 'opened_at');
 
-    // Update status
-    const { data: updatedPartner, error: updateError } = await supabase
-      .from('partners')
-      .update({
-        status,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', partnerId)
-      .select()
-      .single();
+    const { data, error, count } = await query;
 
-    if (updateError) {
-      console.error('Error updating partner status:', updateError);
+    if (error) {
+      console.error('Error fetching MT5 positions:', error);
       return res.status(500).json({
         success: false,
-        error: 'Failed to update partner status',
-        details: updateError.message
+        error: 'Failed to fetch positions'
       });
     }
 
     res.json({
       success: true,
-      message: `Partner status changed from ${existingPartner.status} to ${status}`,
-      data: updatedPartner
+      data: data || [],
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
+      }
     });
 
   } catch (error) {
     console.error('Server error:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error',
-      details: error.message
+      error: 'Internal server error'
     });
   }
 });
 
-// ============================================
-// MT5 LOGIN MANAGEMENT ENDPOINTS
-// ============================================
-
-// Get all MT5 logins for a user
-app.get('/api/users/:userId/mt5-logins', async (req, res) => {
+// Get pending orders for an MT5 login as of the last trade sync (admin)
+// Query: symbol, from/to (placed between), page, limit
+app.get('/api/admin/mt5-logins/:mt5LoginId/orders', authenticateToken, requirePermission('mt5.read'), async (req, res) => {
   try {
-    const { userId } = req.params;
+    const { mt5LoginId } = req.params;
+    const { page = 1, limit = 50 } = req.query;
 
-    const { data, error } = await supabase
-      .from('mt5_logins')
-      .select('id, login, server, is_active, is_primary, created_at, updated_at, metrics, metrics_last_synced, sync_status')
-      .eq('user_id', userId)
-      .order('is_primary', { ascending: false })
-      .order('created_at', { ascending: false });
+    if (!hasValidTradeHistoryDates(req.query)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range'
+      });
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 500);
+    const offset = (pageNum - 1) * limitNum;
+
+    let query = supabase
+      .from('mt5_orders')
+      .select('order_id, type, state, symbol, volume, current_volume, open_price, current_price, stop_loss, take_profit, magic, comment, placed_at, expires_at, synced_at', { count: 'exact' })
+      .eq('mt5_login_id', mt5LoginId)
+      .order('placed_at', { ascending: false })
+      .range(offset, offset + limitNum - 1);
+
+    query = applyTradeHistoryFilters(query, req.query, 'placed_at');
+
+    const { data, error, count } = await query;
 
     if (error) {
-      console.error('Error fetching MT5 logins:', error);
+      console.error('Error fetching MT5 orders:', error);
       return res.status(500).json({
         success: false,
-        error: 'Failed to fetch MT5 logins'
+        error: 'Failed to fetch orders'
       });
     }
 
     res.json({
       success: true,
-      data
+      data: data || [],
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
+      }
     });
 
   } catch (error) {
@@ -2281,315 +9413,302 @@ app.get('/api/users/:userId/mt5-logins', async (req, res) => {
   }
 });
 
-// Add a new MT5 login for a user
-app.post('/api/users/:userId/mt5-logins', async (req, res) => {
+// ============================================
+// CASH FLOW LEDGER ENDPOINTS
+// ============================================
+// Each user's deposits and withdrawals: MT5 balance deals (added by the trade history sync) plus
+// manual entries from admins. Reconciliation compares the funded total with users.investment_amount.
+
+const LEDGER_ENTRY_COLUMNS = 'id, user_id, mt5_login_id, source, deal_id, type, amount, description, occurred_at, created_by, created_at, voided_at, voided_by, void_reason';
+
+// Get a user's ledger and reconciliation status (admin)
+// Query: type, source, from/to (ISO dates), includeVoided, page, limit
+app.get('/api/admin/users/:userId/ledger', authenticateToken, requirePermission('ledger.read'), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { login, password, server, isPrimary } = req.body;
+    const { type, source, from, to, includeVoided, page = 1, limit = 50 } = req.query;
 
-    if (!login || !password || !server) {
+    if (!hasValidTradeHistoryDates(req.query)) {
       return res.status(400).json({
         success: false,
-        error: 'Login, password, and server are required'
+        error: 'Invalid date range'
       });
     }
 
-    // Check if user exists
-    const { data: user } = await supabase
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    const { data: user, error: userError } = await supabase
       .from('users')
-      .select('id')
+      .select('id, full_name, email, investment_amount, funded_amount, reconciliation_status, reconciliation_difference, reconciled_at')
       .eq('id', userId)
       .single();
 
-    if (!user) {
+    if (userError || !user) {
       return res.status(404).json({
         success: false,
         error: 'User not found'
       });
     }
 
-    // Check if MT5 login already exists
-    const { data: existingMT5 } = await supabase
-      .from('mt5_logins')
-      .select('id')
-      .eq('login', login)
-      .eq('server', server)
-      .single();
-
-    if (existingMT5) {
-      return res.status(409).json({
-        success: false,
-        error: 'MT5 login already exists for this server'
-      });
-    }
-
-    // If setting as primary, unset other primary logins for this user
-    if (isPrimary) {
-      await supabase
-        .from('mt5_logins')
-        .update({ is_primary: false })
-        .eq('user_id', userId)
-        .eq('is_primary', true);
-    }
+    let query = supabase
+      .from('cash_flow_ledger')
+      .select(LEDGER_ENTRY_COLUMNS, { count: 'exact' })
+      .eq('user_id', userId)
+      .order('occurred_at', { ascending: false })
+      .range(offset, offset + limitNum - 1);
 
-    // Hash the MT5 password before storing
-    const hashedPassword = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+    if (type) query = query.eq('type', type);
+    if (source) query = query.eq('source', source);
+    if (from) query = query.gte('occurred_at', new Date(from).toISOString());
+    if (to) query = query.lte('occurred_at', new Date(to).toISOString());
+    if (includeVoided !== 'true') query = query.is('voided_at', null);
 
-    const { data, error } = await supabase
-      .from('mt5_logins')
-      .insert([
-        {
-          user_id: userId,
-          login,
-          password: hashedPassword, // Password is now hashed with bcrypt
-          server,
-          is_active: true,
-          is_primary: isPrimary || false
-        }
-      ])
-      .select()
-      .single();
+    const { data, error, count } = await query;
 
     if (error) {
-      console.error('Error creating MT5 login:', error);
+      console.error('Error fetching ledger:', error);
       return res.status(500).json({
         success: false,
-        error: 'Failed to create MT5 login',
-        details: error.message
+        error: 'Failed to fetch ledger'
       });
     }
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'MT5 login added successfully',
-      data
+      data: {
+        user: {
+          id: user.id,
+          fullName: user.full_name,
+          email: user.email
+        },
+        reconciliation: {
+          status: user.reconciliation_status || null,
+          declaredAmount: user.investment_amount,
+          fundedAmount: user.funded_amount,
+          difference: user.reconciliation_difference,
+          tolerancePercent: LEDGER_RECONCILIATION_TOLERANCE_PERCENT,
+          reconciledAt: user.reconciled_at
+        },
+        entries: data || []
+      },
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
+      }
     });
 
   } catch (error) {
     console.error('Server error:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error',
-      details: error.message
+      error: 'Internal server error'
     });
   }
 });
 
-// Get user with MT5 logins
-app.get('/api/users/:userId', async (req, res) => {
+// Add a manual ledger entry, e.g. a wire received outside MT5 (admin)
+app.post('/api/admin/users/:userId/ledger', authenticateToken, requirePermission('ledger.write'), async (req, res) => {
   try {
     const { userId } = req.params;
+    const { type, amount, occurredAt, description, mt5LoginId } = req.body;
 
-    // Get user data
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select(`
-        *,
-        partners (
-          id,
-          name,
-          email,
-          company_name
-        )
-      `)
-      .eq('id', userId)
-      .single();
-
-    if (userError || !user) {
-      return res.status(404).json({
+    if (!['deposit', 'withdrawal'].includes(type)) {
+      return res.status(400).json({
         success: false,
-        error: 'User not found'
+        error: 'Type must be deposit or withdrawal'
       });
     }
 
-    // Get MT5 logins
-    const { data: mt5Logins } = await supabase
-      .from('mt5_logins')
-      .select('id, login, server, is_active, is_primary, created_at, metrics, metrics_last_synced, sync_status')
-      .eq('user_id', userId)
-      .order('is_primary', { ascending: false });
-
-    res.json({
-      success: true,
-      data: {
-        ...user,
-        mt5_logins: mt5Logins || []
-      }
-    });
+    const amountNum = parseFloat(amount);
+    if (isNaN(amountNum) || amountNum <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amount must be a positive number'
+      });
+    }
 
-  } catch (error) {
-    console.error('Server error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
-  }
-});
+    const occurredAtDate = occurredAt ? new Date(occurredAt) : new Date();
+    if (isNaN(occurredAtDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid occurredAt date'
+      });
+    }
 
-// Update MT5 login (admin)
-app.put('/api/admin/mt5-logins/:mt5LoginId', authenticateToken, requireRole('admin', 'super_admin'), async (req, res) => {
-  try {
-    const { mt5LoginId } = req.params;
-    const { login, password, server, isActive, isPrimary } = req.body;
+    if (typeof description !== 'string' || !description.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A description is required for manual entries'
+      });
+    }
 
-    // Check if MT5 login exists
-    const { data: existingMT5, error: checkError } = await supabase
-      .from('mt5_logins')
-      .select('id, user_id, login, server')
-      .eq('id', mt5LoginId)
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, email')
+      .eq('id', userId)
       .single();
 
-    if (checkError || !existingMT5) {
+    if (userError || !user) {
       return res.status(404).json({
         success: false,
-        error: 'MT5 login not found'
+        error: 'User not found'
       });
     }
 
-    // If login or server is being changed, check for duplicates
-    if ((login && login !== existingMT5.login) || (server && server !== existingMT5.server)) {
-      const checkLogin = login || existingMT5.login;
-      const checkServer = server || existingMT5.server;
-
-      const { data: duplicate } = await supabase
+    if (mt5LoginId) {
+      const { data: mt5Login } = await supabase
         .from('mt5_logins')
         .select('id')
-        .eq('login', checkLogin)
-        .eq('server', checkServer)
-        .neq('id', mt5LoginId)
-        .single();
+        .eq('id', mt5LoginId)
+        .eq('user_id', userId)
+        .maybeSingle();
 
-      if (duplicate) {
-        return res.status(409).json({
+      if (!mt5Login) {
+        return res.status(400).json({
           success: false,
-          error: 'MT5 login already exists for this server'
+          error: 'MT5 login does not belong to this user'
         });
       }
     }
 
-    // If setting as primary, unset other primary logins for this user
-    if (isPrimary === true) {
-      await supabase
-        .from('mt5_logins')
-        .update({ is_primary: false })
-        .eq('user_id', existingMT5.user_id)
-        .eq('is_primary', true)
-        .neq('id', mt5LoginId);
-    }
-
-    // Build update object
-    const updateData = {
-      updated_at: new Date().toISOString()
-    };
-
-    if (login !== undefined) updateData.login = login;
-    if (server !== undefined) updateData.server = server;
-    if (isActive !== undefined) updateData.is_active = isActive;
-    if (isPrimary !== undefined) updateData.is_primary = isPrimary;
-
-    // Encrypt password if provided (not hash, so MetaAPI can use it)
-    if (password !== undefined) {
-      updateData.password = encryptMT5Password(password);
-    }
-
-    // Update MT5 login
-    const { data: updatedMT5, error: updateError } = await supabase
-      .from('mt5_logins')
-      .update(updateData)
-      .eq('id', mt5LoginId)
-      .select('id, user_id, login, server, is_active, is_primary, created_at, updated_at')
+    const { data: entry, error: insertError } = await supabase
+      .from('cash_flow_ledger')
+      .insert([
+        {
+          user_id: userId,
+          mt5_login_id: mt5LoginId || null,
+          source: 'manual',
+          type,
+          amount: amountNum,
+          description: description.trim(),
+          occurred_at: occurredAtDate.toISOString(),
+          created_by: req.admin.email
+        }
+      ])
+      .select(LEDGER_ENTRY_COLUMNS)
       .single();
 
-    if (updateError) {
-      console.error('Error updating MT5 login:', updateError);
+    if (insertError) {
+      console.error('Error creating ledger entry:', insertError);
       return res.status(500).json({
         success: false,
-        error: 'Failed to update MT5 login',
-        details: updateError.message
+        error: 'Failed to create ledger entry'
       });
     }
 
-    res.json({
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'ledger_entry_created',
+      'user',
+      userId,
+      { email: user.email, entryId: entry.id, type, amount: amountNum, description: entry.description },
+      req
+    );
+
+    const reconciliation = await reconcileUserLedger(userId);
+
+    res.status(201).json({
       success: true,
-      message: 'MT5 login updated successfully',
-      data: updatedMT5
+      message: 'Ledger entry added',
+      data: {
+        entry,
+        reconciliation
+      }
     });
 
   } catch (error) {
     console.error('Server error:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error',
-      details: error.message
+      error: 'Internal server error'
     });
   }
 });
 
-// Delete MT5 login (admin)
-app.delete('/api/admin/mt5-logins/:mt5LoginId', authenticateToken, requireRole('admin', 'super_admin'), async (req, res) => {
+// Void a manual ledger entry (admin). MT5 entries mirror the broker and can't be voided.
+app.post('/api/admin/users/:userId/ledger/:entryId/void', authenticateToken, requirePermission('ledger.write'), async (req, res) => {
   try {
-    const { mt5LoginId } = req.params;
+    const { userId, entryId } = req.params;
+    const { reason } = req.body;
 
-    // Check if MT5 login exists
-    const { data: existingMT5, error: checkError } = await supabase
-      .from('mt5_logins')
-      .select('id, user_id, login, server, is_primary')
-      .eq('id', mt5LoginId)
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to void an entry'
+      });
+    }
+
+    const { data: entry, error: fetchError } = await supabase
+      .from('cash_flow_ledger')
+      .select(LEDGER_ENTRY_COLUMNS)
+      .eq('id', entryId)
+      .eq('user_id', userId)
       .single();
 
-    if (checkError || !existingMT5) {
+    if (fetchError || !entry) {
       return res.status(404).json({
         success: false,
-        error: 'MT5 login not found'
+        error: 'Ledger entry not found'
       });
     }
 
-    // Check if this is the only MT5 login for the user
-    const { data: userMT5Logins } = await supabase
-      .from('mt5_logins')
-      .select('id')
-      .eq('user_id', existingMT5.user_id);
-
-    if (userMT5Logins && userMT5Logins.length === 1) {
+    if (entry.source !== 'manual') {
       return res.status(400).json({
         success: false,
-        error: 'Cannot delete the only MT5 login for a user. Delete the user instead or add another MT5 login first.'
+        error: 'Only manual entries can be voided'
       });
     }
 
-    // If this is a primary login, set another one as primary
-    if (existingMT5.is_primary && userMT5Logins && userMT5Logins.length > 1) {
-      const otherMT5 = userMT5Logins.find(mt5 => mt5.id !== mt5LoginId);
-      if (otherMT5) {
-        await supabase
-          .from('mt5_logins')
-          .update({ is_primary: true })
-          .eq('id', otherMT5.id);
-      }
-    }
-
-    // Delete the MT5 login
-    const { error: deleteError } = await supabase
-      .from('mt5_logins')
-      .delete()
-      .eq('id', mt5LoginId);
+    const { data: voidedEntry, error: updateError } = await supabase
+      .from('cash_flow_ledger')
+      .update({
+        voided_at: new Date().toISOString(),
+        voided_by: req.admin.email,
+        void_reason: reason.trim()
+      })
+      .eq('id', entryId)
+      .is('voided_at', null)
+      .select(LEDGER_ENTRY_COLUMNS)
+      .maybeSingle();
 
-    if (deleteError) {
-      console.error('Error deleting MT5 login:', deleteError);
+    if (updateError) {
+      console.error('Error voiding ledger entry:', updateError);
       return res.status(500).json({
         success: false,
-        error: 'Failed to delete MT5 login',
-        details: deleteError.message
+        error: 'Failed to void ledger entry'
+      });
+    }
+
+    if (!voidedEntry) {
+      return res.status(409).json({
+        success: false,
+        error: 'Ledger entry is already voided'
       });
     }
 
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'ledger_entry_voided',
+      'user',
+      userId,
+      { entryId, type: entry.type, amount: entry.amount, reason: reason.trim() },
+      req
+    );
+
+    const reconciliation = await reconcileUserLedger(userId);
+
     res.json({
       success: true,
-      message: `MT5 login ${existingMT5.login} deleted successfully`,
-      deletedMT5: {
-        id: existingMT5.id,
-        login: existingMT5.login,
-        server: existingMT5.server
+      message: 'Ledger entry voided',
+      data: {
+        entry: voidedEntry,
+        reconciliation
       }
     });
 
@@ -2597,137 +9716,110 @@ app.delete('/api/admin/mt5-logins/:mt5LoginId', authenticateToken, requireRole('
     console.error('Server error:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error',
-      details: error.message
+      error: 'Internal server error'
     });
   }
 });
 
-// ============================================
-// MT5 METRICS SYNC ENDPOINTS
-// ============================================
-
-// Sync MT5 metrics (admin)
-app.post('/api/admin/mt5-logins/:mt5LoginId/sync-metrics', authenticateToken, requireRole('admin', 'super_admin'), async (req, res) => {
+// Rebuild a user's ledger from stored MT5 deals and reconcile now (admin)
+app.post('/api/admin/users/:userId/ledger/reconcile', authenticateToken, requirePermission('ledger.write'), async (req, res) => {
   try {
-    const { mt5LoginId } = req.params;
-
-    if (!metaApi) {
-      return res.status(503).json({
-        success: false,
-        error: 'MetaAPI service not configured. Please contact administrator.'
-      });
-    }
+    const { userId } = req.params;
 
-    // Check if MT5 login exists
-    const { data: mt5Login, error: checkError } = await supabase
+    const { data: mt5Logins, error: loginsError } = await supabase
       .from('mt5_logins')
-      .select('id, login, server, sync_status')
-      .eq('id', mt5LoginId)
-      .single();
+      .select('id, user_id')
+      .eq('user_id', userId);
 
-    if (checkError || !mt5Login) {
-      return res.status(404).json({
+    if (loginsError) {
+      console.error('Error fetching MT5 logins:', loginsError);
+      return res.status(500).json({
         success: false,
-        error: 'MT5 login not found'
+        error: 'Failed to fetch MT5 logins'
       });
     }
 
-    // Check if already syncing
-    if (mt5Login.sync_status === 'syncing') {
-      return res.status(409).json({
-        success: false,
-        error: 'Metrics sync already in progress'
-      });
+    let entriesAdded = 0;
+    for (const mt5Login of mt5Logins || []) {
+      entriesAdded += await syncLedgerFromMT5Deals(mt5Login);
     }
 
-    // Log the sync action
-    if (req.admin) {
-      await logAdminAction(
-        req.admin.id,
-        req.admin.email,
-        'mt5_metrics_sync',
-        'mt5_login',
-        mt5LoginId,
-        { login: mt5Login.login, server: mt5Login.server },
-        req
-      );
+    let reconciliation;
+    try {
+      reconciliation = await reconcileUserLedger(userId);
+    } catch (reconcileError) {
+      if (reconcileError.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+      throw reconcileError;
     }
 
-    // Set initial status to syncing
-    await supabase
-      .from('mt5_logins')
-      .update({ 
-        sync_status: 'syncing',
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', mt5LoginId);
-
-    // Sync metrics in background
-    syncMT5Metrics(mt5LoginId)
-      .then((result) => {
-        console.log(`✓ Metrics synced successfully for MT5 login ${mt5Login.login}`);
-      })
-      .catch((error) => {
-        console.error(`✗ Failed to sync metrics for MT5 login ${mt5Login.login}:`, error.message);
-      });
-
     res.json({
       success: true,
-      message: 'Metrics sync started',
+      message: 'Ledger reconciled',
       data: {
-        mt5LoginId,
-        status: 'syncing'
+        entriesAdded,
+        reconciliation
       }
     });
 
   } catch (error) {
-    console.error('Error starting metrics sync:', error);
+    console.error('Server error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to start metrics sync',
-      details: error.message
+      error: 'Internal server error'
     });
   }
 });
 
-// Get MT5 metrics (admin)
-app.get('/api/admin/mt5-logins/:mt5LoginId/metrics', authenticateToken, requireRole('admin', 'super_admin', 'viewer'), async (req, res) => {
+// List users by reconciliation status, e.g. ?status=mismatch to find funding gaps (admin)
+app.get('/api/admin/reconciliation', authenticateToken, requirePermission('ledger.read'), async (req, res) => {
   try {
-    const { mt5LoginId } = req.params;
+    const { status, partnerId, page = 1, limit = 50 } = req.query;
 
-    const { data: mt5Login, error } = await supabase
-      .from('mt5_logins')
-      .select('id, login, server, metrics, metrics_last_synced, sync_status, is_active')
-      .eq('id', mt5LoginId)
-      .single();
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
 
-    if (error || !mt5Login) {
-      return res.status(404).json({
+    let query = supabase
+      .from('users')
+      .select('id, full_name, email, partner_id, status, investment_amount, funded_amount, reconciliation_status, reconciliation_difference, reconciled_at', { count: 'exact' })
+      .order('reconciled_at', { ascending: false, nullsFirst: false })
+      .range(offset, offset + limitNum - 1);
+
+    if (status) query = query.eq('reconciliation_status', status);
+    if (partnerId) query = query.eq('partner_id', partnerId);
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error('Error fetching reconciliation status:', error);
+      return res.status(500).json({
         success: false,
-        error: 'MT5 login not found'
+        error: 'Failed to fetch reconciliation status'
       });
     }
 
     res.json({
       success: true,
-      data: {
-        id: mt5Login.id,
-        login: mt5Login.login,
-        server: mt5Login.server,
-        metrics: mt5Login.metrics || null,
-        metricsLastSynced: mt5Login.metrics_last_synced,
-        syncStatus: mt5Login.sync_status,
-        isActive: mt5Login.is_active
+      data: data || [],
+      tolerancePercent: LEDGER_RECONCILIATION_TOLERANCE_PERCENT,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
       }
     });
 
   } catch (error) {
-    console.error('Error fetching MT5 metrics:', error);
+    console.error('Server error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch metrics',
-      details: error.message
+      error: 'Internal server error'
     });
   }
 });
@@ -2737,13 +9829,14 @@ app.get('/api/admin/mt5-logins/:mt5LoginId/metrics', authenticateToken, requireR
 // ============================================
 
 // Get all users (admin)
-app.get('/api/admin/users', async (req, res) => {
+app.get('/api/admin/users', authenticateToken, requirePermission('users.read'), async (req, res) => {
   try {
     const { 
       page = 1, 
       limit = 50, 
       status, 
       partnerId,
+      termsReviewStatus,
       search 
     } = req.query;
 
@@ -2774,6 +9867,10 @@ app.get('/api/admin/users', async (req, res) => {
       query = query.eq('partner_id', partnerId);
     }
 
+    if (termsReviewStatus) {
+      query = query.eq('terms_review_status', termsReviewStatus);
+    }
+
     if (search) {
       query = query.or(`full_name.ilike.%${search}%,email.ilike.%${search}%,phone.ilike.%${search}%`);
     }
@@ -2790,7 +9887,7 @@ app.get('/api/admin/users', async (req, res) => {
 
     res.json({
       success: true,
-      data: data || [],
+      data: (data || []).map(omitPassword),
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -2809,7 +9906,7 @@ app.get('/api/admin/users', async (req, res) => {
 });
 
 // Get all users with MT5 accounts (admin)
-app.get('/api/admin/users/with-mt5', async (req, res) => {
+app.get('/api/admin/users/with-mt5', authenticateToken, requirePermission('users.read', 'mt5.read'), async (req, res) => {
   try {
     const { page = 1, limit = 50 } = req.query;
 
@@ -2853,7 +9950,7 @@ app.get('/api/admin/users/with-mt5', async (req, res) => {
 
     res.json({
       success: true,
-      data: users || [],
+      data: (users || []).map(omitPassword),
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -2872,7 +9969,7 @@ app.get('/api/admin/users/with-mt5', async (req, res) => {
 });
 
 // Get all partners with their users (admin)
-app.get('/api/admin/partners/with-users', async (req, res) => {
+app.get('/api/admin/partners/with-users', authenticateToken, requirePermission('partners.read', 'users.read'), async (req, res) => {
   try {
     const { status } = req.query;
 
@@ -2909,7 +10006,7 @@ app.get('/api/admin/partners/with-users', async (req, res) => {
 
     // Transform data to include user count
     const partnersWithStats = (data || []).map(partner => ({
-      ...partner,
+      ...omitPassword(partner),
       user_count: partner.users?.length || 0,
       total_investment: partner.users?.reduce((sum, user) => sum + parseFloat(user.investment_amount || 0), 0) || 0
     }));
@@ -2929,7 +10026,7 @@ app.get('/api/admin/partners/with-users', async (req, res) => {
 });
 
 // Get dashboard statistics (admin)
-app.get('/api/admin/dashboard/stats', async (req, res) => {
+app.get('/api/admin/dashboard/stats', authenticateToken, requirePermission('dashboard.read'), async (req, res) => {
   try {
     // Get total users
     const { count: totalUsers } = await supabase
@@ -3001,7 +10098,7 @@ app.get('/api/admin/dashboard/stats', async (req, res) => {
 });
 
 // Update user details (admin)
-app.put('/api/admin/users/:userId', authenticateToken, requireRole('admin', 'super_admin'), async (req, res) => {
+app.put('/api/admin/users/:userId', authenticateToken, requirePermission('users.write'), async (req, res) => {
   try {
     const { userId } = req.params;
     const {
@@ -3018,7 +10115,7 @@ app.put('/api/admin/users/:userId', authenticateToken, requireRole('admin', 'sup
     // Check if user exists
     const { data: existingUser, error: checkError } = await supabase
       .from('users')
-      .select('id, email')
+      .select('id, email, full_name, status, password, terms_review_status')
       .eq('id', userId)
       .single();
 
@@ -3029,6 +10126,14 @@ app.put('/api/admin/users/:userId', authenticateToken, requireRole('admin', 'sup
       });
     }
 
+    const termsActivationError = status === 'active' ? getTermsActivationError(existingUser) : null;
+    if (termsActivationError) {
+      return res.status(400).json({
+        success: false,
+        error: termsActivationError
+      });
+    }
+
     // If email is being changed, check if new email already exists
     if (email && email !== existingUser.email) {
       const { data: emailExists } = await supabase
@@ -3108,10 +10213,27 @@ app.put('/api/admin/users/:userId', authenticateToken, requireRole('admin', 'sup
       });
     }
 
+    // The declared amount is what the ledger is reconciled against
+    if (investmentAmount !== undefined) {
+      try {
+        await reconcileUserLedger(userId);
+      } catch (reconcileError) {
+        console.error('Error reconciling ledger after investment amount change:', reconcileError);
+      }
+    }
+
+    // On approval, email the investor a set-password link if they didn't set one at signup
+    let passwordSetupEmailSent = false;
+    if (status === 'active' && existingUser.status !== 'active' && !existingUser.password) {
+      const emailResult = await sendInvestorPasswordSetupLink(updatedUser);
+      passwordSetupEmailSent = emailResult.success;
+    }
+
     res.json({
       success: true,
       message: 'User updated successfully',
-      data: updatedUser
+      data: omitPassword(updatedUser),
+      passwordSetupEmailSent
     });
 
   } catch (error) {
@@ -3125,7 +10247,7 @@ app.put('/api/admin/users/:userId', authenticateToken, requireRole('admin', 'sup
 });
 
 // Delete user (admin)
-app.delete('/api/admin/users/:userId', authenticateToken, requireRole('admin', 'super_admin'), async (req, res) => {
+app.delete('/api/admin/users/:userId', authenticateToken, requirePermission('users.delete'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { cascade } = req.query; // Option to cascade delete related data
@@ -3225,7 +10347,7 @@ app.delete('/api/admin/users/:userId', authenticateToken, requireRole('admin', '
 });
 
 // Update user status (admin - quick status change)
-app.patch('/api/admin/users/:userId/status', authenticateToken, requireRole('admin', 'super_admin'), async (req, res) => {
+app.patch('/api/admin/users/:userId/status', authenticateToken, requirePermission('users.write'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { status } = req.body;
@@ -3249,7 +10371,7 @@ app.patch('/api/admin/users/:userId/status', authenticateToken, requireRole('adm
     // Check if user exists
     const { data: existingUser, error: checkError } = await supabase
       .from('users')
-      .select('id, full_name, email, status')
+      .select('id, full_name, email, status, password, terms_review_status')
       .eq('id', userId)
       .single();
 
@@ -3260,6 +10382,14 @@ app.patch('/api/admin/users/:userId/status', authenticateToken, requireRole('adm
       });
     }
 
+    const termsActivationError = status === 'active' ? getTermsActivationError(existingUser) : null;
+    if (termsActivationError) {
+      return res.status(400).json({
+        success: false,
+        error: termsActivationError
+      });
+    }
+
     // Update status
     const { data: updatedUser, error: updateError } = await supabase
       .from('users')
@@ -3280,10 +10410,159 @@ app.patch('/api/admin/users/:userId/status', authenticateToken, requireRole('adm
       });
     }
 
+    // On approval, email the investor a set-password link if they didn't set one at signup
+    let passwordSetupEmailSent = false;
+    if (status === 'active' && existingUser.status !== 'active' && !existingUser.password) {
+      const emailResult = await sendInvestorPasswordSetupLink(existingUser);
+      passwordSetupEmailSent = emailResult.success;
+    }
+
     res.json({
       success: true,
       message: `User status changed from ${existingUser.status} to ${status}`,
-      data: updatedUser
+      data: omitPassword(updatedUser),
+      passwordSetupEmailSent
+    });
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Approve or reject investment terms that deviated from the invitation (admin)
+app.post('/api/admin/users/:userId/terms-review', authenticateToken, requirePermission('users.write'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { decision, notes } = req.body;
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Decision must be approved or rejected'
+      });
+    }
+
+    const { data: existingUser, error: checkError } = await supabase
+      .from('users')
+      .select('id, email, investment_amount, terms_review_status, terms_deviation')
+      .eq('id', userId)
+      .single();
+
+    if (checkError || !existingUser) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (existingUser.terms_review_status !== 'pending_review') {
+      return res.status(400).json({
+        success: false,
+        error: 'This user has no terms awaiting review'
+      });
+    }
+
+    const { data: updatedUser, error: updateError } = await supabase
+      .from('users')
+      .update({
+        terms_review_status: decision,
+        terms_reviewed_by: req.admin.email,
+        terms_reviewed_at: new Date().toISOString(),
+        terms_review_notes: notes || null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', userId)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error('Error saving terms review:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to save terms review'
+      });
+    }
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'user_terms_review',
+      'user',
+      userId,
+      { email: existingUser.email, decision, deviation: existingUser.terms_deviation, notes: notes || null },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: `Investment terms ${decision}`,
+      data: omitPassword(updatedUser)
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Resend investor set-password link (admin)
+app.post('/api/admin/users/:userId/send-password-setup', authenticateToken, requirePermission('users.write'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, full_name, email, status')
+      .eq('id', userId)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        error: 'User must be approved (active) before a set-password link can be sent'
+      });
+    }
+
+    const emailResult = await sendInvestorPasswordSetupLink(user);
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'user_password_setup_sent',
+      'user',
+      user.id,
+      { email: user.email, emailSent: emailResult.success },
+      req
+    );
+
+    if (!emailResult.success && !emailResult.queued) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to send set-password email',
+        details: emailResult.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: emailResult.success
+        ? `Set-password link sent to ${user.email}`
+        : `Email to ${user.email} could not be sent yet and will be retried automatically`,
+      emailQueued: !!emailResult.queued
     });
 
   } catch (error) {
@@ -3305,188 +10584,539 @@ function generateInviteToken() {
   return crypto.randomBytes(32).toString('hex');
 }
 
+// Helper function to check an invite can still be used (returns an error message, or null if usable).
+// Invites past expires_at are treated as expired even before the invite-expiry job updates their status.
+function getInviteUnusableReason(invite) {
+  if (invite.status === 'used') {
+    return 'This invitation has already been used.';
+  }
+
+  if (invite.status === 'revoked') {
+    return 'This invitation has been revoked. Please contact support.';
+  }
+
+  if (invite.status === 'expired' || new Date(invite.expires_at) < new Date()) {
+    return 'This invitation has expired. Please contact support for a new one.';
+  }
+
+  if (invite.status !== 'pending') {
+    return 'This invitation is not valid. Status: ' + invite.status;
+  }
+
+  return null;
+}
+
+// Helper function to build the signup link for an invite.
+// Terms are not put in the link; signup reads them from the invite record.
+function buildInviteLink(invite) {
+  // Get frontend URL for invite links (use production URL for invites)
+  const inviteFrontendUrl = process.env.INVITE_FRONTEND_URL || process.env.FRONTEND_URL || 'https://baessolutions.com';
+  return `${inviteFrontendUrl}/signup?invite=${invite.token}`;
+}
+
+// Helper function to get the allowed investment range of an invite (older invites only have investment_amount)
+function getInviteInvestmentRange(invite) {
+  return {
+    min: parseFloat(invite.investment_amount_min ?? invite.investment_amount),
+    max: parseFloat(invite.investment_amount_max ?? invite.investment_amount)
+  };
+}
+
+// Helper function to get why a user's investment terms prevent activation (null if they don't).
+// Only terms that needed no review or were approved allow it; users from before terms review have no status.
+function getTermsActivationError(user) {
+  const termsStatus = user.terms_review_status || 'not_required';
+
+  if (termsStatus === 'not_required' || termsStatus === 'approved') {
+    return null;
+  }
+
+  if (termsStatus === 'rejected') {
+    return 'This user\'s investment terms were rejected in review and the account cannot be activated.';
+  }
+
+  return 'This user signed up with terms outside their invitation. Review the terms before activating.';
+}
+
+// Helper function to describe how a submitted investment amount deviates from the invite (null if it doesn't)
+function getInviteTermsDeviation(invite, investmentAmount) {
+  const range = getInviteInvestmentRange(invite);
+
+  if (investmentAmount >= range.min && investmentAmount <= range.max) {
+    return null;
+  }
+
+  return {
+    field: 'investment_amount',
+    submitted: investmentAmount,
+    allowedMin: range.min,
+    allowedMax: range.max,
+    invitedAmount: parseFloat(invite.investment_amount)
+  };
+}
+
+// Helper function to validate invite fields; returns the list of problems and the parsed values
+function validateInviteFields({ email, investmentAmount, investmentAmountMin, investmentAmountMax, profitSharing }) {
+  const errors = [];
+  const isBlank = (value) => value === undefined || value === null || value === '';
+
+  if (isBlank(email) || isBlank(investmentAmount) || isBlank(profitSharing)) {
+    errors.push('Email, investment amount, and profit sharing are required');
+    return { errors, values: null };
+  }
+
+  // Validate email format
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    errors.push('Invalid email format');
+  }
+
+  // Validate profit sharing (0-100)
+  const profitSharingNum = parseFloat(profitSharing);
+  if (isNaN(profitSharingNum) || profitSharingNum < 0 || profitSharingNum > 100) {
+    errors.push('Profit sharing must be between 0 and 100');
+  }
+
+  // Investment range the investor may sign up with; defaults to exactly the invited amount
+  const investmentAmountNum = parseFloat(investmentAmount);
+  const investmentAmountMinNum = isBlank(investmentAmountMin) ? investmentAmountNum : parseFloat(investmentAmountMin);
+  const investmentAmountMaxNum = isBlank(investmentAmountMax) ? investmentAmountNum : parseFloat(investmentAmountMax);
+
+  if ([investmentAmountNum, investmentAmountMinNum, investmentAmountMaxNum].some(isNaN) ||
+      investmentAmountMinNum > investmentAmountNum || investmentAmountNum > investmentAmountMaxNum) {
+    errors.push('Investment amount must be a number between the minimum and maximum investment amounts');
+  }
+
+  return {
+    errors,
+    values: errors.length > 0 ? null : {
+      email: String(email).trim(),
+      investmentAmount: investmentAmountNum,
+      investmentAmountMin: investmentAmountMinNum,
+      investmentAmountMax: investmentAmountMaxNum,
+      profitSharing: profitSharingNum
+    }
+  };
+}
+
+// Helper function to build the invites row to insert
+function buildInviteRecord(values, partnerId, createdBy) {
+  return {
+    email: values.email,
+    investment_amount: values.investmentAmount,
+    investment_amount_min: values.investmentAmountMin,
+    investment_amount_max: values.investmentAmountMax,
+    profit_sharing: values.profitSharing,
+    partner_id: partnerId,
+    token: generateInviteToken(),
+    status: 'pending',
+    expires_at: new Date(Date.now() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    created_by: createdBy
+  };
+}
+
+// Helper function to parse CSV text into an array of rows (RFC 4180 quoting)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Helper function to parse CSV text with a header line into objects keyed by header
+function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const keys = header.map(cell => cell.trim());
+  return rows.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? '').trim()])));
+}
+
+// Helper function to map a bulk invite row (CSV headers or JSON keys, any casing) to invite fields
+function normalizeBulkInviteRow(raw) {
+  const byKey = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    byKey[key.toLowerCase().replace(/[^a-z]/g, '')] = typeof value === 'string' ? value.trim() : value;
+  }
+
+  // Spreadsheets often export amounts as "$100,000"
+  const amount = (value) => typeof value === 'string' ? value.replace(/[$,\s]/g, '') : value;
+
+  return {
+    email: byKey.email,
+    investmentAmount: amount(byKey.investmentamount ?? byKey.amount),
+    investmentAmountMin: amount(byKey.investmentamountmin ?? byKey.minamount),
+    investmentAmountMax: amount(byKey.investmentamountmax ?? byKey.maxamount),
+    profitSharing: byKey.profitsharing,
+    partner: byKey.partnerid ?? byKey.partneremail ?? byKey.partner
+  };
+}
+
+// Helper function to queue the invite email (also used for resends, so the link and token stay the same)
+async function sendInviteEmail(invite, options) {
+  const result = await queueTemplatedEmail(invite.email, 'investor_invite', {
+    inviteLink: buildInviteLink(invite),
+    investmentAmount: parseFloat(invite.investment_amount).toLocaleString(),
+    profitSharing: invite.profit_sharing,
+    expiryDays: Math.max(1, Math.ceil((new Date(invite.expires_at).getTime() - Date.now()) / (24 * 60 * 60 * 1000)))
+  }, { inviteId: invite.id }, options);
+
+  await supabase
+    .from('invites')
+    .update({
+      last_sent_at: new Date().toISOString(),
+      send_count: (invite.send_count || 0) + 1
+    })
+    .eq('id', invite.id);
+
+  return result;
+}
+
 // Create invite and send email
-app.post('/api/admin/invites', async (req, res) => {
+app.post('/api/admin/invites', authenticateToken, requirePermission('invites.create'), async (req, res) => {
   try {
-    const { email, investmentAmount, profitSharing, partnerId } = req.body;
+    const { email, investmentAmount, investmentAmountMin, investmentAmountMax, profitSharing, partnerId } = req.body;
 
     if (!email || !investmentAmount || profitSharing === undefined || !partnerId) {
       return res.status(400).json({
         success: false,
-        error: 'Email, investment amount, profit sharing, and partner selection are required'
+        error: 'Email, investment amount, profit sharing, and partner selection are required'
+      });
+    }
+
+    // Validate partner exists
+    const { data: partner, error: partnerError } = await supabase
+      .from('partners')
+      .select('id, name, email')
+      .eq('id', partnerId)
+      .single();
+
+    if (partnerError || !partner) {
+      console.error('Partner validation error:', partnerError);
+      return res.status(404).json({
+        success: false,
+        error: 'Selected partner not found',
+        details: partnerError?.message
+      });
+    }
+
+    const { errors: validationErrors, values } = validateInviteFields({
+      email, investmentAmount, investmentAmountMin, investmentAmountMax, profitSharing
+    });
+
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: validationErrors[0]
+      });
+    }
+
+    // Create invite in database
+    const { data: invite, error: inviteError } = await supabase
+      .from('invites')
+      .insert([buildInviteRecord(values, partnerId, req.admin.email)])
+      .select()
+      .single();
+
+    if (inviteError) {
+      console.error('Error creating invite:', inviteError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create invite',
+        details: inviteError.message
+      });
+    }
+
+    // Send email with invite link
+    console.log(`Attempting to send invite email to ${email}...`);
+    const inviteLink = buildInviteLink(invite);
+    const emailResult = await sendInviteEmail(invite);
+    const emailSent = emailResult.success;
+    const emailError = emailResult.error;
+
+    // Return response with email status
+    res.status(201).json({
+      success: true,
+      message: emailSent 
+        ? 'Invite created and email sent successfully' 
+        : emailResult.queued
+          ? 'Invite created successfully; the email could not be sent yet and will be retried automatically'
+          : 'Invite created successfully, but email could not be sent',
+      data: {
+        invite,
+        inviteLink,
+        emailSent,
+        emailQueued: !!emailResult.queued,
+        emailOutboxId: emailResult.outboxId || null,
+        emailError: emailError || null,
+      },
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message,
+    });
+  }
+});
+
+// Bulk create invites from CSV or JSON rows
+// Accepts text/csv, or JSON { csv } / { rows }; dryRun validates and previews without creating anything
+app.post('/api/admin/invites/bulk', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), authenticateToken, requirePermission('invites.create'), async (req, res) => {
+  try {
+    const body = typeof req.body === 'string' ? { csv: req.body } : (req.body || {});
+    const dryRun = body.dryRun === true || req.query.dryRun === 'true';
+    const skipInvalid = body.skipInvalid === true || req.query.skipInvalid === 'true';
+    const defaultPartner = body.partnerId || req.query.partnerId || null;
+
+    let rawRows;
+    if (Array.isArray(body.rows)) {
+      rawRows = body.rows;
+    } else if (typeof body.csv === 'string') {
+      try {
+        rawRows = parseCsvRecords(body.csv);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: parseError.message
+        });
+      }
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide invites as CSV text or a rows array'
       });
     }
 
-    // Validate partner exists
-    const { data: partner, error: partnerError } = await supabase
-      .from('partners')
-      .select('id, name, email')
-      .eq('id', partnerId)
-      .single();
-
-    if (partnerError || !partner) {
-      console.error('Partner validation error:', partnerError);
-      return res.status(404).json({
+    if (rawRows.length === 0) {
+      return res.status(400).json({
         success: false,
-        error: 'Selected partner not found',
-        details: partnerError?.message
+        error: 'No invite rows found'
       });
     }
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    if (rawRows.length > BULK_INVITE_MAX_ROWS) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid email format'
+        error: `A bulk upload can contain at most ${BULK_INVITE_MAX_ROWS} invites`
       });
     }
 
-    // Validate profit sharing (0-100)
-    const profitSharingNum = parseFloat(profitSharing);
-    if (isNaN(profitSharingNum) || profitSharingNum < 0 || profitSharingNum > 100) {
-      return res.status(400).json({
+    // Partners can be referenced by id, email or name
+    const { data: partners, error: partnersError } = await supabase
+      .from('partners')
+      .select('id, name, email');
+
+    if (partnersError) {
+      console.error('Error fetching partners:', partnersError);
+      return res.status(500).json({
         success: false,
-        error: 'Profit sharing must be between 0 and 100'
+        error: 'Failed to load partners'
       });
     }
 
-    // Generate unique token
-    const token = generateInviteToken();
-    
-    // Get frontend URL for invite links (use production URL for invites)
-    const inviteFrontendUrl = process.env.INVITE_FRONTEND_URL || process.env.FRONTEND_URL || 'https://baessolutions.com';
-    const inviteLink = `${inviteFrontendUrl}/signup?invite=${token}&profitSharing=${profitSharingNum}`;
+    const findPartner = (reference) => {
+      if (reference === undefined || reference === null || reference === '') return null;
+      const needle = String(reference).trim().toLowerCase();
+      return partners.find(p => String(p.id).toLowerCase() === needle) ||
+        partners.find(p => p.email && p.email.toLowerCase() === needle) ||
+        partners.find(p => p.name && p.name.trim().toLowerCase() === needle) ||
+        null;
+    };
 
-    // Create invite in database
-    const { data: invite, error: inviteError } = await supabase
-      .from('invites')
-      .insert([
-        {
-          email,
-          investment_amount: parseFloat(investmentAmount),
-          profit_sharing: profitSharingNum,
-          partner_id: partnerId,
-          token,
-          status: 'pending',
-          expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days
-          created_by: req.headers['x-admin-email'] || 'admin'
+    const rows = rawRows.map(normalizeBulkInviteRow);
+
+    // Pending invites that already exist for these emails are reported, not blocked.
+    // Stored emails keep their original casing, so match case-insensitively.
+    const emails = [...new Set(rows.map(row => String(row.email || '').trim().toLowerCase()).filter(Boolean))];
+    const { data: pendingInvites } = emails.length > 0
+      ? await supabase
+          .from('invites')
+          .select('id, email')
+          .eq('status', 'pending')
+          .or(emails.map(email => `email.ilike.${JSON.stringify(email.replace(/[\\%_]/g, '\\$&'))}`).join(','))
+      : { data: [] };
+    const pendingEmails = new Set((pendingInvites || []).map(invite => invite.email.toLowerCase()));
+
+    const seenEmails = new Set();
+    const report = rows.map((row, index) => {
+      const { errors, values } = validateInviteFields(row);
+      const warnings = [];
+      const partnerReference = row.partner || defaultPartner;
+      const partner = findPartner(partnerReference);
+
+      if (!partnerReference) {
+        errors.push('Partner is required');
+      } else if (!partner) {
+        errors.push(`Partner "${partnerReference}" not found`);
+      }
+
+      const normalizedEmail = String(row.email || '').trim().toLowerCase();
+      if (normalizedEmail) {
+        if (seenEmails.has(normalizedEmail)) {
+          errors.push('Duplicate email in this upload');
         }
-      ])
-      .select()
-      .single();
+        seenEmails.add(normalizedEmail);
 
-    if (inviteError) {
-      console.error('Error creating invite:', inviteError);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to create invite',
-        details: inviteError.message
+        if (pendingEmails.has(normalizedEmail)) {
+          warnings.push('A pending invite already exists for this email');
+        }
+      }
+
+      return {
+        row: index + 1,
+        email: row.email || null,
+        status: errors.length > 0 ? 'invalid' : 'valid',
+        errors,
+        warnings,
+        partner: partner ? { id: partner.id, name: partner.name } : null,
+        values
+      };
+    });
+
+    const validRows = report.filter(entry => entry.status === 'valid');
+    const invalidCount = report.length - validRows.length;
+
+    const buildSummary = () => ({
+      total: report.length,
+      valid: validRows.length,
+      invalid: invalidCount,
+      created: report.filter(entry => entry.status === 'created').length,
+      failed: report.filter(entry => entry.status === 'failed').length,
+      emailsSent: report.filter(entry => entry.emailSent).length,
+      emailsQueued: report.filter(entry => entry.emailQueued).length
+    });
+    const toResult = ({ values, ...entry }) => ({
+      ...entry,
+      investmentAmount: values?.investmentAmount ?? null,
+      investmentAmountMin: values?.investmentAmountMin ?? null,
+      investmentAmountMax: values?.investmentAmountMax ?? null,
+      profitSharing: values?.profitSharing ?? null
+    });
+
+    if (dryRun || (invalidCount > 0 && !skipInvalid) || validRows.length === 0) {
+      const rejected = !dryRun;
+      return res.status(rejected ? 400 : 200).json({
+        success: !rejected,
+        ...(rejected ? { error: 'Some rows are invalid; no invites were created. Fix them or set skipInvalid to create the valid rows.' } : {}),
+        message: dryRun ? 'Dry run complete; no invites were created' : undefined,
+        data: {
+          dryRun,
+          summary: buildSummary(),
+          results: report.map(toResult)
+        }
       });
     }
 
-    // Send email with invite link
-    let emailSent = false;
-    let emailError = null;
-
-    if (sendGridApiKey) {
-      try {
-        console.log(`Attempting to send invite email to ${email}...`);
-        const emailBody = `
-          <html>
-            <body style="font-family: Arial, sans-serif; padding: 20px; background-color: #f5f5f5;">
-              <div style="max-width: 600px; margin: 0 auto; background-color: white; padding: 30px; border-radius: 8px;">
-                <h2 style="color: #333; margin-bottom: 20px;">Welcome to BAES Solutions</h2>
-                <p style="color: #666; line-height: 1.6;">
-                  You have been invited to join BAES Solutions. Please use the link below to complete your registration.
-                </p>
-                <div style="background-color: #f9f9f9; padding: 20px; border-radius: 4px; margin: 20px 0;">
-                  <p style="margin: 5px 0; color: #333;"><strong>Investment Amount:</strong> $${parseFloat(investmentAmount).toLocaleString()}</p>
-                  <p style="margin: 5px 0; color: #333;"><strong>Profit Sharing:</strong> ${profitSharingNum}%</p>
-                </div>
-                <div style="text-align: center; margin: 30px 0;">
-                  <a href="${inviteLink}" 
-                     style="display: inline-block; background-color: #0066cc; color: white; padding: 12px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">
-                    Complete Registration
-                  </a>
-                </div>
-                <p style="color: #999; font-size: 12px; margin-top: 30px;">
-                  This invite link will expire in 30 days. If you didn't request this invitation, please ignore this email.
-                </p>
-                <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
-                <p style="color: #666; font-size: 12px;">BAES Solutions LLC</p>
-              </div>
-            </body>
-          </html>
-        `;
-
-        const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${sendGridApiKey}`,
-          },
-          body: JSON.stringify({
-            personalizations: [
-              {
-                to: [{ email }],
-                subject: 'Invitation to Join BAES Solutions',
-              },
-            ],
-            from: {
-              email: sendGridFromEmail,
-            },
-            content: [
-              {
-                type: 'text/html',
-                value: emailBody,
-              },
-            ],
-          }),
-        });
+    // Create all valid invites in one insert
+    const records = validRows.map(entry => buildInviteRecord(entry.values, entry.partner.id, req.admin.email));
+    const { data: invites, error: insertError } = await supabase
+      .from('invites')
+      .insert(records)
+      .select();
 
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error('SendGrid API error:', {
-            status: response.status,
-            statusText: response.statusText,
-            body: errorText,
-            email: email,
-            fromEmail: sendGridFromEmail,
-          });
-          emailError = `SendGrid API error: ${response.status} ${response.statusText} - ${errorText}`;
-          throw new Error(emailError);
+    if (insertError || !invites) {
+      console.error('Error creating bulk invites:', insertError);
+      validRows.forEach(entry => {
+        entry.status = 'failed';
+        entry.errors.push('Failed to create invite');
+      });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create invites',
+        details: insertError?.message,
+        data: {
+          dryRun,
+          summary: buildSummary(),
+          results: report.map(toResult)
         }
+      });
+    }
 
-        emailSent = true;
-        console.log(`✓ Invite email successfully sent to ${email}`);
-      } catch (emailError) {
-        console.error('Error sending invite email via SendGrid:', {
-          error: emailError.message,
-          stack: emailError.stack,
-          email: email,
-          sendGridConfigured: !!sendGridApiKey,
-          fromEmail: sendGridFromEmail,
-        });
-        emailError = emailError.message || 'Unknown error sending email';
+    const invitesByToken = new Map(invites.map(invite => [invite.token, invite]));
+    for (let i = 0; i < validRows.length; i++) {
+      const entry = validRows[i];
+      const invite = invitesByToken.get(records[i].token);
+
+      if (!invite) {
+        entry.status = 'failed';
+        entry.errors.push('Failed to create invite');
+        continue;
       }
-    } else {
-      console.warn('SendGrid API key not configured. Invite email not sent.');
-      emailError = 'SendGrid API key not configured';
+
+      // The outbox job delivers these so a large upload doesn't wait on the email provider
+      const emailResult = await sendInviteEmail(invite, { deferDelivery: true });
+      entry.status = 'created';
+      entry.inviteId = invite.id;
+      entry.inviteLink = buildInviteLink(invite);
+      entry.emailSent = !!emailResult.success;
+      entry.emailQueued = !!emailResult.queued;
+      entry.emailError = emailResult.success ? null : (emailResult.error || null);
     }
 
-    // Return response with email status
+    const summary = buildSummary();
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'invites_bulk_created',
+      'invite',
+      null,
+      { ...summary, inviteIds: validRows.map(entry => entry.inviteId).filter(Boolean) },
+      req
+    );
+
     res.status(201).json({
       success: true,
-      message: emailSent 
-        ? 'Invite created and email sent successfully' 
-        : 'Invite created successfully, but email could not be sent',
+      message: `${summary.created} invite(s) created${summary.invalid > 0 ? `, ${summary.invalid} invalid row(s) skipped` : ''}`,
       data: {
-        invite,
-        inviteLink,
-        emailSent,
-        emailError: emailError || null,
-      },
+        dryRun,
+        summary,
+        results: report.map(toResult)
+      }
     });
 
   } catch (error) {
@@ -3517,17 +11147,11 @@ app.get('/api/invites/:token', async (req, res) => {
       });
     }
 
-    if (new Date(invite.expires_at) < new Date()) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invite has expired',
-      });
-    }
-
-    if (invite.status === 'used') {
+    const unusableReason = getInviteUnusableReason(invite);
+    if (unusableReason) {
       return res.status(400).json({
         success: false,
-        error: 'Invite has already been used',
+        error: unusableReason,
       });
     }
 
@@ -3536,6 +11160,8 @@ app.get('/api/invites/:token', async (req, res) => {
       data: {
         email: invite.email,
         investmentAmount: invite.investment_amount,
+        investmentAmountMin: getInviteInvestmentRange(invite).min,
+        investmentAmountMax: getInviteInvestmentRange(invite).max,
         profitSharing: invite.profit_sharing,
       },
     });
@@ -3550,7 +11176,7 @@ app.get('/api/invites/:token', async (req, res) => {
 });
 
 // Get all invites (admin)
-app.get('/api/admin/invites', async (req, res) => {
+app.get('/api/admin/invites', authenticateToken, requirePermission('invites.read'), async (req, res) => {
   try {
     const { status, page = 1, limit = 50 } = req.query;
 
@@ -3605,8 +11231,265 @@ app.get('/api/admin/invites', async (req, res) => {
   }
 });
 
+// Resend invite email (same token and link)
+app.post('/api/admin/invites/:inviteId/resend', authenticateToken, requirePermission('invites.create'), async (req, res) => {
+  try {
+    const { inviteId } = req.params;
+
+    const { data: invite, error } = await supabase
+      .from('invites')
+      .select('*')
+      .eq('id', inviteId)
+      .single();
+
+    if (error || !invite) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invite not found'
+      });
+    }
+
+    if (invite.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: `Only pending invites can be resent. Status: ${invite.status}`
+      });
+    }
+
+    if (new Date(invite.expires_at) < new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invite has expired. Please create a new invite.'
+      });
+    }
+
+    const emailResult = await sendInviteEmail(invite);
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'invite_resend',
+      'invite',
+      invite.id,
+      { email: invite.email, emailSent: emailResult.success, emailQueued: !!emailResult.queued },
+      req
+    );
+
+    if (!emailResult.success && !emailResult.queued) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to send invite email',
+        details: emailResult.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: emailResult.success
+        ? `Invite resent to ${invite.email}`
+        : `Email to ${invite.email} could not be sent yet and will be retried automatically`,
+      data: {
+        inviteLink: buildInviteLink(invite),
+        emailSent: emailResult.success,
+        emailQueued: !!emailResult.queued
+      }
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Revoke invite (keeps the record, but the link can no longer be used)
+app.post('/api/admin/invites/:inviteId/revoke', authenticateToken, requirePermission('invites.delete'), async (req, res) => {
+  try {
+    const { inviteId } = req.params;
+    const { reason } = req.body;
+
+    const { data: existingInvite, error: checkError } = await supabase
+      .from('invites')
+      .select('id, email, status')
+      .eq('id', inviteId)
+      .single();
+
+    if (checkError || !existingInvite) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invite not found'
+      });
+    }
+
+    if (existingInvite.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: `Only pending invites can be revoked. Status: ${existingInvite.status}`
+      });
+    }
+
+    // Conditional on status so an invite used in the meantime is not revoked
+    const { data: invite, error: updateError } = await supabase
+      .from('invites')
+      .update({
+        status: 'revoked',
+        revoked_at: new Date().toISOString(),
+        revoked_by: req.admin.email,
+        revoke_reason: reason || null
+      })
+      .eq('id', inviteId)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (updateError || !invite) {
+      return res.status(409).json({
+        success: false,
+        error: 'Invite could not be revoked because its status changed. Please refresh and try again.'
+      });
+    }
+
+    await logAdminAction(
+      req.admin.id,
+      req.admin.email,
+      'invite_revoke',
+      'invite',
+      invite.id,
+      { email: invite.email, reason: reason || null },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: `Invite for ${invite.email} revoked`,
+      data: invite
+    });
+
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Background job: email a reminder for pending invites that expire soon (once per invite)
+async function sendInviteReminders() {
+  const now = new Date();
+  const remindBefore = new Date(now.getTime() + INVITE_REMINDER_DAYS_BEFORE_EXPIRY * 24 * 60 * 60 * 1000);
+
+  const { data: invites, error } = await supabase
+    .from('invites')
+    .select('*')
+    .eq('status', 'pending')
+    .is('reminder_sent_at', null)
+    .gt('expires_at', now.toISOString())
+    .lte('expires_at', remindBefore.toISOString())
+    .limit(100);
+
+  if (error) {
+    throw new Error(`Failed to fetch invites for reminders: ${error.message}`);
+  }
+
+  for (const invite of invites || []) {
+    // Claim the invite first so a reminder is never sent twice
+    const { data: claimed } = await supabase
+      .from('invites')
+      .update({ reminder_sent_at: new Date().toISOString() })
+      .eq('id', invite.id)
+      .is('reminder_sent_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (!claimed) continue;
+
+    const expiresAt = new Date(invite.expires_at);
+    const emailResult = await queueTemplatedEmail(invite.email, 'investor_invite_reminder', {
+      inviteLink: buildInviteLink(invite),
+      daysRemaining: Math.max(1, Math.ceil((expiresAt.getTime() - Date.now()) / (24 * 60 * 60 * 1000))),
+      expiresOn: expiresAt.toUTCString()
+    }, { inviteId: invite.id });
+
+    await logAdminAction(
+      null,
+      'system',
+      'invite_reminder_sent',
+      'invite',
+      invite.id,
+      { email: invite.email, expiresAt: invite.expires_at, emailSent: emailResult.success, emailQueued: !!emailResult.queued },
+      null
+    );
+  }
+}
+
+// Background job: move pending invites past expires_at to "expired" and tell each partner which ones lapsed
+async function expireStaleInvites() {
+  const { data: invites, error } = await supabase
+    .from('invites')
+    .update({
+      status: 'expired',
+      expired_at: new Date().toISOString()
+    })
+    .eq('status', 'pending')
+    .lt('expires_at', new Date().toISOString())
+    .select('id, email, partner_id, expires_at');
+
+  if (error) {
+    throw new Error(`Failed to expire invites: ${error.message}`);
+  }
+
+  if (!invites || invites.length === 0) {
+    return;
+  }
+
+  console.log(`Expired ${invites.length} invite(s)`);
+
+  for (const invite of invites) {
+    await logAdminAction(
+      null,
+      'system',
+      'invite_expired',
+      'invite',
+      invite.id,
+      { email: invite.email, partnerId: invite.partner_id, expiresAt: invite.expires_at },
+      null
+    );
+  }
+
+  // One notification per partner per run, listing all of their invites that lapsed
+  const invitesByPartner = new Map();
+  for (const invite of invites.filter(invite => invite.partner_id)) {
+    invitesByPartner.set(invite.partner_id, [...(invitesByPartner.get(invite.partner_id) || []), invite]);
+  }
+
+  if (invitesByPartner.size === 0) {
+    return;
+  }
+
+  const { data: partners, error: partnersError } = await supabase
+    .from('partners')
+    .select('id, name, email')
+    .in('id', [...invitesByPartner.keys()]);
+
+  if (partnersError) {
+    throw new Error(`Failed to fetch partners for expired invites: ${partnersError.message}`);
+  }
+
+  for (const partner of partners || []) {
+    const partnerInvites = invitesByPartner.get(partner.id);
+    await queueTemplatedEmail(partner.email, 'partner_invites_expired', {
+      partnerName: partner.name,
+      inviteCount: partnerInvites.length,
+      inviteEmails: partnerInvites.map(invite => invite.email).join(', ')
+    }, { partnerId: partner.id, inviteIds: partnerInvites.map(invite => invite.id) });
+  }
+}
+
 // Get admin audit logs
-app.get('/api/admin/audit-logs', authenticateToken, requireRole('admin', 'super_admin'), async (req, res) => {
+app.get('/api/admin/audit-logs', authenticateToken, requirePermission('audit.read'), async (req, res) => {
   try {
     const { page = 1, limit = 50, adminEmail, action, resourceType } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
@@ -3660,7 +11543,7 @@ app.get('/api/admin/audit-logs', authenticateToken, requireRole('admin', 'super_
 });
 
 // Delete invite (admin)
-app.delete('/api/admin/invites/:inviteId', authenticateToken, requireRole('admin', 'super_admin'), async (req, res) => {
+app.delete('/api/admin/invites/:inviteId', authenticateToken, requirePermission('invites.delete'), async (req, res) => {
   try {
     const { inviteId } = req.params;
 
@@ -3745,21 +11628,27 @@ app.post('/api/invites/:token/use', async (req, res) => {
       });
     }
 
-    if (invite.status === 'used') {
+    const unusableReason = getInviteUnusableReason(invite);
+    if (unusableReason) {
       return res.status(400).json({
         success: false,
-        error: 'Invite has already been used',
+        error: unusableReason,
       });
     }
 
-    const { error: updateError } = await supabase
+    // Conditional on status/expiry so two concurrent requests can't both use the invite
+    const { data: usedInvite, error: updateError } = await supabase
       .from('invites')
       .update({
         status: 'used',
         used_at: new Date().toISOString(),
         used_by_user_id: userId || null,
       })
-      .eq('token', token);
+      .eq('token', token)
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+      .select('id')
+      .maybeSingle();
 
     if (updateError) {
       console.error('Error updating invite:', updateError);
@@ -3769,6 +11658,13 @@ app.post('/api/invites/:token/use', async (req, res) => {
       });
     }
 
+    if (!usedInvite) {
+      return res.status(400).json({
+        success: false,
+        error: 'This invitation is no longer valid.',
+      });
+    }
+
     res.json({
       success: true,
       message: 'Invite marked as used',
@@ -3783,8 +11679,8 @@ app.post('/api/invites/:token/use', async (req, res) => {
   }
 });
 
-// Cleanup expired MT5 validations (can be called by cron job)
-app.post('/api/cleanup-expired-validations', async (req, res) => {
+// Cleanup expired MT5 validations (called by cron job with an API key scoped to maintenance.run)
+app.post('/api/cleanup-expired-validations', authenticateToken, requirePermission('maintenance.run'), async (req, res) => {
   try {
     console.log('Starting cleanup of expired MT5 validations...');
 
@@ -3866,6 +11762,66 @@ app.post('/api/cleanup-expired-validations', async (req, res) => {
 });
 
 // Start server
+// ============================================
+// BACKGROUND JOBS
+// ============================================
+// Set ENABLE_BACKGROUND_JOBS=false to run an instance without them (e.g. a second web instance or locally).
+
+const MESSAGE_OUTBOX_JOB_INTERVAL_MS = 30 * 1000;
+const OTP_RATE_EVENT_PRUNE_JOB_INTERVAL_MS = 60 * 60 * 1000;
+const INVITE_REMINDER_JOB_INTERVAL_MS = 60 * 60 * 1000;
+const INVITE_EXPIRY_JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+const backgroundJobs = [];
+
+// Helper function to register a job that runs every intervalMs (runs never overlap)
+function registerBackgroundJob(name, intervalMs, run) {
+  backgroundJobs.push({
+    name, intervalMs, run,
+    isScheduled: false, isRunning: false, lastRunAt: null, nextRunAt: null, lastError: null, lastResult: null
+  });
+}
+
+// Helper function to start all registered background jobs
+function startBackgroundJobs() {
+  if (process.env.ENABLE_BACKGROUND_JOBS === 'false') {
+    console.log('Background jobs disabled (ENABLE_BACKGROUND_JOBS=false)');
+    return;
+  }
+
+  for (const job of backgroundJobs) {
+    setInterval(async () => {
+      job.nextRunAt = new Date(Date.now() + job.intervalMs).toISOString();
+      if (job.isRunning) return;
+      job.isRunning = true;
+
+      try {
+        job.lastResult = (await job.run()) ?? null;
+        job.lastError = null;
+      } catch (error) {
+        job.lastError = error.message;
+        console.error(`Background job "${job.name}" failed:`, error);
+      } finally {
+        job.isRunning = false;
+        job.lastRunAt = new Date().toISOString();
+      }
+    }, job.intervalMs);
+
+    job.isScheduled = true;
+    job.nextRunAt = new Date(Date.now() + job.intervalMs).toISOString();
+
+    console.log(`✓ Background job "${job.name}" scheduled every ${job.intervalMs / 1000}s`);
+  }
+}
+
+registerBackgroundJob('message-outbox', MESSAGE_OUTBOX_JOB_INTERVAL_MS, processMessageOutbox);
+registerBackgroundJob('otp-rate-event-prune', OTP_RATE_EVENT_PRUNE_JOB_INTERVAL_MS, pruneOtpRateEvents);
+registerBackgroundJob('invite-reminders', INVITE_REMINDER_JOB_INTERVAL_MS, sendInviteReminders);
+registerBackgroundJob('invite-expiry', INVITE_EXPIRY_JOB_INTERVAL_MS, expireStaleInvites);
+registerBackgroundJob('mt5-metrics-sync', MT5_SYNC_INTERVAL_MINUTES * 60 * 1000, syncAllMT5Metrics);
+registerBackgroundJob('mt5-trade-sync', MT5_TRADE_SYNC_INTERVAL_MINUTES * 60 * 1000, syncAllMT5TradeHistory);
+registerBackgroundJob('ledger-reconciliation', LEDGER_RECONCILIATION_JOB_INTERVAL_MS, reconcileAllUserLedgers);
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -3873,5 +11829,7 @@ app.listen(PORT, '0.0.0.0', () => {
   if (process.env.NODE_ENV === 'production') {
     console.log('Production server started successfully');
   }
+
+  startBackgroundJobs();
 });
 
@@ -0,0 +1,17 @@
+-- Replaces one role's permissions in a single transaction, used by PUT /api/admin/roles/:role/permissions.
+-- The first edit also copies the built-in defaults (p_seed) into the empty table so the other roles keep theirs.
+create or replace function replace_role_permissions(p_role text, p_permissions text[], p_seed jsonb)
+returns void
+language plpgsql
+as $$
+begin
+  lock table role_permissions in share row exclusive mode;
+
+  if not exists (select 1 from role_permissions) then
+    insert into role_permissions (role, permission)
+      select s->>'role', s->>'permission' from jsonb_array_elements(p_seed) s;
+  end if;
+
+  delete from role_permissions where role = p_role;
+  insert into role_permissions (role, permission) select p_role, unnest(p_permissions);
+end $$;